@@ -14,7 +14,9 @@ class BMTPBridge {
       securePort: options.mmtpSecurePort || 8026,
       useTLS: options.useTLS ?? true,
       usePGP: options.usePGP ?? false,
-      keyStorePath: options.keyStorePath || path.join(process.cwd(), 'keystore')
+      keyStorePath: options.keyStorePath || path.join(process.cwd(), 'keystore'),
+      reconnect: options.mmtpReconnect ?? true,
+      outboxPath: options.outboxPath || path.join(process.cwd(), 'outbox')
     };
 
     this.smtpOptions = {
@@ -35,6 +37,15 @@ class BMTPBridge {
     };
 
     this.mmtpClient = new MMTPClient(this.mmtpOptions);
+    this.mmtpClient.on('reconnect', ({ attempts }) => {
+      console.log(`Reconnected to MMTP server after ${attempts} attempt(s)`);
+    });
+    this.mmtpClient.on('outboxSent', ({ messageId }) => {
+      console.log(`Delivered queued message ${messageId} via MMTP`);
+    });
+    this.mmtpClient.on('outboxFailed', ({ messageId, error }) => {
+      console.error(`Queued message ${messageId} was rejected by the MMTP server: ${error.message}`);
+    });
     this.protocol = new MMTPProtocol(
       options.difficulty || 5,
       {
@@ -132,13 +143,18 @@ class BMTPBridge {
       const body = parsedMail.text || parsedMail.html || "";
       
       const tags = this.extractTagsFromEmail(parsedMail);
+      const attachments = (parsedMail.attachments || []).map(attachment => ({
+        filename: attachment.filename || 'attachment',
+        contentType: attachment.contentType,
+        data: attachment.content
+      }));
       
       const result = await this.mmtpClient.sendMail(
         mmtpSender, 
         mmtpRecipient, 
         subject, 
         body, 
-        { tags }
+        { tags, attachments }
       );
       
       console.log(`SMTP to MMTP delivery: ${from.address} -> ${recipient.address}`, result);
@@ -188,6 +204,11 @@ class BMTPBridge {
         to: smtpRecipient,
         subject: subject,
         text: body,
+        attachments: (mmtpPacket.content.attachments || []).map(attachment => ({
+          filename: attachment.filename,
+          contentType: attachment.contentType,
+          content: Buffer.from(attachment.data, 'base64')
+        })),
         headers: {
           'X-MMTP-MessageId': mmtpPacket.meta.messageId,
           'X-MMTP-Timestamp': mmtpPacket.meta.timestamp,
@@ -195,6 +216,14 @@ class BMTPBridge {
         }
       };
       
+      if (mmtpPacket.meta.inReplyTo) {
+        message.headers['X-MMTP-In-Reply-To'] = mmtpPacket.meta.inReplyTo;
+      }
+      
+      if (mmtpPacket.meta.references) {
+        message.headers['X-MMTP-References'] = mmtpPacket.meta.references.join(' ');
+      }
+      
       if (mmtpPacket.meta.tags) {
         if (mmtpPacket.meta.tags.priority && mmtpPacket.meta.tags.priority.length > 0) {
           message.headers['X-Priority'] = this.convertMMTPPriorityToSMTP(mmtpPacket.meta.tags.priority[0]);
@@ -249,16 +278,11 @@ class BMTPBridge {
       );
     }
     
-    if (parsedMail.subject) {
-      const subject = parsedMail.subject.toLowerCase();
-      if (subject.includes('urgent') || subject.includes('asap')) {
-        tags.status.push('urgent');
-      } else if (subject.includes('important')) {
-        tags.status.push('important');
-      } else if (subject.includes('action') || subject.includes('required')) {
-        tags.status.push('action_required');
-      }
-    }
+    const classified = this.protocol.classifier.classifyWithRules({
+      meta: {},
+      content: { subject: parsedMail.subject || '', body: parsedMail.text || '' }
+    });
+    tags.status = classified.status || [];
     
     return tags;
   }
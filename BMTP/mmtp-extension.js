@@ -21,102 +21,69 @@ class MMTPBridgeExtension {
     };
 
     this.smtpTransporter = null;
-    this.originalHandleSendMail = server.handleSendMail;
+    this.originalDeliverToRecipient = server.deliverToRecipient;
   }
 
   initialize() {
     this.smtpTransporter = nodemailer.createTransport(this.smtpRelayOptions);
     
-    this.server.handleSendMail = this.handleSendMail.bind(this);
+    this.server.deliverToRecipient = this.deliverToRecipient.bind(this);
     
     console.log('BMTP Extension initialized for MMTP server');
     return true;
   }
 
   shutdown() {
-    if (this.originalHandleSendMail) {
-      this.server.handleSendMail = this.originalHandleSendMail;
+    if (this.originalDeliverToRecipient) {
+      this.server.deliverToRecipient = this.originalDeliverToRecipient;
     }
     
     console.log('BMTP Extension shut down');
   }
 
-  async handleSendMail(data, socket) {
+  async deliverToRecipient(packet, recipient, forwardedBy = [], options = {}) {
+    const match = recipient.match(/^\(([a-zA-Z0-9._-]+)\)%\(([a-zA-Z0-9.-]+)\)$/);
+    
+    if (!match || !this.domainMapping[match[2].toLowerCase()]) {
+      return this.originalDeliverToRecipient.call(this.server, packet, recipient, forwardedBy, options);
+    }
+    
+    const denial = this.server.getRelayDenial(packet, options);
+    if (denial) {
+      return {
+        recipient,
+        status: 'rejected',
+        message: denial
+      };
+    }
+    
     try {
-      const result = await this.protocol.processPacket(data.packet);
-      if (!result.success) {
-        socket.write(JSON.stringify({
-          status: 'ERROR',
-          message: result.error
-        }));
-        return;
-      }
-
-      const { packet } = result;
-      const { recipient } = packet;
-      
-      const match = recipient.match(/^\(([a-zA-Z0-9._-]+)\)%\(([a-zA-Z0-9.-]+)\)$/);
-      if (!match) {
-        socket.write(JSON.stringify({
-          status: 'ERROR',
-          message: 'Invalid recipient format'
-        }));
-        return;
-      }
-
-      const [_, username, domain] = match;
+      await this.sendToSMTP(packet, recipient);
       
-      if (this.domainMapping[domain]) {
-        try {
-          await this.sendToSMTP(packet);
-          
-          socket.write(JSON.stringify({
-            status: 'OK',
-            message: 'Message delivered to external SMTP server',
-            messageId: packet.meta.messageId,
-            encrypted: packet.meta.encrypted,
-            signed: packet.meta.signed,
-            via: 'SMTP'
-          }));
-        } catch (error) {
-          console.error(`SMTP delivery error: ${error.message}`);
-          socket.write(JSON.stringify({
-            status: 'ERROR',
-            message: `SMTP delivery failed: ${error.message}`
-          }));
-        }
-      } else {
-        if (!this.server.mailboxes[recipient]) {
-          this.server.mailboxes[recipient] = [];
-        }
-        
-        this.server.mailboxes[recipient].push(packet);
-        
-        socket.write(JSON.stringify({
-          status: 'OK',
-          message: 'Message delivered successfully',
-          messageId: packet.meta.messageId,
-          encrypted: packet.meta.encrypted,
-          signed: packet.meta.signed
-        }));
-      }
+      return {
+        recipient,
+        status: 'relayed',
+        message: 'Message delivered to external SMTP server',
+        via: 'SMTP'
+      };
     } catch (error) {
-      socket.write(JSON.stringify({
-        status: 'ERROR',
-        message: `Failed to process message: ${error.message}`
-      }));
+      console.error(`SMTP delivery error: ${error.message}`);
+      return {
+        recipient,
+        status: 'rejected',
+        message: `SMTP delivery failed: ${error.message}`
+      };
     }
   }
 
-  async sendToSMTP(mmtpPacket) {
+  async sendToSMTP(mmtpPacket, recipient = mmtpPacket.recipient) {
     const smtpSender = this.convertToSMTPAddress(mmtpPacket.sender);
-    const smtpRecipient = this.convertToSMTPAddress(mmtpPacket.recipient);
+    const smtpRecipient = this.convertToSMTPAddress(recipient);
+    const { to = [recipient], cc = [] } = mmtpPacket.recipients || {};
     
     let subject, body;
     if (mmtpPacket.meta.encrypted) {
       throw new Error('Cannot send encrypted MMTP messages to SMTP recipients');
-
-      throw new Error('Cannot send encrypted MMTP messages to SMTP recipients');
     } else {
       subject = mmtpPacket.content.subject;
       body = mmtpPacket.content.body;
@@ -124,9 +91,19 @@ class MMTPBridgeExtension {
     
     const message = {
       from: smtpSender,
-      to: smtpRecipient,
+      to: to.map(address => this.convertToSMTPAddress(address)),
+      ...(cc.length > 0 ? { cc: cc.map(address => this.convertToSMTPAddress(address)) } : {}),
+      envelope: {
+        from: smtpSender,
+        to: smtpRecipient
+      },
       subject: subject,
       text: body,
+      attachments: (mmtpPacket.content.attachments || []).map(attachment => ({
+        filename: attachment.filename,
+        contentType: attachment.contentType,
+        content: this.protocol.decodeAttachment(attachment)
+      })),
       headers: {
         'X-MMTP-MessageId': mmtpPacket.meta.messageId,
         'X-MMTP-Timestamp': mmtpPacket.meta.timestamp,
@@ -134,6 +111,14 @@ class MMTPBridgeExtension {
       }
     };
     
+    if (mmtpPacket.meta.inReplyTo) {
+      message.headers['X-MMTP-In-Reply-To'] = mmtpPacket.meta.inReplyTo;
+    }
+    
+    if (mmtpPacket.meta.references) {
+      message.headers['X-MMTP-References'] = mmtpPacket.meta.references.join(' ');
+    }
+    
     if (mmtpPacket.meta.tags) {
       if (mmtpPacket.meta.tags.priority && mmtpPacket.meta.tags.priority.length > 0) {
         message.headers['X-Priority'] = this.convertMMTPPriorityToSMTP(mmtpPacket.meta.tags.priority[0]);
@@ -58,6 +58,8 @@ const bridgeOptions = {
   useTLS: config.mmtp.useTLS,
   usePGP: config.mmtp.usePGP,
   keyStorePath: config.mmtp.keyStorePath,
+  mmtpReconnect: config.mmtp.reconnect,
+  outboxPath: config.mmtp.outboxPath,
   
   // SMTP server options
   smtpPort: config.smtp.port,
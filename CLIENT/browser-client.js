@@ -0,0 +1,462 @@
+const ADDRESS_PATTERN = /^\([a-zA-Z0-9._-]+\)%\([a-zA-Z0-9.-]+\)$/;
+const MAX_REFERENCES = 100;
+const MINT_BATCH_SIZE = 256;
+class MMTPBrowserClient {
+  constructor(options = {}) {
+    this.url = options.url || 'ws://localhost:8027';
+    this.WebSocket = options.WebSocket || globalThis.WebSocket;
+    this.difficulty = options.difficulty || 5;
+    this.requestTimeout = options.requestTimeout || 10000;
+    this.email = options.email || null;
+    this.socket = null;
+    this.connected = false;
+    this.serverFeatures = null;
+    this.waitingResponses = new Map();
+    this.nextRequestId = 1;
+    this.listeners = new Map();
+  }
+  on(event, listener) {
+    if (!this.listeners.has(event)) {
+      this.listeners.set(event, []);
+    }
+    this.listeners.get(event).push(listener);
+    return this;
+  }
+  once(event, listener) {
+    const wrapper = (...args) => {
+      this.off(event, wrapper);
+      listener(...args);
+    };
+    wrapper.listener = listener;
+    return this.on(event, wrapper);
+  }
+  off(event, listener) {
+    const listeners = (this.listeners.get(event) || []).filter(candidate =>
+      candidate !== listener && candidate.listener !== listener
+    );
+    this.listeners.set(event, listeners);
+    return this;
+  }
+  emit(event, ...args) {
+    const listeners = [...(this.listeners.get(event) || [])];
+    for (const listener of listeners) {
+      listener(...args);
+    }
+    return listeners.length > 0;
+  }
+  connect() {
+    return new Promise((resolve, reject) => {
+      if (!this.WebSocket) {
+        reject(new Error('WebSocket is not available in this environment'));
+        return;
+      }
+      let welcomed = false;
+      this.socket = new this.WebSocket(this.url);
+      this.socket.onmessage = (message) => {
+        let frame;
+        try {
+          frame = JSON.parse(message.data);
+        } catch (error) {
+          console.error('Failed to parse server response:', error.message);
+          return;
+        }
+        if (!welcomed) {
+          if (frame.status === 'OK' && frame.message && frame.message.includes('MMTP Server Ready')) {
+            welcomed = true;
+            this.connected = true;
+            this.serverFeatures = frame.features || null;
+            resolve({
+              connected: true,
+              secure: this.url.startsWith('wss:'),
+              features: this.serverFeatures
+            });
+          } else {
+            reject(new Error(frame.message || 'Connection refused by MMTP server'));
+          }
+        } else if (frame.event) {
+          this.handleEvent(frame);
+        } else {
+          this.handleResponse(frame);
+        }
+      };
+      this.socket.onerror = () => {
+        if (!welcomed) {
+          reject(new Error(`Could not connect to MMTP server at ${this.url}`));
+        }
+      };
+      this.socket.onclose = () => {
+        this.connected = false;
+        for (const [requestId, { reject: rejectRequest, timeout }] of this.waitingResponses) {
+          clearTimeout(timeout);
+          this.waitingResponses.delete(requestId);
+          rejectRequest(new Error('Connection closed'));
+        }
+        if (!welcomed) {
+          reject(new Error('Connection closed before the server was ready'));
+        }
+        this.emit('close');
+      };
+    });
+  }
+  disconnect() {
+    if (this.socket && this.connected) {
+      this.socket.close(1000);
+      this.connected = false;
+    }
+  }
+  checkMailbox(email) {
+    if (!this.connected) {
+      throw new Error('Not connected to MMTP server');
+    }
+    if (!ADDRESS_PATTERN.test(email || '')) {
+      throw new Error('Invalid email format. Must be (name)%(domain)');
+    }
+  }
+  async authenticate(email, options = {}) {
+    this.checkMailbox(email);
+    if (options.password === undefined) {
+      throw new Error('MMTPBrowserClient only supports password authentication');
+    }
+    const response = await this.sendRequest('AUTH', {
+      email,
+      method: 'password',
+      password: options.password
+    });
+    this.email = email;
+    return response;
+  }
+  async sendMail(from, to, subject, body, options = {}) {
+    if (!this.connected) {
+      throw new Error('Not connected to MMTP server');
+    }
+    const packet = await this.createMessagePacket(from, to, subject, body, 'SEND', options);
+    return this.sendPacket(packet);
+  }
+  async replyToMail(original, from, body, options = {}) {
+    if (!this.connected) {
+      throw new Error('Not connected to MMTP server');
+    }
+    const references = [...(original.meta.references || [])];
+    if (original.meta.inReplyTo && !references.includes(original.meta.inReplyTo)) {
+      references.push(original.meta.inReplyTo);
+    }
+    references.push(original.meta.messageId);
+    const subject = `RE: ${original.meta.encrypted ? 'Encrypted Message' : original.content.subject}`;
+    const packet = await this.createMessagePacket(from, original.sender, subject, body, 'REPLY', {
+      tags: original.meta.tags,
+      ...options,
+      inReplyTo: original.meta.messageId,
+      references: references.length > MAX_REFERENCES
+        ? [references[0], ...references.slice(-(MAX_REFERENCES - 1))]
+        : references
+    });
+    return this.sendPacket(packet);
+  }
+  async receiveAll(action, data) {
+    const response = await this.sendRequest(action, data);
+    let page = response;
+    while (page.truncated && page.count > 0) {
+      page = await this.sendRequest(action, data);
+      response.messages.push(...page.messages);
+      response.count += page.count;
+    }
+    delete response.truncated;
+    return response;
+  }
+  checkMail(email, filters = {}) {
+    this.checkMailbox(email);
+    return this.sendRequest('CHECK', {
+      email,
+      ...filters
+    });
+  }
+  receiveMail(email, options = {}) {
+    this.checkMailbox(email);
+    return this.receiveAll('RECEIVE', {
+      email,
+      ...options
+    });
+  }
+  receiveMailByQuery(email, query) {
+    this.checkMailbox(email);
+    return this.receiveAll('RECEIVE_FILTERED', {
+      email,
+      query
+    });
+  }
+  fetchMail(email, selection = {}, options = {}) {
+    this.checkMailbox(email);
+    return this.sendRequest('FETCH', {
+      email,
+      ...this.normalizeSelection(selection),
+      ...options,
+      peek: options.peek || false
+    });
+  }
+  setFlags(email, selection, flags, mode = 'add') {
+    this.checkMailbox(email);
+    return this.sendRequest('SET_FLAGS', {
+      email,
+      ...this.normalizeSelection(selection),
+      flags,
+      mode
+    });
+  }
+  search(email, query, options = {}) {
+    this.checkMailbox(email);
+    return this.sendRequest('SEARCH', {
+      email,
+      query,
+      ...options
+    });
+  }
+  getConversation(email, messageId, options = {}) {
+    this.checkMailbox(email);
+    return this.sendRequest('GET_CONVERSATION', {
+      email,
+      messageId,
+      peek: options.peek || false
+    });
+  }
+  updateTags(email, selection, changes = {}) {
+    this.checkMailbox(email);
+    const { messageIds, query } = selection && typeof selection === 'object' && !Array.isArray(selection) ? selection : {};
+    return this.sendRequest('UPDATE_TAGS', {
+      email,
+      ...this.normalizeSelection(selection),
+      messageIds,
+      query,
+      tags: changes.tags,
+      add: changes.add,
+      remove: changes.remove
+    });
+  }
+  fetchTagCategories(email) {
+    this.checkMailbox(email);
+    return this.sendRequest('GET_TAG_CATEGORIES', {
+      email
+    });
+  }
+  subscribe(email) {
+    this.checkMailbox(email);
+    return this.sendRequest('SUBSCRIBE', {
+      email
+    });
+  }
+  unsubscribe(email) {
+    this.checkMailbox(email);
+    return this.sendRequest('UNSUBSCRIBE', {
+      email
+    });
+  }
+  normalizeSelection(selection) {
+    if (Array.isArray(selection)) {
+      return { uids: selection };
+    }
+    if (typeof selection === 'number') {
+      return { uids: [selection] };
+    }
+    if (typeof selection === 'string') {
+      return { range: selection };
+    }
+    const { uids, range } = selection || {};
+    return { uids, range };
+  }
+  getDifficulty() {
+    const offered = (this.serverFeatures && this.serverFeatures.pow) || null;
+    if (!offered) {
+      return (this.serverFeatures && this.serverFeatures.difficulty) || this.difficulty;
+    }
+    const sha256 = offered.find(entry => entry.scheme === 'sha256');
+    if (!sha256) {
+      throw new Error('MMTP server does not accept sha256 proof-of-work');
+    }
+    return sha256.difficulty;
+  }
+  async createMessagePacket(from, to, subject, body, type = 'SEND', options = {}) {
+    const unique = value => [...new Set(Array.isArray(value) ? value : (value ? [value] : []))];
+    const recipients = { to: unique(to), cc: unique(options.cc), bcc: unique(options.bcc) };
+    if (recipients.to.length === 0) {
+      throw new Error('At least one recipient is required');
+    }
+    const allRecipients = [...new Set([...recipients.to, ...recipients.cc, ...recipients.bcc])];
+    if (!ADDRESS_PATTERN.test(from) || !allRecipients.every(address => ADDRESS_PATTERN.test(address))) {
+      throw new Error('Invalid email format. Must be (name)%(domain)');
+    }
+    const timestamp = Date.now();
+    const content = { subject, body };
+    const attachments = await Promise.all((options.attachments || []).map(attachment => this.normalizeAttachment(attachment)));
+    if (attachments.length > 0) {
+      content.attachments = attachments;
+    }
+    const hashcashRecipient = await this.getHashCashRecipient(allRecipients);
+    const hashcashToken = await this.mintHashCash(from, hashcashRecipient, timestamp, options.difficulty ?? this.getDifficulty());
+    const tags = Array.isArray(options.tags) ? { custom: options.tags } : (options.tags || {});
+    return {
+      meta: {
+        type,
+        messageId: randomHex(16),
+        timestamp,
+        hashcashToken,
+        encrypted: false,
+        signed: false,
+        tags,
+        ...(options.inReplyTo ? { inReplyTo: options.inReplyTo } : {}),
+        ...(options.references && options.references.length > 0 ? { references: options.references } : {})
+      },
+      sender: from,
+      recipient: recipients.to[0],
+      recipients,
+      content,
+      verification: {
+        messageHash: await sha256Hex(JSON.stringify(content))
+      }
+    };
+  }
+  async createAttachment(filename, data, contentType) {
+    const bytes = await toBytes(data);
+    return {
+      filename: String(filename).split(/[\\/]/).pop(),
+      contentType: contentType || (data && data.type) || 'application/octet-stream',
+      size: bytes.length,
+      sha256: await sha256Hex(bytes),
+      data: bytesToBase64(bytes)
+    };
+  }
+  async normalizeAttachment(attachment) {
+    if (!attachment || !attachment.filename) {
+      throw new Error('Attachments must have a filename');
+    }
+    if (typeof attachment.data === 'string' && attachment.sha256) {
+      return { ...attachment, filename: String(attachment.filename).split(/[\\/]/).pop() };
+    }
+    return this.createAttachment(attachment.filename, attachment.data ?? attachment.content ?? '', attachment.contentType);
+  }
+  async decodeAttachment(attachment) {
+    const bytes = base64ToBytes(attachment.data);
+    if (bytes.length !== attachment.size || await sha256Hex(bytes) !== attachment.sha256) {
+      throw new Error(`Attachment ${attachment.filename} failed its integrity check`);
+    }
+    return bytes;
+  }
+  async getHashCashRecipient(recipients) {
+    if (recipients.length === 1) {
+      return recipients[0];
+    }
+    const digests = await Promise.all(recipients.map(address => sha256Hex(address)));
+    return sha256Hex(digests.sort().join(','));
+  }
+  async mintHashCash(sender, recipient, timestamp, difficulty) {
+    const prefix = `1:${difficulty}:${timestamp}:${sender}:${recipient}:${timestamp}::`;
+    const target = '0'.repeat(difficulty);
+    let counter = Math.floor(Math.random() * 2 ** 32);
+    while (true) {
+      const counters = Array.from({ length: MINT_BATCH_SIZE }, (_, index) => counter + index);
+      const hashes = await Promise.all(counters.map(value => sha256Hex(`${prefix}${value}:`)));
+      const found = hashes.findIndex(hash => hash.startsWith(target));
+      if (found !== -1) {
+        return { token: `${prefix}${counters[found]}:`, counter: counters[found] };
+      }
+      counter += MINT_BATCH_SIZE;
+    }
+  }
+  async sendPacket(packet) {
+    try {
+      return await this.sendRequest('SEND', { packet });
+    } catch (error) {
+      const requiredDifficulty = error.response && error.response.requiredDifficulty;
+      const difficulty = Number(packet.meta.hashcashToken.token.split(':')[1]);
+      if (!requiredDifficulty || requiredDifficulty <= difficulty) {
+        throw error;
+      }
+      const { to, cc, bcc } = packet.recipients;
+      const allRecipients = [...new Set([...to, ...cc, ...bcc])];
+      const hashcashRecipient = await this.getHashCashRecipient(allRecipients);
+      packet.meta.hashcashToken = await this.mintHashCash(packet.sender, hashcashRecipient, packet.meta.timestamp, requiredDifficulty);
+      return this.sendRequest('SEND', { packet });
+    }
+  }
+  sendRequest(action, data) {
+    return new Promise((resolve, reject) => {
+      if (!this.connected) {
+        reject(new Error('Not connected to MMTP server'));
+        return;
+      }
+      const requestId = String(this.nextRequestId++);
+      const frame = JSON.stringify({ action, requestId, data });
+      const size = new TextEncoder().encode(frame).length;
+      const maxFrameSize = (this.serverFeatures && this.serverFeatures.maxFrameSize) || Infinity;
+      if (size > maxFrameSize) {
+        reject(new Error(`Request of ${size} bytes exceeds the maximum frame size of ${maxFrameSize} bytes`));
+        return;
+      }
+      const timeout = setTimeout(() => {
+        this.waitingResponses.delete(requestId);
+        reject(new Error('Request timed out'));
+      }, this.requestTimeout);
+      this.waitingResponses.set(requestId, { resolve, reject, timeout });
+      this.socket.send(frame);
+    });
+  }
+  handleEvent(event) {
+    if (event.event === 'NEW_MAIL') {
+      this.emit('mail', event);
+    }
+  }
+  handleResponse(response) {
+    const pending = this.waitingResponses.get(response.requestId);
+    if (!pending) {
+      console.warn(`Received response without a matching request: ${response.message || response.status}`);
+      return;
+    }
+    clearTimeout(pending.timeout);
+    this.waitingResponses.delete(response.requestId);
+    if (response.status === 'ERROR') {
+      const error = new Error(response.message);
+      error.response = response;
+      pending.reject(error);
+    } else {
+      pending.resolve(response);
+    }
+  }
+}
+async function sha256Hex(data) {
+  const digest = await globalThis.crypto.subtle.digest('SHA-256', typeof data === 'string' ? new TextEncoder().encode(data) : data);
+  return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+}
+async function toBytes(data) {
+  if (typeof data === 'string') {
+    return new TextEncoder().encode(data);
+  }
+  if (data instanceof Uint8Array) {
+    return data;
+  }
+  if (data instanceof ArrayBuffer) {
+    return new Uint8Array(data);
+  }
+  if (ArrayBuffer.isView(data)) {
+    return new Uint8Array(data.buffer, data.byteOffset, data.byteLength);
+  }
+  if (data && typeof data.arrayBuffer === 'function') {
+    return new Uint8Array(await data.arrayBuffer());
+  }
+  throw new Error('Attachment data must be a string, ArrayBuffer, typed array or Blob');
+}
+function bytesToBase64(bytes) {
+  let binary = '';
+  for (let offset = 0; offset < bytes.length; offset += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(offset, offset + 0x8000));
+  }
+  return btoa(binary);
+}
+function base64ToBytes(base64) {
+  return Uint8Array.from(atob(base64), character => character.charCodeAt(0));
+}
+function randomHex(bytes) {
+  return Array.from(globalThis.crypto.getRandomValues(new Uint8Array(bytes)), byte => byte.toString(16).padStart(2, '0')).join('');
+}
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = MMTPBrowserClient;
+} else {
+  globalThis.MMTPBrowserClient = MMTPBrowserClient;
+}
@@ -0,0 +1,423 @@
+#!/usr/bin/env node
+const os = require('os');
+const fs = require('fs-extra');
+const path = require('path');
+const { parseArgs } = require('util');
+const MMTPClient = require('./client');
+const OPTIONS = {
+  config: { type: 'string' },
+  profile: { type: 'string' },
+  json: { type: 'boolean' },
+  verbose: { type: 'boolean' },
+  help: { type: 'boolean', short: 'h' },
+  subject: { type: 'string', short: 's' },
+  body: { type: 'string', short: 'b' },
+  cc: { type: 'string', multiple: true },
+  bcc: { type: 'string', multiple: true },
+  tag: { type: 'string', short: 't', multiple: true },
+  attach: { type: 'string', short: 'a', multiple: true },
+  query: { type: 'string', short: 'q' },
+  folder: { type: 'string' },
+  limit: { type: 'string' },
+  offset: { type: 'string' },
+  unseen: { type: 'boolean' },
+  all: { type: 'boolean' },
+  peek: { type: 'boolean' },
+  'reply-all': { type: 'boolean' },
+  name: { type: 'string' },
+  passphrase: { type: 'string' },
+  token: { type: 'string' }
+};
+const GLOBAL_OPTIONS = ['config', 'profile', 'json', 'verbose', 'help'];
+const COMMANDS = {
+  send: {
+    usage: 'send <to>... -s <subject> [-b <body>] [--cc <address>] [--bcc <address>] [-t <category:tag>] [-a <file>]',
+    options: ['subject', 'body', 'cc', 'bcc', 'tag', 'attach']
+  },
+  inbox: {
+    usage: 'inbox [-t <category:tag>] [-q <query>] [--folder <name>] [--unseen] [--all] [--limit <n>] [--offset <n>]',
+    options: ['tag', 'query', 'folder', 'unseen', 'all', 'limit', 'offset']
+  },
+  check: {
+    usage: 'check [-t <category:tag>] [-q <query>] [--folder <name>]',
+    options: ['tag', 'query', 'folder']
+  },
+  read: {
+    usage: 'read <uid> [--peek]',
+    options: ['peek']
+  },
+  reply: {
+    usage: 'reply <uid> [-b <body>] [--reply-all] [-t <category:tag>] [-a <file>]',
+    options: ['body', 'reply-all', 'tag', 'attach']
+  },
+  keys: {
+    usage: 'keys generate [--name <name>] [--passphrase <passphrase>] | keys register [--token <token>] | keys fetch <address> | keys list',
+    options: ['name', 'passphrase', 'token']
+  },
+  tags: {
+    usage: 'tags',
+    options: []
+  }
+};
+const USAGE = [
+  'Usage: mmtp <command> [options]',
+  '',
+  'Commands:',
+  ...Object.values(COMMANDS).map(command => `  mmtp ${command.usage}`),
+  '',
+  'Global options:',
+  '  --config <path>    Config file (default: $MMTP_CONFIG or ~/.mmtp/config.json)',
+  '  --profile <name>   Profile to use (default: $MMTP_PROFILE, defaultProfile or "default")',
+  '  --json             Print the server response as JSON',
+  '  --verbose          Log connection details to stderr',
+  '  -h, --help         Show this help'
+].join('\n');
+class UsageError extends Error {}
+class MMTPCli {
+  constructor(options = {}) {
+    this.stdin = options.stdin || process.stdin;
+    this.stdout = options.stdout || process.stdout;
+    this.stderr = options.stderr || process.stderr;
+    this.env = options.env || process.env;
+    this.homeDir = options.homeDir || os.homedir();
+    this.verbose = false;
+    this.client = null;
+  }
+  async run(argv) {
+    let values = { json: argv.includes('--json') };
+    try {
+      const parsed = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+      values = parsed.values;
+      this.verbose = Boolean(values.verbose);
+      const [command, ...args] = parsed.positionals;
+      if (values.help || !command) {
+        this.write(USAGE);
+        return values.help ? 0 : 2;
+      }
+      if (!COMMANDS[command]) {
+        throw new UsageError(`Unknown command "${command}"`);
+      }
+      const unsupported = Object.keys(values).find(option =>
+        !GLOBAL_OPTIONS.includes(option) && !COMMANDS[command].options.includes(option)
+      );
+      if (unsupported) {
+        throw new UsageError(`Option --${unsupported} is not supported by "${command}"`);
+      }
+      const profile = await this.loadProfile(values);
+      const result = await this[`${command}Command`](args, values, profile);
+      this.write(values.json ? JSON.stringify(result.response, null, 2) : result.text);
+      return 0;
+    } catch (error) {
+      const usage = error instanceof UsageError || error.code === 'ERR_PARSE_ARGS_UNKNOWN_OPTION' ||
+        error.code === 'ERR_PARSE_ARGS_INVALID_OPTION_VALUE' || error.code === 'ERR_PARSE_ARGS_UNEXPECTED_POSITIONAL';
+      if (values.json) {
+        this.write(JSON.stringify({ status: 'ERROR', message: error.message }, null, 2));
+      } else {
+        this.stderr.write(`mmtp: ${error.message}\n${usage ? 'Run "mmtp --help" for usage.\n' : ''}`);
+      }
+      return usage ? 2 : 1;
+    } finally {
+      if (this.client) {
+        this.client.disconnect();
+        this.client = null;
+      }
+    }
+  }
+  write(text) {
+    this.stdout.write(`${text}\n`);
+  }
+  async loadProfile(values) {
+    const configPath = path.resolve(values.config || this.env.MMTP_CONFIG || path.join(this.homeDir, '.mmtp', 'config.json'));
+    let config = {};
+    if (await fs.pathExists(configPath)) {
+      try {
+        config = await fs.readJson(configPath);
+      } catch (error) {
+        throw new Error(`Failed to read config ${configPath}: ${error.message}`);
+      }
+    } else if (values.config) {
+      throw new Error(`Config file not found: ${configPath}`);
+    }
+    const name = values.profile || this.env.MMTP_PROFILE || config.defaultProfile || 'default';
+    const profiles = config.profiles || {};
+    if (!profiles[name] && name !== 'default') {
+      throw new Error(`Profile "${name}" not found in ${configPath}`);
+    }
+    const profile = profiles[name] || {};
+    const keyStorePath = profile.keyStorePath
+      ? path.resolve(path.dirname(configPath), profile.keyStorePath.replace(/^~(?=$|\/)/, this.homeDir))
+      : path.join(this.homeDir, '.mmtp', 'keystore');
+    return {
+      ...profile,
+      name,
+      keyStorePath,
+      password: profile.password ?? this.env.MMTP_PASSWORD
+    };
+  }
+  createClient(profile, overrides = {}) {
+    const silent = () => {};
+    const log = this.verbose ? (...args) => this.stderr.write(`${args.join(' ')}\n`) : silent;
+    return new MMTPClient({
+      serverHost: profile.serverHost,
+      serverPort: profile.serverPort,
+      securePort: profile.securePort,
+      useTLS: profile.useTLS,
+      verifyTLS: profile.verifyTLS,
+      usePGP: profile.usePGP,
+      keyStorePath: profile.keyStorePath,
+      requestTimeout: profile.requestTimeout,
+      logger: { log, warn: log, error: log },
+      ...overrides
+    });
+  }
+  async connect(profile, overrides = {}, options = {}) {
+    await fs.ensureDir(profile.keyStorePath);
+    this.client = this.createClient(profile, overrides);
+    await this.client.connect(profile.useTLS ?? true);
+    if (!profile.email) {
+      return this.client;
+    }
+    if (profile.password !== undefined) {
+      await this.client.authenticate(profile.email, { password: profile.password });
+    } else if (options.keyAuth !== false && this.client.usePGP &&
+        await fs.pathExists(this.client.protocol.getPrivateKeyPath(profile.email))) {
+      try {
+        await this.client.authenticate(profile.email);
+      } catch (error) {
+        if (!options.authOptional || !error.response) {
+          throw error;
+        }
+        this.client.logger.log(`Sending without authentication: ${error.message}`);
+      }
+    }
+    return this.client;
+  }
+  requireIdentity(profile) {
+    if (!profile.email) {
+      throw new Error(`No identity configured: set "email" in profile "${profile.name}"`);
+    }
+    return profile.email;
+  }
+  parseTags(values) {
+    const tags = {};
+    for (const value of values || []) {
+      const [category, tag] = value.split(':');
+      if (!category || !tag) {
+        throw new UsageError(`Invalid tag "${value}": use category:tag`);
+      }
+      tags[category] = [...new Set([...(tags[category] || []), tag])];
+    }
+    return tags;
+  }
+  parseCount(value, option, fallback, minimum = 0) {
+    if (value === undefined) {
+      return fallback;
+    }
+    const count = Number(value);
+    if (!Number.isInteger(count) || count < minimum) {
+      throw new UsageError(`--${option} must be an integer of at least ${minimum}`);
+    }
+    return count;
+  }
+  parseUid(args, usage) {
+    const uid = Number(args[0]);
+    if (args.length !== 1 || !Number.isInteger(uid) || uid < 1) {
+      throw new UsageError(`Usage: mmtp ${usage}`);
+    }
+    return uid;
+  }
+  async readBody(body) {
+    if (body !== undefined) {
+      return body;
+    }
+    if (this.stdin.isTTY) {
+      throw new UsageError('A message body is required: pass --body or pipe it on stdin');
+    }
+    const chunks = [];
+    for await (const chunk of this.stdin) {
+      chunks.push(Buffer.from(chunk));
+    }
+    return Buffer.concat(chunks).toString('utf8');
+  }
+  async fetchMessage(email, uid, peek) {
+    const { messages } = await this.client.fetchMail(email, uid, { peek });
+    if (messages.length === 0) {
+      throw new Error(`No message with UID ${uid}`);
+    }
+    return messages[0];
+  }
+  formatTags(tags = {}) {
+    return Object.entries(tags).flatMap(([category, values]) => values.map(tag => `${category}:${tag}`)).join(' ');
+  }
+  formatDate(timestamp) {
+    return new Date(timestamp).toISOString().replace('T', ' ').slice(0, 16);
+  }
+  formatSubject(message) {
+    return message.meta.encrypted && !message.meta.decrypted ? '(encrypted)' : message.content.subject || '(no subject)';
+  }
+  async sendCommand(args, values, profile) {
+    const email = this.requireIdentity(profile);
+    if (args.length === 0) {
+      throw new UsageError(`Usage: mmtp ${COMMANDS.send.usage}`);
+    }
+    if (values.subject === undefined) {
+      throw new UsageError('A subject is required: pass --subject');
+    }
+    const tags = this.parseTags(values.tag);
+    const body = await this.readBody(values.body);
+    await this.connect(profile, {}, { authOptional: true });
+    const response = await this.client.sendMail(email, args, values.subject, body, {
+      cc: values.cc,
+      bcc: values.bcc,
+      tags,
+      attachments: values.attach
+    });
+    return { response, text: `Sent ${response.messageId}: ${response.message}` };
+  }
+  async inboxCommand(args, values, profile) {
+    const email = this.requireIdentity(profile);
+    const offset = this.parseCount(values.offset, 'offset', 0);
+    const limit = this.parseCount(values.limit, 'limit', 20, 1);
+    const terms = [
+      ...(values.all ? [] : ['-is:deleted']),
+      ...(values.unseen ? ['is:unseen'] : []),
+      ...(values.query ? [`(${values.query})`] : [])
+    ];
+    await this.connect(profile);
+    const response = await this.client.fetchMail(email, {}, {
+      peek: true,
+      folder: values.folder || 'INBOX',
+      tagFilters: this.parseTags(values.tag),
+      ...(terms.length > 0 ? { query: terms.join(' ') } : {}),
+      offset,
+      limit
+    });
+    if (response.count === 0) {
+      return { response, text: 'No messages' };
+    }
+    const lines = response.messages.map((message) => {
+      const marker = message.meta.flags.includes('seen') ? ' ' : '*';
+      const tags = this.formatTags(this.client.protocol.getMessageTags(message));
+      return `${marker} ${String(message.meta.uid).padStart(5)}  ${this.formatDate(message.meta.timestamp)}  ${message.sender}  ${this.formatSubject(message)}${tags ? `  [${tags}]` : ''}`;
+    });
+    lines.push(`Showing ${offset + 1}-${offset + response.count} of ${response.total}`);
+    return { response, text: lines.join('\n') };
+  }
+  async checkCommand(args, values, profile) {
+    const email = this.requireIdentity(profile);
+    const tagFilters = this.parseTags(values.tag);
+    await this.connect(profile);
+    const response = await this.client.checkMail(email, {
+      ...(values.folder ? { folder: values.folder } : {}),
+      ...(Object.keys(tagFilters).length > 0 ? { tagFilters } : {}),
+      ...(values.query ? { query: values.query } : {})
+    });
+    const lines = [`${response.count} unseen in ${values.folder || 'INBOX'}, ${response.exists} messages in the mailbox`];
+    for (const [folder, count] of Object.entries(response.folders || {})) {
+      lines.push(`  ${folder}: ${count} unseen`);
+    }
+    return { response, text: lines.join('\n') };
+  }
+  async readCommand(args, values, profile) {
+    const email = this.requireIdentity(profile);
+    const uid = this.parseUid(args, COMMANDS.read.usage);
+    await this.connect(profile);
+    const message = await this.fetchMessage(email, uid, Boolean(values.peek));
+    const { recipients = { to: [message.recipient] } } = message;
+    const tags = this.formatTags(this.client.protocol.getMessageTags(message));
+    const lines = [
+      `From: ${message.sender}`,
+      `To: ${recipients.to.join(', ')}`,
+      ...(recipients.cc && recipients.cc.length > 0 ? [`Cc: ${recipients.cc.join(', ')}`] : []),
+      `Date: ${new Date(message.meta.timestamp).toISOString()}`,
+      `Subject: ${this.formatSubject(message)}`,
+      ...(tags ? [`Tags: ${tags}`] : []),
+      `Message-ID: ${message.meta.messageId}`,
+      '',
+      message.meta.encrypted && !message.meta.decrypted ? '(encrypted)' : message.content.body
+    ];
+    for (const attachment of message.content.attachments || []) {
+      lines.push(`[attachment: ${attachment.filename}, ${attachment.size} bytes]`);
+    }
+    return { response: message, text: lines.join('\n') };
+  }
+  async replyCommand(args, values, profile) {
+    const email = this.requireIdentity(profile);
+    const uid = this.parseUid(args, COMMANDS.reply.usage);
+    const tags = this.parseTags(values.tag);
+    const body = await this.readBody(values.body);
+    await this.connect(profile);
+    const original = await this.fetchMessage(email, uid, true);
+    const response = await this.client.replyToMail(original, email, body, {
+      replyAll: Boolean(values['reply-all']),
+      ...(Object.keys(tags).length > 0 ? { tags } : {}),
+      attachments: values.attach
+    });
+    await this.client.setFlags(email, [uid], ['answered']);
+    return { response, text: `Replied to ${original.sender} with ${response.messageId}` };
+  }
+  async keysCommand(args, values, profile) {
+    const [subcommand, ...rest] = args;
+    switch (subcommand) {
+      case 'generate': {
+        const email = this.requireIdentity(profile);
+        await fs.ensureDir(profile.keyStorePath);
+        const client = this.createClient(profile, { usePGP: true });
+        const name = values.name || email.replace(/^\(([^)]*)\).*$/, '$1');
+        const response = await client.generateKeys(email, name, values.passphrase || '');
+        return { response, text: `Generated a key pair for ${email} in ${profile.keyStorePath}` };
+      }
+      case 'register': {
+        const email = this.requireIdentity(profile);
+        await this.connect(profile, { usePGP: true }, { keyAuth: false });
+        const token = values.token ?? profile.registrationToken ?? this.env.MMTP_REGISTRATION_TOKEN;
+        const response = await this.client.registerPublicKey(email, { token });
+        return { response, text: response.message || `Registered the public key for ${email}` };
+      }
+      case 'fetch': {
+        if (rest.length !== 1) {
+          throw new UsageError('Usage: mmtp keys fetch <address>');
+        }
+        await this.connect(profile, { usePGP: true });
+        const response = await this.client.requestPublicKey(rest[0]);
+        return { response, text: `Saved the public key for ${response.email} in ${profile.keyStorePath}` };
+      }
+      case 'list': {
+        const files = await fs.pathExists(profile.keyStorePath) ? await fs.readdir(profile.keyStorePath) : [];
+        const keys = files.filter(file => file.endsWith('.pub.asc')).map((file) => {
+          const email = file.slice(0, -'.pub.asc'.length);
+          return { email, private: files.includes(`${email}.priv.asc`) };
+        });
+        return {
+          response: { status: 'OK', keys },
+          text: keys.length > 0
+            ? keys.map(key => `${key.email}${key.private ? '  (private key)' : ''}`).join('\n')
+            : `No keys in ${profile.keyStorePath}`
+        };
+      }
+      default:
+        throw new UsageError(`Usage: mmtp ${COMMANDS.keys.usage}`);
+    }
+  }
+  async tagsCommand(args, values, profile) {
+    let response;
+    if (profile.email) {
+      await this.connect(profile);
+      response = await this.client.fetchTagCategories(profile.email);
+    } else {
+      response = { status: 'OK', tagCategories: this.createClient(profile).getTagCategories() };
+    }
+    const userCategories = response.userTagCategories || {};
+    const text = Object.entries(response.tagCategories)
+      .map(([category, tags]) => `${category}${userCategories[category] ? ' *' : ''}: ${tags.join(', ')}`)
+      .join('\n');
+    return { response, text };
+  }
+}
+if (require.main === module) {
+  const cli = new MMTPCli();
+  cli.run(process.argv.slice(2)).then((code) => {
+    process.exitCode = code;
+  });
+}
+module.exports = MMTPCli;
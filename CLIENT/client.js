@@ -2,9 +2,12 @@ const net = require('net');
 const tls = require('tls');
 const fs = require('fs-extra');
 const path = require('path');
+const EventEmitter = require('events');
 const MMTPProtocol = require('../protocol');
-class MMTPClient {
+const Outbox = require('./outbox');
+class MMTPClient extends EventEmitter {
   constructor(options = {}) {
+    super();
     this.serverHost = options.serverHost || 'localhost';
     this.serverPort = options.serverPort || 8025;
     this.securePort = options.securePort || 8026;
@@ -13,20 +16,43 @@ class MMTPClient {
     this.verifyTLS = options.verifyTLS ?? false;
     this.keyStorePath = options.keyStorePath || path.join(process.cwd(), 'keystore');
     this.email = options.email || null;
+    this.logger = options.logger || console;
     this.protocol = new MMTPProtocol(
       options.difficulty || 5, 
       { 
         useTLS: this.useTLS, 
         usePGP: this.usePGP,
-        keyStorePath: this.keyStorePath
+        keyStorePath: this.keyStorePath,
+        maxFrameSize: options.maxFrameSize,
+        useWorkers: options.useWorkers,
+        minter: options.minter
       }
     );
     this.socket = null;
     this.connected = false;
     this.waitingResponses = new Map();
+    this.nextRequestId = 1;
+    this.requestTimeout = options.requestTimeout || 10000;
     this.serverFeatures = null;
+    this.maxRequestSize = this.protocol.maxFrameSize;
+    this.reconnect = options.reconnect
+      ? { initialDelay: 500, maxDelay: 30000, maxAttempts: Infinity, ...(options.reconnect === true ? {} : options.reconnect) }
+      : null;
+    this.reconnectAttempts = 0;
+    this.reconnectTimer = null;
+    this.restoring = false;
+    this.outbox = this.reconnect || options.outboxPath
+      ? new Outbox({ path: options.outboxPath || path.join(path.dirname(this.keyStorePath), 'outbox') })
+      : null;
+    this.flushing = null;
+    this.credentials = null;
+    this.subscriptions = new Set();
+    this.closing = false;
+    this.useSecure = true;
   }
   connect(useSecure = true) {
+    this.useSecure = useSecure;
+    this.closing = false;
     return new Promise((resolve, reject) => {
       const shouldUseTLS = this.useTLS && useSecure;
       if (shouldUseTLS) {
@@ -37,167 +63,338 @@ class MMTPClient {
         };
         this.socket = tls.connect(tlsOptions, () => {
           this.connected = true;
-          console.log(`Connected to MMTP server at ${this.serverHost}:${this.securePort} (TLS)`);
+          this.logger.log(`Connected to MMTP server at ${this.serverHost}:${this.securePort} (TLS)`);
           this.setupSocketHandlers(resolve, reject, true);
         });
         this.socket.on('error', (error) => {
-          console.error('TLS connection error:', error);
+          this.logger.error('TLS connection error:', error);
           reject(error);
         });
       } else {
         this.socket = new net.Socket();
         this.socket.connect(this.serverPort, this.serverHost, () => {
           this.connected = true;
-          console.log(`Connected to MMTP server at ${this.serverHost}:${this.serverPort}`);
+          this.logger.log(`Connected to MMTP server at ${this.serverHost}:${this.serverPort}`);
           this.setupSocketHandlers(resolve, reject, false);
         });
         this.socket.on('error', (error) => {
-          console.error('Connection error:', error);
+          this.logger.error('Connection error:', error);
           reject(error);
         });
       }
     });
   }
   setupSocketHandlers(resolve, reject, isSecure) {
-    this.socket.on('data', (data) => {
-      try {
-        const response = JSON.parse(data.toString());
+    const { socket } = this;
+    const parser = this.protocol.createFrameParser(
+      (response) => {
         if (response.status === 'OK' && response.message && response.message.includes('MMTP Server Ready')) {
           this.serverFeatures = response.features || null;
+          this.maxRequestSize = Math.min(
+            this.protocol.maxFrameSize,
+            (this.serverFeatures && this.serverFeatures.maxFrameSize) || Infinity
+          );
           resolve({
             connected: true,
             secure: isSecure,
             features: this.serverFeatures
           });
+          if (this.outbox && this.outbox.size > 0 && !this.restoring) {
+            setImmediate(() => this.flushOutbox());
+          }
+        } else if (response.event) {
+          this.handleEvent(response);
         } else {
           this.handleResponse(response);
         }
-      } catch (error) {
-        console.error('Failed to parse server response:', error);
+      },
+      (error) => {
+        this.logger.error('Failed to parse server response:', error.message);
       }
+    );
+    socket.on('data', (data) => {
+      parser.push(data);
     });
-    this.socket.on('error', (error) => {
-      console.error('Connection error:', error);
-      this.connected = false;
-    });
-    this.socket.on('close', () => {
-      console.log('Connection closed');
+    socket.on('close', () => {
+      if (this.socket !== socket) {
+        return;
+      }
+      this.logger.log('Connection closed');
       this.connected = false;
+      reject(new Error('Connection closed before the server was ready'));
+      this.rejectPending('Connection closed');
+      if (this.reconnect && !this.closing) {
+        this.scheduleReconnect();
+      }
     });
   }
   disconnect() {
+    this.closing = true;
+    if (this.reconnectTimer) {
+      clearTimeout(this.reconnectTimer);
+      this.reconnectTimer = null;
+    }
     if (this.socket && this.connected) {
       this.socket.end();
       this.connected = false;
-      console.log('Disconnected from MMTP server');
+      this.rejectPending('Disconnected from MMTP server');
+      this.logger.log('Disconnected from MMTP server');
+    }
+  }
+  rejectPending(message) {
+    for (const { reject, timeout } of this.waitingResponses.values()) {
+      clearTimeout(timeout);
+      reject(Object.assign(new Error(message), { code: 'CONNECTION_CLOSED' }));
+    }
+    this.waitingResponses.clear();
+  }
+  getReconnectDelay(attempts) {
+    return Math.min(this.reconnect.maxDelay, this.reconnect.initialDelay * Math.pow(2, attempts));
+  }
+  scheduleReconnect() {
+    if (this.reconnectTimer) {
+      return;
+    }
+    if (this.reconnectAttempts >= this.reconnect.maxAttempts) {
+      this.logger.error(`Giving up reconnecting after ${this.reconnectAttempts} attempt(s)`);
+      this.emit('reconnectFailed', { attempts: this.reconnectAttempts });
+      return;
+    }
+    const delay = this.getReconnectDelay(this.reconnectAttempts);
+    this.reconnectAttempts++;
+    this.reconnectTimer = setTimeout(() => {
+      this.reconnectTimer = null;
+      this.reconnectNow().catch(() => {
+        if (!this.connected && !this.closing) {
+          this.scheduleReconnect();
+        }
+      });
+    }, delay);
+    this.reconnectTimer.unref();
+  }
+  async reconnectNow() {
+    this.restoring = true;
+    try {
+      await this.connect(this.useSecure);
+      const attempts = this.reconnectAttempts;
+      this.reconnectAttempts = 0;
+      try {
+        if (this.credentials) {
+          await this.authenticate(this.credentials.email, this.credentials.options);
+        }
+        for (const email of this.subscriptions) {
+          await this.sendRequest('SUBSCRIBE', { email });
+        }
+      } catch (error) {
+        this.logger.error(`Failed to restore the session after reconnecting: ${error.message}`);
+      }
+      this.emit('reconnect', { attempts });
+    } finally {
+      this.restoring = false;
     }
+    await this.flushOutbox();
   }
   async sendMail(from, to, subject, body, options = {}) {
-    if (!this.connected) {
+    if (!this.connected && !this.outbox) {
       throw new Error('Not connected to MMTP server');
     }
     const messageOptions = {
       encrypt: this.usePGP && options.encrypt !== false,
       sign: this.usePGP && options.sign !== false,
       tags: options.tags || {},
-      ...options
-    };
-    const packet = await this.protocol.createMessagePacket(from, to, subject, body, 'SEND', messageOptions);
-    const request = {
-      action: 'SEND',
-      data: {
-        packet
-      }
+      ...options,
+      attachments: await this.resolveAttachments(options.attachments)
     };
-    return new Promise((resolve, reject) => {
-      try {
-        this.socket.write(JSON.stringify(request));
-        const timeout = setTimeout(() => {
-          reject(new Error('Request timed out'));
-        }, 10000);
-        this.waitingResponses.set('SEND', { resolve, reject, timeout });
-      } catch (error) {
-        reject(error);
-      }
+    const packet = await this.protocol.createMessagePacket(from, to, subject, body, 'SEND', {
+      ...messageOptions,
+      ...this.getProofOfWork()
     });
+    return this.sendPacket(packet);
   }
   async replyToMail(originalMessagePacket, from, body, options = {}) {
-    if (!this.connected) {
+    if (!this.connected && !this.outbox) {
       throw new Error('Not connected to MMTP server');
     }
     const messageOptions = {
       encrypt: this.usePGP && options.encrypt !== false,
       sign: this.usePGP && options.sign !== false,
       tags: options.tags || (originalMessagePacket.meta.tags || {}),
-      ...options
+      ...options,
+      attachments: await this.resolveAttachments(options.attachments)
+    };
+    const packet = await this.protocol.createReplyPacket(originalMessagePacket, from, body, {
+      ...messageOptions,
+      ...this.getProofOfWork()
+    });
+    return this.sendPacket(packet);
+  }
+  async forwardMail(originalMessagePacket, from, to, body = '', options = {}) {
+    if (!this.connected && !this.outbox) {
+      throw new Error('Not connected to MMTP server');
+    }
+    const messageOptions = {
+      encrypt: this.usePGP && options.encrypt !== false,
+      sign: this.usePGP && options.sign !== false,
+      tags: options.tags || (originalMessagePacket.meta.tags || {}),
+      ...options,
+      attachments: await this.resolveAttachments(options.attachments)
     };
-    const packet = await this.protocol.createReplyPacket(originalMessagePacket, from, body, messageOptions);
-    const request = {
-      action: 'SEND',
-      data: {
-        packet
+    const packet = await this.protocol.createForwardPacket(originalMessagePacket, from, to, body, {
+      ...messageOptions,
+      ...this.getProofOfWork()
+    });
+    return this.sendPacket(packet);
+  }
+  premint(from, to, options = {}) {
+    return this.protocol.premintHashCash(from, to, {
+      ...this.getProofOfWork(),
+      ...options
+    });
+  }
+  getDifficulty() {
+    return (this.serverFeatures && this.serverFeatures.difficulty) || this.protocol.difficulty;
+  }
+  getProofOfWork() {
+    const offered = (this.serverFeatures && this.serverFeatures.pow) || [];
+    const supported = offered.find(entry => this.protocol.powRegistry.has(entry.scheme));
+    if (supported) {
+      return { difficulty: supported.difficulty, pow: { scheme: supported.scheme, params: supported.params } };
+    }
+    return { difficulty: this.getDifficulty(), pow: { scheme: 'sha256' } };
+  }
+  async sendPacket(packet) {
+    if (!this.connected && this.outbox) {
+      return this.queuePacket(packet);
+    }
+    try {
+      return await this.submitPacket(packet);
+    } catch (error) {
+      if (error.code === 'CONNECTION_CLOSED' && this.outbox) {
+        return this.queuePacket(packet);
       }
+      throw error;
+    }
+  }
+  async queuePacket(packet) {
+    await this.outbox.add(packet);
+    return {
+      status: 'OK',
+      queued: true,
+      message: 'Not connected: the message is in the outbox and will be sent after reconnecting',
+      messageId: packet.meta.messageId
     };
-    return new Promise((resolve, reject) => {
+  }
+  flushOutbox() {
+    if (!this.flushing) {
+      this.flushing = this.deliverOutbox().finally(() => {
+        this.flushing = null;
+      });
+    }
+    return this.flushing;
+  }
+  async deliverOutbox() {
+    let sent = 0;
+    for (const entry of this.outbox.list()) {
+      if (!this.connected) {
+        break;
+      }
+      entry.attempts++;
       try {
-        this.socket.write(JSON.stringify(request));
-        const timeout = setTimeout(() => {
-          reject(new Error('Request timed out'));
-        }, 10000);
-        this.waitingResponses.set('REPLY', { resolve, reject, timeout });
+        const response = await this.submitPacket(entry.packet);
+        await this.outbox.remove(entry);
+        sent++;
+        this.emit('outboxSent', { messageId: entry.id, response, duplicate: Boolean(response.duplicate) });
       } catch (error) {
-        reject(error);
+        if (!error.response) {
+          await this.outbox.persist(entry);
+          break;
+        }
+        await this.outbox.remove(entry);
+        this.emit('outboxFailed', { messageId: entry.id, packet: entry.packet, error });
       }
-    });
+    }
+    return { sent, remaining: this.outbox.size };
+  }
+  async submitPacket(packet) {
+    try {
+      return await this.sendRequest('SEND', { packet });
+    } catch (error) {
+      const requiredDifficulty = error.response && error.response.requiredDifficulty;
+      const stamp = this.protocol.parseHashCash(packet.meta.hashcashToken.token);
+      if (!requiredDifficulty || requiredDifficulty <= stamp.difficulty) {
+        throw error;
+      }
+      packet.meta.hashcashToken = await this.protocol.mintHashCash(
+        packet.sender,
+        this.protocol.getPacketHashCashRecipient(packet),
+        packet.meta.timestamp,
+        requiredDifficulty,
+        { scheme: stamp.scheme, params: stamp.params }
+      );
+      return this.sendRequest('SEND', { packet });
+    }
+  }
+  async attachFile(filePath, options = {}) {
+    const data = await fs.readFile(filePath);
+    return this.protocol.createAttachment(options.filename || filePath, data, options.contentType);
   }
-  checkMail(email) {
+  async resolveAttachments(attachments = []) {
+    const resolved = [];
+    for (const attachment of attachments) {
+      resolved.push(typeof attachment === 'string' ? await this.attachFile(attachment) : attachment);
+    }
+    return resolved;
+  }
+  async saveAttachment(messagePacket, attachment, targetDir) {
+    const attachments = messagePacket.content.attachments || [];
+    const selected = typeof attachment === 'number'
+      ? attachments[attachment]
+      : attachments.find(candidate => candidate.filename === attachment);
+    if (!selected) {
+      throw new Error(`Attachment not found: ${attachment}`);
+    }
+    const data = this.protocol.decodeAttachment(selected);
+    const targetPath = path.join(targetDir, path.basename(selected.filename));
+    await fs.ensureDir(targetDir);
+    await fs.writeFile(targetPath, data);
+    return targetPath;
+  }
+  async receiveAll(action, data) {
+    const response = await this.sendRequest(action, data);
+    let page = response;
+    while (page.truncated && page.count > 0) {
+      page = await this.sendRequest(action, data);
+      response.messages.push(...page.messages);
+      response.count += page.count;
+    }
+    delete response.truncated;
+    return response;
+  }
+  checkMail(email, filters = {}) {
     if (!this.connected) {
       throw new Error('Not connected to MMTP server');
     }
     if (!this.protocol.validateEmailFormat(email)) {
       throw new Error('Invalid email format. Must be (name)%(domain)');
     }
-    const request = {
-      action: 'CHECK',
-      data: {
-        email
-      }
-    };
-    return new Promise((resolve, reject) => {
-      try {
-        this.socket.write(JSON.stringify(request));
-        const timeout = setTimeout(() => {
-          reject(new Error('Request timed out'));
-        }, 10000);
-        this.waitingResponses.set('CHECK', { resolve, reject, timeout });
-      } catch (error) {
-        reject(error);
-      }
+    if (filters.query !== undefined) {
+      this.protocol.parseQuery(filters.query);
+    }
+    return this.sendRequest('CHECK', {
+      email,
+      ...filters
     });
   }
-  receiveMail(email) {
+  receiveMail(email, options = {}) {
     if (!this.connected) {
       throw new Error('Not connected to MMTP server');
     }
     if (!this.protocol.validateEmailFormat(email)) {
       throw new Error('Invalid email format. Must be (name)%(domain)');
     }
-    const request = {
-      action: 'RECEIVE',
-      data: {
-        email
-      }
-    };
-    return new Promise((resolve, reject) => {
-      try {
-        this.socket.write(JSON.stringify(request));
-        const timeout = setTimeout(() => {
-          reject(new Error('Request timed out'));
-        }, 10000);
-        this.waitingResponses.set('RECEIVE', { resolve, reject, timeout });
-      } catch (error) {
-        reject(error);
-      }
+    return this.receiveAll('RECEIVE', {
+      email,
+      ...options
     });
   }
   receiveMailByTags(email, tagFilters) {
@@ -207,31 +404,291 @@ class MMTPClient {
     if (!this.protocol.validateEmailFormat(email)) {
       throw new Error('Invalid email format. Must be (name)%(domain)');
     }
-    const request = {
-      action: 'RECEIVE_FILTERED',
-      data: {
+    return this.receiveAll('RECEIVE_FILTERED', {
+      email,
+      tagFilters
+    });
+  }
+  receiveMailByQuery(email, query) {
+    if (!this.connected) {
+      throw new Error('Not connected to MMTP server');
+    }
+    if (!this.protocol.validateEmailFormat(email)) {
+      throw new Error('Invalid email format. Must be (name)%(domain)');
+    }
+    this.protocol.parseQuery(query);
+    return this.receiveAll('RECEIVE_FILTERED', {
+      email,
+      query
+    });
+  }
+  fetchMail(email, selection = {}, options = {}) {
+    if (!this.connected) {
+      throw new Error('Not connected to MMTP server');
+    }
+    if (!this.protocol.validateEmailFormat(email)) {
+      throw new Error('Invalid email format. Must be (name)%(domain)');
+    }
+    return this.sendRequest('FETCH', {
+      email,
+      ...this.normalizeSelection(selection),
+      ...options,
+      peek: options.peek || false
+    });
+  }
+  search(email, query, options = {}) {
+    if (!this.connected) {
+      throw new Error('Not connected to MMTP server');
+    }
+    if (!this.protocol.validateEmailFormat(email)) {
+      throw new Error('Invalid email format. Must be (name)%(domain)');
+    }
+    if (options.filter !== undefined) {
+      this.protocol.parseQuery(options.filter);
+    }
+    return this.sendRequest('SEARCH', {
+      email,
+      query,
+      ...options
+    });
+  }
+  getConversation(email, message, options = {}) {
+    if (!this.connected) {
+      throw new Error('Not connected to MMTP server');
+    }
+    if (!this.protocol.validateEmailFormat(email)) {
+      throw new Error('Invalid email format. Must be (name)%(domain)');
+    }
+    const selector = typeof message === 'number'
+      ? { uid: message }
+      : { messageId: typeof message === 'string' ? message : message.meta.messageId };
+    return this.sendRequest('GET_CONVERSATION', {
+      email,
+      ...selector,
+      peek: options.peek || false
+    });
+  }
+  groupThreads(messages) {
+    return this.protocol.groupThreads(messages);
+  }
+  setFlags(email, selection, flags, mode = 'add') {
+    if (!this.connected) {
+      throw new Error('Not connected to MMTP server');
+    }
+    if (!this.protocol.validateEmailFormat(email)) {
+      throw new Error('Invalid email format. Must be (name)%(domain)');
+    }
+    return this.sendRequest('SET_FLAGS', {
+      email,
+      ...this.normalizeSelection(selection),
+      flags,
+      mode
+    });
+  }
+  retag(email, selection, tags) {
+    if (!this.connected) {
+      throw new Error('Not connected to MMTP server');
+    }
+    if (!this.protocol.validateEmailFormat(email)) {
+      throw new Error('Invalid email format. Must be (name)%(domain)');
+    }
+    return this.updateTags(email, selection, { tags });
+  }
+  updateTags(email, selection, changes = {}) {
+    if (!this.connected) {
+      throw new Error('Not connected to MMTP server');
+    }
+    if (!this.protocol.validateEmailFormat(email)) {
+      throw new Error('Invalid email format. Must be (name)%(domain)');
+    }
+    const { messageIds, query } = selection && typeof selection === 'object' && !Array.isArray(selection) ? selection : {};
+    if (query !== undefined) {
+      this.protocol.parseQuery(query);
+    }
+    return this.sendRequest('UPDATE_TAGS', {
+      email,
+      ...this.normalizeSelection(selection),
+      messageIds,
+      query,
+      tags: changes.tags,
+      add: changes.add,
+      remove: changes.remove
+    });
+  }
+  deleteMail(email, selection) {
+    if (!this.connected) {
+      throw new Error('Not connected to MMTP server');
+    }
+    if (!this.protocol.validateEmailFormat(email)) {
+      throw new Error('Invalid email format. Must be (name)%(domain)');
+    }
+    return this.sendRequest('DELETE', {
+      email,
+      ...this.normalizeSelection(selection)
+    });
+  }
+  expunge(email, selection = {}) {
+    if (!this.connected) {
+      throw new Error('Not connected to MMTP server');
+    }
+    if (!this.protocol.validateEmailFormat(email)) {
+      throw new Error('Invalid email format. Must be (name)%(domain)');
+    }
+    return this.sendRequest('EXPUNGE', {
+      email,
+      ...this.normalizeSelection(selection)
+    });
+  }
+  normalizeSelection(selection) {
+    if (Array.isArray(selection)) {
+      return { uids: selection };
+    }
+    if (typeof selection === 'number') {
+      return { uids: [selection] };
+    }
+    if (typeof selection === 'string') {
+      return { range: selection };
+    }
+    const { uids, range } = selection || {};
+    return { uids, range };
+  }
+  async authenticate(email, options = {}) {
+    if (!this.connected) {
+      throw new Error('Not connected to MMTP server');
+    }
+    if (!this.protocol.validateEmailFormat(email)) {
+      throw new Error('Invalid email format. Must be (name)%(domain)');
+    }
+    let response;
+    if (options.password !== undefined) {
+      response = await this.sendRequest('AUTH', {
         email,
-        tagFilters
-      }
-    };
-    return new Promise((resolve, reject) => {
-      try {
-        this.socket.write(JSON.stringify(request));
-        const timeout = setTimeout(() => {
-          reject(new Error('Request timed out'));
-        }, 10000);
-        this.waitingResponses.set('RECEIVE_FILTERED', { resolve, reject, timeout });
-      } catch (error) {
-        reject(error);
+        method: 'password',
+        password: options.password
+      });
+    } else {
+      if (!this.usePGP) {
+        throw new Error('PGP support is not enabled');
       }
+      const challenge = await this.sendRequest('AUTH_CHALLENGE', {
+        email
+      });
+      const signature = await this.protocol.signAuthChallenge(email, challenge.nonce);
+      response = await this.sendRequest('AUTH', {
+        email,
+        method: 'pgp',
+        signature
+      });
+    }
+    this.email = email;
+    this.credentials = { email, options };
+    return response;
+  }
+  setRules(email, rules) {
+    if (!this.connected) {
+      throw new Error('Not connected to MMTP server');
+    }
+    if (!this.protocol.validateEmailFormat(email)) {
+      throw new Error('Invalid email format. Must be (name)%(domain)');
+    }
+    return this.sendRequest('SET_RULES', {
+      email,
+      rules
+    });
+  }
+  getRules(email) {
+    if (!this.connected) {
+      throw new Error('Not connected to MMTP server');
+    }
+    if (!this.protocol.validateEmailFormat(email)) {
+      throw new Error('Invalid email format. Must be (name)%(domain)');
+    }
+    return this.sendRequest('GET_RULES', {
+      email
+    });
+  }
+  subscribe(email) {
+    if (!this.connected) {
+      throw new Error('Not connected to MMTP server');
+    }
+    if (!this.protocol.validateEmailFormat(email)) {
+      throw new Error('Invalid email format. Must be (name)%(domain)');
+    }
+    return this.sendRequest('SUBSCRIBE', {
+      email
+    }).then((response) => {
+      this.subscriptions.add(email);
+      return response;
+    });
+  }
+  unsubscribe(email) {
+    if (!this.connected) {
+      throw new Error('Not connected to MMTP server');
+    }
+    if (!this.protocol.validateEmailFormat(email)) {
+      throw new Error('Invalid email format. Must be (name)%(domain)');
+    }
+    this.subscriptions.delete(email);
+    return this.sendRequest('UNSUBSCRIBE', {
+      email
     });
   }
   getTagCategories() {
     return this.protocol.getTagCategories();
   }
-  addCustomTag(tag) {
-    this.protocol.addCustomTag(tag);
-    return { success: true, tag };
+  fetchTagCategories(email) {
+    if (!this.connected) {
+      throw new Error('Not connected to MMTP server');
+    }
+    if (!this.protocol.validateEmailFormat(email)) {
+      throw new Error('Invalid email format. Must be (name)%(domain)');
+    }
+    return this.sendRequest('GET_TAG_CATEGORIES', {
+      email
+    });
+  }
+  addTagCategory(email, category, tags = []) {
+    if (!this.connected) {
+      throw new Error('Not connected to MMTP server');
+    }
+    if (!this.protocol.validateEmailFormat(email)) {
+      throw new Error('Invalid email format. Must be (name)%(domain)');
+    }
+    return this.sendRequest('ADD_TAG_CATEGORY', {
+      email,
+      category,
+      tags
+    });
+  }
+  removeTag(email, category, tag) {
+    if (!this.connected) {
+      throw new Error('Not connected to MMTP server');
+    }
+    if (!this.protocol.validateEmailFormat(email)) {
+      throw new Error('Invalid email format. Must be (name)%(domain)');
+    }
+    return this.sendRequest('REMOVE_TAG', {
+      email,
+      category,
+      tag
+    });
+  }
+  renameTag(email, category, tag, newName) {
+    if (!this.connected) {
+      throw new Error('Not connected to MMTP server');
+    }
+    if (!this.protocol.validateEmailFormat(email)) {
+      throw new Error('Invalid email format. Must be (name)%(domain)');
+    }
+    return this.sendRequest('RENAME_TAG', {
+      email,
+      category,
+      tag,
+      newName
+    });
+  }
+  addCustomTag(email, tag) {
+    return this.addTagCategory(email, 'custom', [tag]);
   }
   async generateKeys(email, name, passphrase = '', standardEmail = '') {
     if (!this.usePGP) {
@@ -239,7 +696,7 @@ class MMTPClient {
     }
     return this.protocol.generateKeyPair(email, name, passphrase, standardEmail);
   }
-  async registerPublicKey(email) {
+  async registerPublicKey(email, options = {}) {
     if (!this.connected) {
       throw new Error('Not connected to MMTP server');
     }
@@ -251,23 +708,10 @@ class MMTPClient {
       throw new Error(`Public key not found for ${email}`);
     }
     const publicKey = await fs.readFile(publicKeyPath, 'utf8');
-    const request = {
-      action: 'REGISTER_KEY',
-      data: {
-        email,
-        publicKey
-      }
-    };
-    return new Promise((resolve, reject) => {
-      try {
-        this.socket.write(JSON.stringify(request));
-        const timeout = setTimeout(() => {
-          reject(new Error('Request timed out'));
-        }, 10000);
-        this.waitingResponses.set('REGISTER_KEY', { resolve, reject, timeout });
-      } catch (error) {
-        reject(error);
-      }
+    return this.sendRequest('REGISTER_KEY', {
+      email,
+      publicKey,
+      ...(options.token ? { token: options.token } : {})
     });
   }
   async requestPublicKey(email) {
@@ -277,48 +721,68 @@ class MMTPClient {
     if (!this.usePGP) {
       throw new Error('PGP support is not enabled');
     }
-    const request = {
-      action: 'REQUEST_PUBLIC_KEY',
-      data: {
-        email
-      }
-    };
+    return this.sendRequest('REQUEST_PUBLIC_KEY', {
+      email
+    });
+  }
+  writeRequest(request) {
+    if (!this.connected) {
+      throw Object.assign(new Error('Not connected to MMTP server'), { code: 'CONNECTION_CLOSED' });
+    }
+    const frame = this.protocol.encodeFrame(request);
+    const size = Buffer.byteLength(frame);
+    if (size > this.maxRequestSize) {
+      throw new Error(`Request of ${size} bytes exceeds the maximum frame size of ${this.maxRequestSize} bytes`);
+    }
+    this.socket.write(frame);
+  }
+  sendRequest(action, data) {
     return new Promise((resolve, reject) => {
+      const requestId = String(this.nextRequestId++);
       try {
-        this.socket.write(JSON.stringify(request));
+        this.writeRequest({ action, requestId, data });
         const timeout = setTimeout(() => {
+          this.waitingResponses.delete(requestId);
           reject(new Error('Request timed out'));
-        }, 10000);
-        this.waitingResponses.set('REQUEST_PUBLIC_KEY', { resolve, reject, timeout });
+        }, this.requestTimeout);
+        this.waitingResponses.set(requestId, { action, resolve, reject, timeout });
       } catch (error) {
         reject(error);
       }
     });
   }
+  handleEvent(event) {
+    if (event.event === 'NEW_MAIL') {
+      this.emit('mail', event);
+    }
+  }
   handleResponse(response) {
-    for (const [action, { resolve, reject, timeout }] of this.waitingResponses.entries()) {
-      clearTimeout(timeout);
-      this.waitingResponses.delete(action);
-      if (response.status === 'ERROR') {
-        reject(new Error(response.message));
-      } else {
-        if (action === 'REQUEST_PUBLIC_KEY' && response.publicKey) {
-          this.protocol.importPublicKey(response.email, response.publicKey)
-            .then(() => resolve(response))
-            .catch((error) => reject(error));
-        } else if (action === 'RECEIVE_FILTERED' && response.messages) {
-          if (response.tagFilters) {
-            response.messages = this.protocol.filterMessagesByTags(
-              response.messages, 
-              response.tagFilters
-            );
-          }
-          resolve(response);
-        } else {
-          resolve(response);
-        }
+    const pending = this.waitingResponses.get(response.requestId);
+    if (!pending) {
+      this.logger.warn(`Received response without a matching request: ${response.message || response.status}`);
+      return;
+    }
+    const { action, resolve, reject, timeout } = pending;
+    clearTimeout(timeout);
+    this.waitingResponses.delete(response.requestId);
+    if (response.status === 'ERROR') {
+      const error = new Error(response.message);
+      error.response = response;
+      reject(error);
+    } else if (action === 'REQUEST_PUBLIC_KEY' && response.publicKey) {
+      this.protocol.importPublicKey(response.email, response.publicKey)
+        .then(() => resolve(response))
+        .catch((error) => reject(error));
+    } else if (action === 'RECEIVE_FILTERED' && response.messages) {
+      if (response.tagFilters) {
+        response.messages = this.protocol.filterMessagesByTags(
+          response.messages,
+          response.tagFilters
+        );
       }
-      break;
+      resolve(response);
+    } else {
+      resolve(response);
     }
   }
 }
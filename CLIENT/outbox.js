@@ -0,0 +1,50 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { writeJsonAtomic } = require('../fsutil');
+class Outbox {
+  constructor(options = {}) {
+    this.outboxPath = options.path || null;
+    this.entries = new Map();
+    if (this.outboxPath) {
+      fs.ensureDirSync(this.outboxPath);
+      for (const file of fs.readdirSync(this.outboxPath)) {
+        if (file.endsWith('.json') && !file.startsWith('.')) {
+          try {
+            const entry = fs.readJsonSync(path.join(this.outboxPath, file));
+            this.entries.set(entry.id, entry);
+          } catch (error) {
+            console.error(`Failed to load outbox message ${file}: ${error.message}`);
+          }
+        }
+      }
+    }
+  }
+  get size() {
+    return this.entries.size;
+  }
+  list() {
+    return [...this.entries.values()].sort((a, b) => a.queuedAt - b.queuedAt);
+  }
+  async add(packet) {
+    const id = packet.meta.messageId;
+    if (this.entries.has(id)) {
+      return this.entries.get(id);
+    }
+    const entry = { id, packet, queuedAt: Date.now(), attempts: 0 };
+    this.entries.set(id, entry);
+    await this.persist(entry);
+    return entry;
+  }
+  async persist(entry) {
+    if (this.outboxPath) {
+      await writeJsonAtomic(path.join(this.outboxPath, `${entry.id}.json`), entry);
+    }
+  }
+  async remove(entry) {
+    this.entries.delete(entry.id);
+    if (this.outboxPath) {
+      await fs.remove(path.join(this.outboxPath, `${entry.id}.json`));
+    }
+  }
+}
+module.exports = Outbox;
@@ -0,0 +1,98 @@
+class DifficultyPolicy {
+  constructor(baseDifficulty, options = {}) {
+    this.baseDifficulty = baseDifficulty;
+    this.minDifficulty = options.minDifficulty ?? Math.max(1, baseDifficulty - 2);
+    this.maxDifficulty = options.maxDifficulty ?? baseDifficulty + 3;
+    this.unknownSenderPenalty = options.unknownSenderPenalty ?? 1;
+    this.abusePenalty = options.abusePenalty ?? 2;
+    this.contactDiscount = options.contactDiscount ?? 1;
+    this.signedDiscount = options.signedDiscount ?? 1;
+    this.knownAfter = options.knownAfter ?? 1;
+    this.rateLimit = options.rateLimit ?? 30;
+    this.rateWindow = options.rateWindow || 60 * 1000;
+    this.maxRejections = options.maxRejections ?? 5;
+    this.historyWindow = options.historyWindow || 7 * 24 * 60 * 60 * 1000;
+    this.senders = new Map();
+    this.contacts = new Map();
+    this.timer = null;
+  }
+  start() {
+    if (!this.timer) {
+      this.timer = setInterval(() => this.prune(), this.rateWindow);
+      this.timer.unref();
+    }
+  }
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+  prune(now = Date.now()) {
+    for (const [address, sender] of this.senders) {
+      sender.recent = sender.recent.filter(timestamp => now - timestamp < this.rateWindow);
+      sender.rejected = sender.rejected.filter(timestamp => now - timestamp < this.rateWindow);
+      const remembered = sender.delivered > 0 && now - sender.lastDelivery < this.historyWindow;
+      if (sender.recent.length === 0 && sender.rejected.length === 0 && !remembered) {
+        this.senders.delete(address);
+        this.contacts.delete(address);
+      }
+    }
+  }
+  getSender(address) {
+    if (!this.senders.has(address)) {
+      this.senders.set(address, { delivered: 0, lastDelivery: 0, rejected: [], recent: [] });
+    }
+    return this.senders.get(address);
+  }
+  isAbusive(address, now = Date.now()) {
+    const sender = this.senders.get(address);
+    if (!sender) {
+      return false;
+    }
+    sender.recent = sender.recent.filter(timestamp => now - timestamp < this.rateWindow);
+    sender.rejected = sender.rejected.filter(timestamp => now - timestamp < this.rateWindow);
+    return sender.recent.length >= this.rateLimit || sender.rejected.length >= this.maxRejections;
+  }
+  isKnown(address) {
+    const sender = this.senders.get(address);
+    return Boolean(sender) && sender.delivered >= this.knownAfter;
+  }
+  isContact(sender, recipients) {
+    return recipients.length > 0 && recipients.every((recipient) => {
+      const contacts = this.contacts.get(recipient);
+      return Boolean(contacts) && contacts.has(sender);
+    });
+  }
+  getDifficulty(packet, recipients, options = {}) {
+    let difficulty = this.baseDifficulty;
+    if (this.isAbusive(options.source ?? packet.sender)) {
+      difficulty += this.abusePenalty;
+    } else if (!options.authenticated && !this.isKnown(packet.sender)) {
+      difficulty += this.unknownSenderPenalty;
+    }
+    if (this.isContact(packet.sender, recipients)) {
+      difficulty -= this.contactDiscount;
+    }
+    if (packet.meta.signatureVerified) {
+      difficulty -= this.signedDiscount;
+    }
+    return Math.min(this.maxDifficulty, Math.max(this.minDifficulty, difficulty));
+  }
+  recordDelivery(address, recipients, source = address) {
+    const sender = this.getSender(address);
+    sender.delivered++;
+    sender.lastDelivery = Date.now();
+    this.getSender(source).recent.push(Date.now());
+    if (!this.contacts.has(address)) {
+      this.contacts.set(address, new Set());
+    }
+    for (const recipient of recipients) {
+      this.contacts.get(address).add(recipient);
+    }
+  }
+  recordRejection(source) {
+    this.getSender(source).rejected.push(Date.now());
+  }
+}
+module.exports = DifficultyPolicy;
@@ -0,0 +1,117 @@
+const fs = require('fs-extra');
+const MMTPClient = require('../CLIENT/client');
+class StaticRouteResolver {
+  constructor(routes = {}) {
+    this.routes = routes;
+  }
+  static fromFile(routesPath) {
+    return new StaticRouteResolver(fs.readJsonSync(routesPath));
+  }
+  async resolve(domain) {
+    return this.routes[domain] || this.routes['*'] || null;
+  }
+}
+class FederationRelay {
+  constructor(options = {}) {
+    this.resolver = createResolver(options);
+    this.verifyTLS = options.verifyTLS ?? true;
+    this.requestTimeout = options.requestTimeout || 30000;
+    this.connections = new Map();
+  }
+  getDomain(address) {
+    const match = address.match(/^\([a-zA-Z0-9._-]+\)%\(([a-zA-Z0-9.-]+)\)$/);
+    if (!match) {
+      throw new Error(`Invalid MMTP address format: ${address}`);
+    }
+    return match[1].toLowerCase();
+  }
+  async resolve(domain) {
+    const route = await this.resolver.resolve(domain);
+    if (!route || !route.host) {
+      return null;
+    }
+    const secure = route.secure ?? true;
+    return {
+      host: route.host,
+      port: route.port || 8025,
+      securePort: route.securePort || 8026,
+      secure,
+      verifyTLS: route.verifyTLS ?? this.verifyTLS
+    };
+  }
+  async relay(packet, recipient = packet.recipient) {
+    const domain = this.getDomain(recipient);
+    const route = await this.resolve(domain);
+    if (!route) {
+      const error = new Error(`No route to MMTP domain ${domain}`);
+      error.permanent = true;
+      throw error;
+    }
+    const client = await this.getConnection(route);
+    let response;
+    try {
+      response = await client.sendRequest('SEND', { packet, recipients: [recipient] });
+    } catch (error) {
+      if (error.response) {
+        error.permanent = true;
+      }
+      throw error;
+    }
+    return {
+      domain,
+      host: route.host,
+      port: route.secure ? route.securePort : route.port,
+      response
+    };
+  }
+  async getConnection(route) {
+    const key = `${route.host}:${route.secure ? route.securePort : route.port}`;
+    const existing = this.connections.get(key);
+    if (existing) {
+      const client = await existing.catch(() => null);
+      if (client && client.connected) {
+        return client;
+      }
+      this.connections.delete(key);
+    }
+    const client = new MMTPClient({
+      serverHost: route.host,
+      serverPort: route.port,
+      securePort: route.securePort,
+      useTLS: route.secure,
+      usePGP: false,
+      verifyTLS: route.verifyTLS,
+      requestTimeout: this.requestTimeout
+    });
+    const connecting = client.connect(route.secure).then(() => client);
+    this.connections.set(key, connecting);
+    try {
+      return await connecting;
+    } catch (error) {
+      this.connections.delete(key);
+      throw new Error(`Failed to connect to ${key}: ${error.message}`);
+    }
+  }
+  close() {
+    for (const connecting of this.connections.values()) {
+      connecting.then(client => client.disconnect()).catch(() => {});
+    }
+    this.connections.clear();
+  }
+}
+function createResolver(options) {
+  if (typeof options.resolver === 'function') {
+    return { resolve: options.resolver };
+  }
+  if (options.resolver) {
+    return options.resolver;
+  }
+  if (options.routesPath) {
+    return StaticRouteResolver.fromFile(options.routesPath);
+  }
+  return new StaticRouteResolver(options.routes || {});
+}
+module.exports = {
+  StaticRouteResolver,
+  FederationRelay
+};
@@ -0,0 +1,221 @@
+const http = require('http');
+const https = require('https');
+const fs = require('fs-extra');
+const ERROR_STATUSES = {
+  INVALID_REQUEST: 400,
+  AUTH_REQUIRED: 401,
+  AUTH_FAILED: 401,
+  FORBIDDEN: 403,
+  NOT_FOUND: 404,
+  METHOD_NOT_ALLOWED: 405,
+  TOO_LARGE: 413,
+  DELIVERY_FAILED: 422,
+  RATE_LIMITED: 429,
+  INTERNAL_ERROR: 500,
+  NOT_SUPPORTED: 501
+};
+class HttpGateway {
+  constructor(options = {}) {
+    this.server = options.server;
+    this.port = options.port;
+    this.httpServer = null;
+  }
+  start() {
+    const { server } = this;
+    const secure = server.useTLS && Boolean(server.secureServer);
+    const handler = (request, response) => {
+      this.handleHttpRequest(request, response).catch((error) => {
+        this.send(response, 500, { status: 'ERROR', message: `Gateway error: ${error.message}`, code: 'INTERNAL_ERROR' });
+      });
+    };
+    this.httpServer = secure
+      ? https.createServer({ key: fs.readFileSync(server.keyPath), cert: fs.readFileSync(server.certPath) }, handler)
+      : http.createServer(handler);
+    this.httpServer.listen(this.port, () => {
+      console.log(`MMTP HTTP Gateway${secure ? ' (TLS)' : ''} running on port ${this.port}`);
+    });
+    this.httpServer.on('error', (error) => {
+      console.error(`HTTP gateway error: ${error.message}`);
+    });
+  }
+  stop() {
+    if (this.httpServer) {
+      this.httpServer.close(() => {
+        console.log('MMTP HTTP Gateway stopped');
+      });
+    }
+  }
+  async handleHttpRequest(request, response) {
+    const url = new URL(request.url, 'http://gateway');
+    const segments = url.pathname.split('/').filter(Boolean);
+    let route = null;
+    if (segments.length === 1 && segments[0] === 'messages') {
+      route = { method: 'POST', handle: session => this.postMessage(request, session) };
+    } else if (segments.length === 3 && segments[0] === 'mailboxes' && segments[2] === 'messages') {
+      route = { method: 'GET', handle: session => this.listMessages(segments[1], url.searchParams, session) };
+    } else if (segments.length === 2 && segments[0] === 'keys') {
+      route = { method: 'GET', handle: session => this.getPublicKey(segments[1], session) };
+    } else if (segments.length === 1 && segments[0] === 'tags') {
+      route = { method: 'GET', handle: session => this.getTags(session) };
+    }
+    if (!route) {
+      this.send(response, 404, { status: 'ERROR', message: `No such resource: ${url.pathname}`, code: 'NOT_FOUND' });
+      return;
+    }
+    if (request.method !== route.method) {
+      this.send(response, 405, {
+        status: 'ERROR',
+        message: `${request.method} is not allowed on ${url.pathname}`,
+        code: 'METHOD_NOT_ALLOWED'
+      }, { Allow: route.method });
+      return;
+    }
+    const session = this.createSession(request);
+    const authError = await this.authenticate(request, session);
+    if (authError) {
+      this.send(response, 401, authError, { 'WWW-Authenticate': 'Basic realm="MMTP"' });
+      return;
+    }
+    let result;
+    try {
+      result = await route.handle(session);
+    } catch (error) {
+      result = { body: { status: 'ERROR', message: error.message, code: error.code || 'INVALID_REQUEST' } };
+    }
+    const httpStatus = result.httpStatus || this.getHttpStatus(result.body);
+    this.send(response, httpStatus, result.body, {
+      ...(httpStatus === 401 ? { 'WWW-Authenticate': 'Basic realm="MMTP"' } : {}),
+      ...result.headers
+    });
+  }
+  createSession(request) {
+    const socket = {
+      writable: true,
+      encrypted: Boolean(request.socket.encrypted),
+      remoteAddress: request.socket.remoteAddress,
+      frames: [],
+      write(frame) {
+        this.frames.push(frame);
+      }
+    };
+    return this.server.createSession(socket);
+  }
+  async dispatch(session, action, data) {
+    await this.server.handleRequest({ action, data }, session);
+    const frame = session.socket.frames.shift();
+    return frame ? JSON.parse(frame) : { status: 'ERROR', message: `Failed to handle ${action}: no response`, code: 'INTERNAL_ERROR' };
+  }
+  async authenticate(request, session) {
+    const header = request.headers.authorization;
+    if (!header) {
+      return null;
+    }
+    const match = header.match(/^Basic\s+(\S+)$/i);
+    const credentials = match ? Buffer.from(match[1], 'base64').toString('utf8') : '';
+    const separator = credentials.indexOf(':');
+    if (separator < 1) {
+      return { status: 'ERROR', message: 'Authorization must use Basic credentials of the form address:password', code: 'AUTH_FAILED' };
+    }
+    const response = await this.dispatch(session, 'AUTH', {
+      email: credentials.slice(0, separator),
+      method: 'password',
+      password: credentials.slice(separator + 1)
+    });
+    return response.status === 'OK' ? null : response;
+  }
+  getHttpStatus(body) {
+    if (body.status === 'OK') {
+      return 200;
+    }
+    return ERROR_STATUSES[body.code] || 400;
+  }
+  send(response, httpStatus, body, headers = {}) {
+    const payload = JSON.stringify(body);
+    response.writeHead(httpStatus, {
+      'Content-Type': 'application/json; charset=utf-8',
+      'Content-Length': Buffer.byteLength(payload),
+      ...headers
+    });
+    response.end(payload);
+  }
+  async readJsonBody(request) {
+    const limit = this.server.protocol.maxFrameSize;
+    const chunks = [];
+    let size = 0;
+    for await (const chunk of request) {
+      size += chunk.length;
+      if (size > limit) {
+        throw Object.assign(new Error(`Request body too large: the limit is ${limit} bytes`), { code: 'TOO_LARGE' });
+      }
+      chunks.push(chunk);
+    }
+    try {
+      return JSON.parse(Buffer.concat(chunks).toString('utf8'));
+    } catch (error) {
+      throw new Error('Request body must be valid JSON');
+    }
+  }
+  decodeAddress(segment) {
+    try {
+      return decodeURIComponent(segment);
+    } catch (error) {
+      throw new Error('Invalid email format');
+    }
+  }
+  async postMessage(request, session) {
+    const data = await this.readJsonBody(request);
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+      throw new Error('Request body must be a JSON object');
+    }
+    if (!data.packet || typeof data.packet !== 'object') {
+      throw new Error('Request body must carry a packet with its own HashCash stamp');
+    }
+    const body = await this.dispatch(session, 'SEND', { packet: data.packet, recipients: data.recipients });
+    return { httpStatus: body.status === 'OK' ? 201 : undefined, body };
+  }
+  async listMessages(segment, params, session) {
+    const email = this.decodeAddress(segment);
+    const maxPageSize = this.server.maxSearchResults;
+    const offset = params.has('offset') ? Number(params.get('offset')) : 0;
+    const limit = params.has('limit') ? Number(params.get('limit')) : Math.min(50, maxPageSize);
+    if (!Number.isInteger(offset) || offset < 0 || !Number.isInteger(limit) || limit < 1 || limit > maxPageSize) {
+      throw new Error(`offset must be a non-negative integer and limit an integer from 1 to ${maxPageSize}`);
+    }
+    const tagFilters = {};
+    for (const value of params.getAll('tag')) {
+      const [category, tag] = value.split(':');
+      if (!category || !tag) {
+        throw new Error(`Invalid tag filter "${value}": use category:tag`);
+      }
+      tagFilters[category] = [...(tagFilters[category] || []), tag];
+    }
+    const body = await this.dispatch(session, 'FETCH', {
+      email,
+      ...(params.has('range') ? { range: params.get('range') } : {}),
+      ...(params.has('folder') ? { folder: params.get('folder') } : {}),
+      ...(params.has('q') ? { query: params.get('q') } : {}),
+      tagFilters,
+      offset,
+      limit,
+      peek: true
+    });
+    if (body.status !== 'OK') {
+      return { body };
+    }
+    const headers = {};
+    if (offset + body.count < body.total) {
+      const next = new URLSearchParams(params);
+      next.set('offset', offset + body.count);
+      next.set('limit', limit);
+      headers.Link = `</mailboxes/${encodeURIComponent(email)}/messages?${next}>; rel="next"`;
+    }
+    return { body: { ...body, offset, limit }, headers };
+  }
+  async getPublicKey(segment, session) {
+    return { body: await this.dispatch(session, 'REQUEST_PUBLIC_KEY', { email: this.decodeAddress(segment) }) };
+  }
+  async getTags(session) {
+    return { body: await this.dispatch(session, 'GET_TAG_CATEGORIES', session.identity ? { email: session.identity } : {}) };
+  }
+}
+module.exports = HttpGateway;
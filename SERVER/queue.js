@@ -0,0 +1,148 @@
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const path = require('path');
+const { writeJsonAtomic } = require('../fsutil');
+class DeliveryQueue {
+  constructor(options = {}) {
+    this.deliver = options.deliver;
+    this.onFailure = options.onFailure;
+    this.queuePath = options.path || null;
+    this.initialDelay = options.initialDelay || 60 * 1000;
+    this.maxDelay = options.maxDelay || 60 * 60 * 1000;
+    this.maxLifetime = options.maxLifetime || 4 * 24 * 60 * 60 * 1000;
+    this.stampWindow = options.stampWindow ?? Infinity;
+    this.entries = new Map();
+    this.timer = null;
+    this.processing = false;
+    this.running = false;
+    if (this.queuePath) {
+      fs.ensureDirSync(this.queuePath);
+      for (const file of fs.readdirSync(this.queuePath)) {
+        if (file.endsWith('.json') && !file.startsWith('.')) {
+          try {
+            const entry = fs.readJsonSync(path.join(this.queuePath, file));
+            this.entries.set(entry.id, entry);
+          } catch (error) {
+            console.error(`Failed to load queued message ${file}: ${error.message}`);
+          }
+        }
+      }
+    }
+  }
+  start() {
+    this.running = true;
+    this.schedule();
+  }
+  stop() {
+    this.running = false;
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+  }
+  get size() {
+    return this.entries.size;
+  }
+  getExpiry(entry) {
+    return Math.min(entry.createdAt + this.maxLifetime, entry.packet.meta.timestamp + this.stampWindow);
+  }
+  isStampExpiry(entry) {
+    return entry.packet.meta.timestamp + this.stampWindow < entry.createdAt + this.maxLifetime;
+  }
+  getRetryDelay(attempts) {
+    return Math.min(this.maxDelay, this.initialDelay * Math.pow(2, Math.max(0, attempts - 1)));
+  }
+  async enqueue(packet, recipient, error) {
+    const now = Date.now();
+    const entry = {
+      id: crypto.randomBytes(12).toString('hex'),
+      recipient,
+      packet,
+      attempts: 1,
+      createdAt: now,
+      lastAttemptAt: now,
+      nextAttemptAt: now + this.getRetryDelay(1),
+      lastError: error ? error.message : null
+    };
+    entry.nextAttemptAt = Math.min(entry.nextAttemptAt, this.getExpiry(entry));
+    this.entries.set(entry.id, entry);
+    await this.persist(entry);
+    this.schedule();
+    return entry;
+  }
+  async persist(entry) {
+    if (this.queuePath) {
+      await writeJsonAtomic(path.join(this.queuePath, `${entry.id}.json`), entry);
+    }
+  }
+  async remove(entry) {
+    this.entries.delete(entry.id);
+    if (this.queuePath) {
+      await fs.remove(path.join(this.queuePath, `${entry.id}.json`));
+    }
+  }
+  schedule() {
+    if (!this.running) {
+      return;
+    }
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+    if (this.entries.size === 0) {
+      return;
+    }
+    const nextAttemptAt = Math.min(...[...this.entries.values()].map(entry => entry.nextAttemptAt));
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      this.processDue().catch((error) => {
+        console.error(`Delivery queue error: ${error.message}`);
+      });
+    }, Math.max(0, nextAttemptAt - Date.now()));
+    this.timer.unref();
+  }
+  async processDue() {
+    if (this.processing) {
+      return;
+    }
+    this.processing = true;
+    try {
+      const now = Date.now();
+      const due = [...this.entries.values()].filter(entry => entry.nextAttemptAt <= now);
+      for (const entry of due) {
+        await this.attempt(entry);
+      }
+    } finally {
+      this.processing = false;
+      this.schedule();
+    }
+  }
+  async attempt(entry) {
+    if (Date.now() >= this.getExpiry(entry)) {
+      await this.remove(entry);
+      const reason = this.isStampExpiry(entry)
+        ? `Delivery abandoned after ${entry.attempts} attempt(s): the remote server could not be reached before the message's HashCash stamp expired. Last error: ${entry.lastError}`
+        : `Delivery abandoned after ${entry.attempts} attempt(s): ${entry.lastError}`;
+      await this.onFailure(entry, reason);
+      return;
+    }
+    try {
+      await this.deliver(entry);
+      await this.remove(entry);
+      console.log(`Queued message ${entry.packet.meta.messageId} delivered to ${entry.recipient} after ${entry.attempts + 1} attempt(s)`);
+    } catch (error) {
+      const now = Date.now();
+      entry.attempts++;
+      entry.lastAttemptAt = now;
+      entry.lastError = error.message;
+      if (error.permanent) {
+        await this.remove(entry);
+        await this.onFailure(entry, error.message);
+        return;
+      }
+      entry.nextAttemptAt = Math.min(now + this.getRetryDelay(entry.attempts), this.getExpiry(entry));
+      await this.persist(entry);
+    }
+  }
+}
+module.exports = DeliveryQueue;
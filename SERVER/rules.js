@@ -0,0 +1,233 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { writeJsonAtomic } = require('../fsutil');
+const CONDITION_KEYS = ['from', 'subject', 'tags', 'signed', 'minDifficulty', 'maxDifficulty', 'query'];
+const ACTION_TYPES = ['addTags', 'removeTags', 'fileInto', 'forward', 'reject', 'discard'];
+class RuleEngine {
+  constructor(options = {}) {
+    this.protocol = options.protocol;
+    this.isLocalAddress = options.isLocalAddress || (() => true);
+    this.getTagCategories = options.getTagCategories || (() => this.protocol.tagCategories);
+    this.rulesPath = options.path || null;
+    this.maxRules = options.maxRules || 50;
+    this.rules = new Map();
+    if (this.rulesPath) {
+      fs.ensureDirSync(this.rulesPath);
+      for (const file of fs.readdirSync(this.rulesPath)) {
+        if (file.endsWith('.json') && !file.startsWith('.')) {
+          try {
+            this.rules.set(path.basename(file, '.json'), fs.readJsonSync(path.join(this.rulesPath, file)));
+          } catch (error) {
+            console.error(`Failed to load rules ${file}: ${error.message}`);
+          }
+        }
+      }
+    }
+  }
+  getRules(mailbox) {
+    return JSON.parse(JSON.stringify(this.rules.get(mailbox) || []));
+  }
+  async setRules(mailbox, rules) {
+    const error = this.validateRules(rules, mailbox);
+    if (error) {
+      throw new Error(error);
+    }
+    if (rules.length === 0) {
+      this.rules.delete(mailbox);
+    } else {
+      this.rules.set(mailbox, JSON.parse(JSON.stringify(rules)));
+    }
+    if (this.rulesPath) {
+      const rulesFile = path.join(this.rulesPath, `${mailbox}.json`);
+      if (rules.length === 0) {
+        await fs.remove(rulesFile);
+      } else {
+        await writeJsonAtomic(rulesFile, rules);
+      }
+    }
+  }
+  validateRules(rules, mailbox) {
+    if (!Array.isArray(rules)) {
+      return 'Rules must be an array';
+    }
+    if (rules.length > this.maxRules) {
+      return `Too many rules: at most ${this.maxRules} are allowed`;
+    }
+    for (const [index, rule] of rules.entries()) {
+      const error = this.validateRule(rule, mailbox);
+      if (error) {
+        return `Rule ${index + 1}: ${error}`;
+      }
+    }
+    return null;
+  }
+  validateRule(rule, mailbox) {
+    if (!rule || typeof rule !== 'object' || Array.isArray(rule)) {
+      return 'must be an object';
+    }
+    if (rule.name !== undefined && typeof rule.name !== 'string') {
+      return 'name must be a string';
+    }
+    if (rule.stop !== undefined && typeof rule.stop !== 'boolean') {
+      return 'stop must be a boolean';
+    }
+    const conditions = rule.conditions || {};
+    if (typeof conditions !== 'object' || Array.isArray(conditions)) {
+      return 'conditions must be an object';
+    }
+    const unknown = Object.keys(conditions).find(key => !CONDITION_KEYS.includes(key));
+    if (unknown) {
+      return `unknown condition "${unknown}"`;
+    }
+    for (const key of ['from', 'subject', 'query']) {
+      if (conditions[key] !== undefined && typeof conditions[key] !== 'string') {
+        return `${key} must be a string`;
+      }
+    }
+    if (conditions.tags !== undefined && !this.protocol.isTagMap(conditions.tags)) {
+      return 'tags must map categories to arrays of tags';
+    }
+    if (conditions.signed !== undefined && typeof conditions.signed !== 'boolean') {
+      return 'signed must be a boolean';
+    }
+    for (const key of ['minDifficulty', 'maxDifficulty']) {
+      if (conditions[key] !== undefined && (!Number.isInteger(conditions[key]) || conditions[key] < 0)) {
+        return `${key} must be a non-negative integer`;
+      }
+    }
+    if (conditions.query !== undefined) {
+      try {
+        this.protocol.parseQuery(conditions.query, this.getTagCategories(mailbox));
+      } catch (error) {
+        return error.message;
+      }
+    }
+    if (!Array.isArray(rule.actions) || rule.actions.length === 0) {
+      return 'actions must be a non-empty array';
+    }
+    for (const action of rule.actions) {
+      const error = this.validateAction(action, mailbox);
+      if (error) {
+        return error;
+      }
+    }
+    return null;
+  }
+  validateAction(action, mailbox) {
+    if (!action || !ACTION_TYPES.includes(action.type)) {
+      return `unknown action type "${action && action.type}"`;
+    }
+    switch (action.type) {
+      case 'addTags':
+      case 'removeTags':
+        return this.protocol.isTagMap(action.tags) ? null : `${action.type} requires tags mapping categories to arrays of tags`;
+      case 'fileInto':
+        return typeof action.folder === 'string' && /^[A-Za-z0-9 _.-]{1,64}$/.test(action.folder)
+          ? null
+          : 'fileInto requires a folder name of 1 to 64 letters, digits, spaces, dots, dashes or underscores';
+      case 'forward':
+        if (!this.protocol.validateEmailFormat(action.to || '')) {
+          return 'forward requires a valid to address';
+        }
+        if (!this.isLocalAddress(action.to)) {
+          return 'forward can only deliver to addresses hosted on this server';
+        }
+        return action.to === mailbox ? 'a mailbox cannot forward to itself' : null;
+      case 'reject':
+        return action.reason === undefined || typeof action.reason === 'string' ? null : 'reject reason must be a string';
+      default:
+        return null;
+    }
+  }
+  matches(conditions = {}, packet) {
+    const { meta } = packet;
+    const readable = !meta.encrypted || meta.decrypted;
+    if (conditions.from !== undefined) {
+      const sender = packet.sender.toLowerCase();
+      const from = conditions.from.toLowerCase();
+      if (this.protocol.validateEmailFormat(from) ? sender !== from : !sender.includes(from)) {
+        return false;
+      }
+    }
+    if (conditions.subject !== undefined &&
+        !(readable && String(packet.content.subject || '').toLowerCase().includes(conditions.subject.toLowerCase()))) {
+      return false;
+    }
+    if (conditions.tags !== undefined && this.protocol.filterMessagesByTags([packet], conditions.tags).length === 0) {
+      return false;
+    }
+    if (conditions.signed !== undefined && Boolean(meta.signed) !== conditions.signed) {
+      return false;
+    }
+    const difficulty = meta.hashcashToken ? this.protocol.parseHashCash(meta.hashcashToken.token).difficulty : 0;
+    if (conditions.minDifficulty !== undefined && difficulty < conditions.minDifficulty) {
+      return false;
+    }
+    if (conditions.maxDifficulty !== undefined && difficulty > conditions.maxDifficulty) {
+      return false;
+    }
+    if (conditions.query !== undefined && !this.protocol.evaluateQuery(this.protocol.parseQuery(conditions.query), packet)) {
+      return false;
+    }
+    return true;
+  }
+  evaluate(mailbox, packet) {
+    const rules = this.rules.get(mailbox) || [];
+    const outcome = {
+      packet: rules.length > 0 ? JSON.parse(JSON.stringify(packet)) : packet,
+      folder: null,
+      forward: [],
+      reject: null,
+      discard: false
+    };
+    for (const rule of rules) {
+      if (!this.matches(rule.conditions, outcome.packet)) {
+        continue;
+      }
+      for (const action of rule.actions) {
+        this.applyAction(outcome, action);
+      }
+      if (rule.stop || outcome.reject !== null || outcome.discard) {
+        break;
+      }
+    }
+    return outcome;
+  }
+  applyAction(outcome, action) {
+    const tags = outcome.packet.meta.serverTags || {};
+    switch (action.type) {
+      case 'addTags':
+        for (const [category, values] of Object.entries(action.tags)) {
+          tags[category] = [...new Set([...(tags[category] || []), ...values])];
+        }
+        outcome.packet.meta.serverTags = tags;
+        break;
+      case 'removeTags':
+        for (const [category, values] of Object.entries(action.tags)) {
+          const remaining = (tags[category] || []).filter(tag => !values.includes(tag));
+          if (remaining.length > 0) {
+            tags[category] = remaining;
+          } else {
+            delete tags[category];
+          }
+        }
+        outcome.packet.meta.serverTags = tags;
+        break;
+      case 'fileInto':
+        outcome.folder = action.folder;
+        break;
+      case 'forward':
+        if (!outcome.forward.includes(action.to)) {
+          outcome.forward.push(action.to);
+        }
+        break;
+      case 'reject':
+        outcome.reject = action.reason || 'Message rejected by recipient rules';
+        break;
+      case 'discard':
+        outcome.discard = true;
+        break;
+    }
+  }
+}
+module.exports = RuleEngine;
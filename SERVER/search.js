@@ -0,0 +1,134 @@
+const FIELD_WEIGHTS = { subject: 3, tags: 2, headers: 1, body: 1 };
+class SearchIndex {
+  constructor(options = {}) {
+    this.load = options.load;
+    this.getTags = options.getTags || (record => ({ ...record.packet.meta.tags, ...record.serverTags }));
+    this.k1 = options.k1 ?? 1.2;
+    this.b = options.b ?? 0.75;
+    this.mailboxes = new Map();
+  }
+  tokenize(text) {
+    return String(text || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+  }
+  getFields(packet, tags = {}) {
+    const { meta, content } = packet;
+    const recipients = packet.recipients
+      ? [...(packet.recipients.to || []), ...(packet.recipients.cc || []), ...(packet.recipients.bcc || [])]
+      : [packet.recipient];
+    const fields = {
+      headers: [packet.sender, ...recipients, meta.type].join(' '),
+      tags: Object.entries(tags).map(([category, values]) => `${category} ${values.join(' ')}`).join(' ')
+    };
+    if (!meta.encrypted && content) {
+      fields.subject = content.subject;
+      fields.body = [content.body, ...(content.attachments || []).map(attachment => attachment.filename)].join(' ');
+    }
+    return fields;
+  }
+  async getMailbox(mailbox) {
+    if (!this.mailboxes.has(mailbox)) {
+      const loading = this.load(mailbox).then((records) => {
+        const state = { documents: new Map(), postings: new Map(), totalLength: 0 };
+        for (const record of records) {
+          if (!record.flags.includes('deleted')) {
+            this.indexRecord(state, record);
+          }
+        }
+        return state;
+      });
+      this.mailboxes.set(mailbox, loading);
+      loading.catch(() => this.mailboxes.delete(mailbox));
+    }
+    return this.mailboxes.get(mailbox);
+  }
+  indexRecord(state, record) {
+    this.removeDocument(state, record.uid);
+    const terms = new Map();
+    let length = 0;
+    for (const [field, text] of Object.entries(this.getFields(record.packet, this.getTags(record)))) {
+      for (const term of this.tokenize(text)) {
+        terms.set(term, (terms.get(term) || 0) + FIELD_WEIGHTS[field]);
+        length += FIELD_WEIGHTS[field];
+      }
+    }
+    for (const term of terms.keys()) {
+      if (!state.postings.has(term)) {
+        state.postings.set(term, new Set());
+      }
+      state.postings.get(term).add(record.uid);
+    }
+    state.documents.set(record.uid, { terms, length });
+    state.totalLength += length;
+  }
+  removeDocument(state, uid) {
+    const document = state.documents.get(uid);
+    if (!document) {
+      return;
+    }
+    for (const term of document.terms.keys()) {
+      const postings = state.postings.get(term);
+      postings.delete(uid);
+      if (postings.size === 0) {
+        state.postings.delete(term);
+      }
+    }
+    state.documents.delete(uid);
+    state.totalLength -= document.length;
+  }
+  async add(mailbox, record) {
+    if (this.mailboxes.has(mailbox)) {
+      this.indexRecord(await this.mailboxes.get(mailbox), record);
+    }
+  }
+  async update(mailbox, records) {
+    if (!this.mailboxes.has(mailbox)) {
+      return;
+    }
+    const state = await this.mailboxes.get(mailbox);
+    for (const record of records) {
+      if (record.flags.includes('deleted')) {
+        this.removeDocument(state, record.uid);
+      } else {
+        this.indexRecord(state, record);
+      }
+    }
+  }
+  async remove(mailbox, uids) {
+    if (!this.mailboxes.has(mailbox)) {
+      return;
+    }
+    const state = await this.mailboxes.get(mailbox);
+    for (const uid of uids) {
+      this.removeDocument(state, uid);
+    }
+  }
+  async search(mailbox, query, options = {}) {
+    const state = await this.getMailbox(mailbox);
+    const terms = [...new Set(this.tokenize(query))];
+    if (terms.length === 0 || terms.some(term => !state.postings.has(term))) {
+      return { total: 0, hits: [] };
+    }
+    const [rarest, ...rest] = terms.map(term => state.postings.get(term)).sort((a, b) => a.size - b.size);
+    const matches = [...rarest].filter(uid => rest.every(postings => postings.has(uid)));
+    const count = state.documents.size;
+    const averageLength = state.totalLength / count;
+    const hits = matches.map((uid) => {
+      const document = state.documents.get(uid);
+      const score = terms.reduce((sum, term) => {
+        const frequency = document.terms.get(term);
+        const documentFrequency = state.postings.get(term).size;
+        const idf = Math.log(1 + (count - documentFrequency + 0.5) / (documentFrequency + 0.5));
+        const norm = this.k1 * (1 - this.b + this.b * document.length / averageLength);
+        return sum + idf * frequency * (this.k1 + 1) / (frequency + norm);
+      }, 0);
+      return { uid, score };
+    }).filter(hit => !options.filter || options.filter(hit.uid));
+    hits.sort((a, b) => (b.score - a.score) || (b.uid - a.uid));
+    const offset = options.offset || 0;
+    return {
+      total: hits.length,
+      hits: hits.slice(offset, offset + (options.limit ?? hits.length))
+    };
+  }
+}
+module.exports = SearchIndex;
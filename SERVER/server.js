@@ -1,29 +1,112 @@
 const net = require('net');
 const tls = require('tls');
+const http = require('http');
+const https = require('https');
+const crypto = require('crypto');
 const fs = require('fs-extra');
 const path = require('path');
 const MMTPProtocol = require('../protocol');
+const { createMailboxStore } = require('./storage');
+const { FederationRelay } = require('./federation');
+const DeliveryQueue = require('./queue');
+const SpentStampStore = require('./stamps');
+const DifficultyPolicy = require('./difficulty');
+const SearchIndex = require('./search');
+const { acceptWebSocket } = require('./websocket');
+const RuleEngine = require('./rules');
+const TagCategoryStore = require('./tags');
+const HttpGateway = require('./gateway');
+const ERROR_CODES = [
+  'INVALID_REQUEST',
+  'AUTH_REQUIRED',
+  'AUTH_FAILED',
+  'FORBIDDEN',
+  'NOT_FOUND',
+  'TOO_LARGE',
+  'DELIVERY_FAILED',
+  'RATE_LIMITED',
+  'INTERNAL_ERROR',
+  'NOT_SUPPORTED'
+];
+const FRAME_HEADROOM = 64 * 1024;
+const SEEN_FLAG_SIZE = Buffer.byteLength(',"seen",');
 class MMTPServer {
   constructor(options = {}) {
     this.port = options.port || 8025;
     this.securePort = options.securePort || 8026;
+    this.webSocketPort = options.webSocketPort || null;
+    this.webSocketOrigins = options.webSocketOrigins || null;
     this.useTLS = options.useTLS ?? true;
     this.usePGP = options.usePGP ?? false;
     this.certPath = options.certPath || path.join(process.cwd(), 'certs', 'server.cert');
     this.keyPath = options.keyPath || path.join(process.cwd(), 'certs', 'server.key');
     this.keyStorePath = options.keyStorePath || path.join(process.cwd(), 'keystore');
+    this.dataDir = options.dataDir || process.cwd();
     this.protocol = new MMTPProtocol(
       options.difficulty || 5, 
       { 
         useTLS: this.useTLS, 
         usePGP: this.usePGP,
-        keyStorePath: this.keyStorePath
+        keyStorePath: this.keyStorePath,
+        maxFrameSize: options.maxFrameSize,
+        hashcashWindow: options.hashcashWindow,
+        hashcashClockSkew: options.hashcashClockSkew,
+        powSchemes: options.powSchemes,
+        classifierPath: this.resolveDataPath(options.classifierPath, 'classifier')
       }
     );
+    this.maxMessageSize = options.maxMessageSize || Math.min(10 * 1024 * 1024, this.protocol.maxFrameSize - FRAME_HEADROOM);
+    if (this.maxMessageSize > this.protocol.maxFrameSize - FRAME_HEADROOM) {
+      throw new Error(`maxMessageSize must be at least ${FRAME_HEADROOM} bytes below maxFrameSize (${this.protocol.maxFrameSize}) so that every message fits in a response frame`);
+    }
+    this.spentStamps = new SpentStampStore({ path: this.resolveDataPath(options.spentStampsPath, 'stamps') });
+    this.difficultyPolicy = options.adaptiveDifficulty
+      ? new DifficultyPolicy(this.protocol.difficulty, options.adaptiveDifficulty === true ? {} : options.adaptiveDifficulty)
+      : null;
     this.server = null;
     this.secureServer = null;
-    this.mailboxes = {}; 
+    this.webSocketServer = null;
+    this.httpGateway = options.httpPort ? new HttpGateway({ server: this, port: options.httpPort }) : null;
+    this.storage = createMailboxStore(options.storage, {
+      storagePath: options.storagePath || path.join(this.dataDir, 'mailstore')
+    });
+    this.searchIndex = new SearchIndex({
+      load: mailbox => this.storage.list(mailbox),
+      getTags: record => this.protocol.getMessageTags(this.recordToMessage(record))
+    });
+    this.maxSearchResults = options.maxSearchResults || 100;
+    this.ruleEngine = new RuleEngine({
+      protocol: this.protocol,
+      path: this.resolveDataPath(options.rulesPath, 'rules'),
+      maxRules: options.maxRules,
+      isLocalAddress: email => this.isLocalAddress(email),
+      getTagCategories: email => this.tagStore.getCategories(email)
+    });
+    this.tagStore = new TagCategoryStore({
+      protocol: this.protocol,
+      path: this.resolveDataPath(options.tagCategoriesPath, 'tag-categories'),
+      maxCategories: options.maxTagCategories,
+      maxTags: options.maxTagsPerCategory
+    });
+    this.domains = options.domains ? options.domains.map(domain => domain.toLowerCase()) : null;
+    this.federation = options.federation ? new FederationRelay(options.federation) : null;
+    this.outboundQueue = this.federation
+      ? new DeliveryQueue({
+        path: path.join(this.dataDir, 'queue'),
+        ...options.queue,
+        stampWindow: this.protocol.hashcashWindow,
+        deliver: (entry) => this.federation.relay(entry.packet, entry.recipient),
+        onFailure: (entry, reason) => this.bounceMessage(entry, reason)
+      })
+      : null;
+    this.maxRecipients = options.maxRecipients || 100;
+    this.maxAttachmentSize = options.maxAttachmentSize || 5 * 1024 * 1024;
+    this.accounts = options.accounts || {};
+    this.registrationTokens = options.registrationTokens || {};
+    this.requireAuth = options.requireAuth ?? this.getAuthMethods().length > 0;
+    this.authChallengeTTL = options.authChallengeTTL || 2 * 60 * 1000;
     this.clients = new Set();
+    this.subscriptions = new Map();
     this.connectionLimits = {}; 
     if (this.useTLS) {
       fs.ensureDirSync(path.dirname(this.certPath));
@@ -32,7 +115,16 @@ class MMTPServer {
       fs.ensureDirSync(this.keyStorePath);
     }
   }
+  resolveDataPath(value, name) {
+    return value === undefined ? path.join(this.dataDir, name) : value;
+  }
   start() {
+    if (this.outboundQueue) {
+      this.outboundQueue.start();
+    }
+    if (this.difficultyPolicy) {
+      this.difficultyPolicy.start();
+    }
     this.server = net.createServer((socket) => {
       this.handleConnection(socket);
     });
@@ -66,49 +158,110 @@ class MMTPServer {
         console.error(`Failed to start TLS server: ${error.message}`);
       }
     }
+    if (this.webSocketPort) {
+      this.startWebSocketServer();
+    }
+    if (this.httpGateway) {
+      this.httpGateway.start();
+    }
+  }
+  startWebSocketServer() {
+    const secure = this.useTLS && Boolean(this.secureServer);
+    const rejectPlainHttp = (request, response) => {
+      response.writeHead(426, { Upgrade: 'websocket', 'Content-Type': 'text/plain' });
+      response.end('This port only accepts WebSocket connections');
+    };
+    this.webSocketServer = secure
+      ? https.createServer({ key: fs.readFileSync(this.keyPath), cert: fs.readFileSync(this.certPath) }, rejectPlainHttp)
+      : http.createServer(rejectPlainHttp);
+    this.webSocketServer.on('upgrade', (request, socket, head) => {
+      socket.encrypted = secure;
+      const connection = acceptWebSocket(request, socket, head, {
+        origins: this.webSocketOrigins,
+        maxMessageSize: this.protocol.maxFrameSize
+      });
+      if (connection) {
+        this.handleConnection(connection);
+      }
+    });
+    this.webSocketServer.listen(this.webSocketPort, () => {
+      console.log(`MMTP WebSocket Server${secure ? ' (TLS)' : ''} running on port ${this.webSocketPort}`);
+    });
+    this.webSocketServer.on('error', (error) => {
+      console.error(`WebSocket server error: ${error.message}`);
+    });
   }
   handleConnection(socket) {
     const clientIp = socket.remoteAddress;
     const isEncrypted = socket.encrypted || false;
     this.connectionLimits[clientIp] = (this.connectionLimits[clientIp] || 0) + 1;
+    socket.on('error', (error) => {
+      console.error(`Socket error: ${error.message}`);
+      this.clients.delete(socket);
+    });
+    socket.on('close', () => {
+      this.connectionLimits[clientIp]--;
+    });
     if (this.connectionLimits[clientIp] > 5) {
-      socket.write(JSON.stringify({
+      this.writeFrame(socket, {
         status: 'ERROR',
-        message: 'Rate limit exceeded. Try again later.'
-      }));
+        message: 'Rate limit exceeded. Try again later.',
+        code: 'RATE_LIMITED'
+      });
       socket.end();
       return;
     }
     this.clients.add(socket);
     console.log(`Client connected: ${clientIp}${isEncrypted ? ' (encrypted)' : ''}`);
-    socket.on('data', async (data) => {
-      try {
-        const request = JSON.parse(data.toString());
-        await this.handleRequest(request, socket);
-      } catch (error) {
-        socket.write(JSON.stringify({
+    const session = this.createSession(socket);
+    const parser = this.protocol.createFrameParser(
+      async (request) => {
+        try {
+          await this.handleRequest(request, session);
+        } catch (error) {
+          this.sendResponse(this.createRequestContext(request, session), {
+            status: 'ERROR',
+            message: `Invalid request format: ${error.message}`
+          });
+        }
+      },
+      (error) => {
+        this.writeFrame(socket, {
           status: 'ERROR',
-          message: 'Invalid request format. Must be valid JSON.'
-        }));
+          message: error.code === 'FRAME_TOO_LARGE'
+            ? error.message
+            : 'Invalid request format. Must be valid JSON.',
+          code: error.code === 'FRAME_TOO_LARGE' ? 'TOO_LARGE' : 'INVALID_REQUEST'
+        });
       }
+    );
+    socket.on('data', (data) => {
+      parser.push(data);
     });
     socket.on('close', () => {
       this.clients.delete(socket);
-      this.connectionLimits[clientIp]--;
+      this.unsubscribeSession(session);
       console.log(`Client disconnected: ${clientIp}${isEncrypted ? ' (encrypted)' : ''}`);
     });
-    socket.on('error', (error) => {
-      console.error(`Socket error: ${error.message}`);
-      this.clients.delete(socket);
-    });
-    socket.write(JSON.stringify({
+    this.writeFrame(socket, {
       status: 'OK',
       message: `MMTP Server Ready${isEncrypted ? ' (Secure Connection)' : ''}`,
       features: {
         tls: this.useTLS,
-        pgp: this.usePGP
+        pgp: this.usePGP,
+        framing: socket.framing || 'ndjson',
+        maxFrameSize: this.protocol.maxFrameSize,
+        maxMessageSize: this.maxMessageSize,
+        maxAttachmentSize: this.maxAttachmentSize,
+        difficulty: this.protocol.difficulty,
+        pow: this.protocol.powSchemes,
+        adaptiveDifficulty: Boolean(this.difficultyPolicy),
+        auth: this.getAuthMethods(),
+        federation: Boolean(this.federation),
+        requireAuth: this.requireAuth,
+        push: ['NEW_MAIL']
       }
-    }));
+    });
   }
   stop() {
     if (this.server) {
@@ -121,193 +274,1115 @@ class MMTPServer {
         console.log('MMTP Secure Server stopped');
       });
     }
+    if (this.webSocketServer) {
+      this.webSocketServer.close(() => {
+        console.log('MMTP WebSocket Server stopped');
+      });
+    }
+    if (this.httpGateway) {
+      this.httpGateway.stop();
+    }
+    if (this.outboundQueue) {
+      this.outboundQueue.stop();
+    }
+    if (this.difficultyPolicy) {
+      this.difficultyPolicy.stop();
+    }
+    if (this.federation) {
+      this.federation.close();
+    }
+    this.storage.close().catch((error) => {
+      console.error(`Failed to close mailbox storage: ${error.message}`);
+    });
+  }
+  writeFrame(socket, payload) {
+    if (!socket.writable) {
+      return false;
+    }
+    socket.write(this.protocol.encodeFrame(payload));
+    return true;
+  }
+  sendResponse(context, response) {
+    if (response.status === 'ERROR' && !response.code) {
+      response = { ...response, code: 'INVALID_REQUEST' };
+    }
+    if (context.requestId !== undefined) {
+      response = { ...response, requestId: context.requestId };
+    }
+    return this.writeFrame(context.socket, response);
+  }
+  fitMessages(context, messages, response) {
+    const envelope = { status: 'OK', messages: [], count: messages.length, ...response, truncated: true, requestId: context.requestId };
+    let size = Buffer.byteLength(this.protocol.encodeFrame(envelope));
+    const fitted = [];
+    for (const message of messages) {
+      size += Buffer.byteLength(JSON.stringify(message)) + SEEN_FLAG_SIZE;
+      if (size > this.protocol.maxFrameSize) {
+        break;
+      }
+      fitted.push(message);
+    }
+    return fitted;
+  }
+  sendMessages(context, messages, response = {}, options = {}) {
+    const fitted = this.fitMessages(context, messages, response);
+    if (fitted.length === 0 && messages.length > 0) {
+      this.sendResponse(context, {
+        status: 'ERROR',
+        message: `Message ${messages[0].meta.uid} does not fit in a frame of ${this.protocol.maxFrameSize} bytes`,
+        code: 'TOO_LARGE'
+      });
+      return [];
+    }
+    const sent = options.markSeen
+      ? fitted.map(message => ({ ...message, meta: { ...message.meta, flags: [...new Set([...message.meta.flags, 'seen'])] } }))
+      : fitted;
+    const written = this.sendResponse(context, {
+      status: 'OK',
+      messages: sent,
+      count: sent.length,
+      ...response,
+      ...(sent.length < messages.length ? { truncated: true } : {})
+    });
+    return written ? fitted : [];
+  }
+  recordsOf(records, messages) {
+    const uids = new Set(messages.map(message => message.meta.uid));
+    return records.filter(record => uids.has(record.uid));
+  }
+  createSession(socket) {
+    return {
+      socket,
+      encrypted: socket.encrypted || false,
+      identity: null,
+      challenge: null,
+      subscriptions: new Set()
+    };
   }
-  async handleRequest(request, socket) {
+  createRequestContext(request, session) {
+    const requestId = request ? request.requestId : undefined;
+    return {
+      session,
+      socket: session.socket,
+      requestId: typeof requestId === 'string' || typeof requestId === 'number' ? requestId : undefined
+    };
+  }
+  async handleRequest(request, session) {
+    const context = this.createRequestContext(request, session);
     switch (request.action) {
       case 'SEND':
-        await this.handleSendMail(request.data, socket);
+        await this.handleSendMail(request.data, context);
         break;
       case 'RECEIVE':
-        await this.handleReceiveMail(request.data, socket);
+        await this.handleReceiveMail(request.data, context);
         break;
       case 'RECEIVE_FILTERED':
-        await this.handleReceiveFilteredMail(request.data, socket);
+        await this.handleReceiveFilteredMail(request.data, context);
         break;
       case 'CHECK':
-        await this.handleCheckMail(request.data, socket);
+        await this.handleCheckMail(request.data, context);
+        break;
+      case 'FETCH':
+        await this.handleFetchMail(request.data, context);
+        break;
+      case 'GET_CONVERSATION':
+        await this.handleGetConversation(request.data, context);
+        break;
+      case 'SEARCH':
+        await this.handleSearch(request.data, context);
+        break;
+      case 'RETAG':
+      case 'UPDATE_TAGS':
+        await this.handleUpdateTags(request.data, context);
+        break;
+      case 'SET_RULES':
+        await this.handleSetRules(request.data, context);
+        break;
+      case 'GET_RULES':
+        await this.handleGetRules(request.data, context);
+        break;
+      case 'SET_FLAGS':
+        await this.handleSetFlags(request.data, context);
+        break;
+      case 'DELETE':
+        await this.handleDeleteMail(request.data, context);
+        break;
+      case 'EXPUNGE':
+        await this.handleExpunge(request.data, context);
         break;
       case 'REGISTER_KEY':
-        await this.handleRegisterKey(request.data, socket);
+        await this.handleRegisterKey(request.data, context);
         break;
       case 'REQUEST_PUBLIC_KEY':
-        await this.handleRequestPublicKey(request.data, socket);
+        await this.handleRequestPublicKey(request.data, context);
+        break;
+      case 'SUBSCRIBE':
+        await this.handleSubscribe(request.data, context);
+        break;
+      case 'UNSUBSCRIBE':
+        await this.handleUnsubscribe(request.data, context);
         break;
       case 'GET_TAG_CATEGORIES':
-        await this.handleGetTagCategories(request.data, socket);
+        await this.handleGetTagCategories(request.data, context);
+        break;
+      case 'ADD_TAG_CATEGORY':
+        await this.handleAddTagCategory(request.data, context);
+        break;
+      case 'REMOVE_TAG':
+        await this.handleRemoveTag(request.data, context);
+        break;
+      case 'RENAME_TAG':
+        await this.handleRenameTag(request.data, context);
+        break;
+      case 'AUTH_CHALLENGE':
+        await this.handleAuthChallenge(request.data, context);
+        break;
+      case 'AUTH':
+        await this.handleAuth(request.data, context);
         break;
       default:
-        socket.write(JSON.stringify({
+        this.sendResponse(context, {
           status: 'ERROR',
           message: 'Unknown action'
-        }));
+        });
     }
   }
-  async handleSendMail(data, socket) {
+  async handleSendMail(data, context) {
+    const packetError = this.protocol.validatePacket(data && data.packet);
+    if (packetError) {
+      this.recordRejection(context);
+      this.sendResponse(context, {
+        status: 'ERROR',
+        message: packetError
+      });
+      return;
+    }
     try {
-      const result = await this.protocol.processPacket(data.packet);
+      const result = await this.protocol.processPacket(data.packet, { difficulty: 0 });
       if (!result.success) {
-        socket.write(JSON.stringify({
+        this.recordRejection(context);
+        this.sendResponse(context, {
           status: 'ERROR',
           message: result.error
-        }));
+        });
         return;
       }
       const { packet } = result;
-      const { recipient } = packet;
-      if (!this.mailboxes[recipient]) {
-        this.mailboxes[recipient] = [];
+      const sizeError = this.checkMessageSize(packet);
+      if (sizeError) {
+        this.sendResponse(context, {
+          status: 'ERROR',
+          message: sizeError,
+          code: 'TOO_LARGE'
+        });
+        return;
       }
-      this.mailboxes[recipient].push(packet);
-      socket.write(JSON.stringify({
+      const packetRecipients = this.protocol.getPacketRecipients(packet);
+      const envelope = data.recipients || packetRecipients;
+      if (!Array.isArray(envelope) || envelope.length === 0 ||
+          !envelope.every(recipient => packetRecipients.includes(recipient))) {
+        this.sendResponse(context, {
+          status: 'ERROR',
+          message: 'Envelope recipients must be listed in the message packet'
+        });
+        return;
+      }
+      if (envelope.length > this.maxRecipients) {
+        this.sendResponse(context, {
+          status: 'ERROR',
+          message: `Too many recipients: at most ${this.maxRecipients} are allowed per message`
+        });
+        return;
+      }
+      const messageKey = this.getAcceptedMessageKey(packet);
+      const recipients = envelope.filter(recipient => !this.spentStamps.has(messageKey, recipient));
+      if (recipients.length === 0) {
+        this.sendResponse(context, {
+          status: 'OK',
+          message: 'Message was already accepted',
+          messageId: packet.meta.messageId,
+          duplicate: true
+        });
+        return;
+      }
+      const stamp = this.protocol.parseHashCash(packet.meta.hashcashToken.token);
+      const requiredDifficulty = this.getRequiredDifficulty(packet, recipients, context, this.protocol.getPowScheme(stamp.scheme));
+      if (stamp.difficulty < requiredDifficulty) {
+        this.sendResponse(context, {
+          status: 'ERROR',
+          message: `HashCash verification failed - stamp difficulty ${stamp.difficulty} is below the required ${requiredDifficulty}`,
+          requiredDifficulty
+        });
+        return;
+      }
+      const stampError = await this.spendStamp(packet, recipients);
+      if (stampError) {
+        this.recordRejection(context);
+        this.sendResponse(context, {
+          status: 'ERROR',
+          message: stampError
+        });
+        return;
+      }
+      const results = [];
+      const relayAllowed = context.session.identity === packet.sender;
+      for (const recipient of new Set(recipients)) {
+        results.push(await this.deliverToRecipient(packet, recipient, [], { relayAllowed }));
+      }
+      const accepted = results.filter(delivery => delivery.status !== 'rejected');
+      const single = results.length === 1 ? results[0] : null;
+      if (accepted.length === 0) {
+        this.sendResponse(context, {
+          status: 'ERROR',
+          message: single ? single.message : 'Message could not be delivered to any recipient',
+          code: 'DELIVERY_FAILED',
+          results
+        });
+        return;
+      }
+      await this.spentStamps.spend(
+        messageKey,
+        accepted.map(delivery => delivery.recipient),
+        packet.meta.timestamp + this.protocol.hashcashWindow
+      );
+      if (this.difficultyPolicy) {
+        this.difficultyPolicy.recordDelivery(
+          packet.sender,
+          accepted.map(delivery => delivery.recipient),
+          this.getRequestSource(context)
+        );
+      }
+      const queued = accepted.filter(delivery => delivery.status === 'queued');
+      this.sendResponse(context, {
         status: 'OK',
-        message: 'Message delivered successfully',
+        message: single ? single.message : `Message accepted for ${accepted.length} of ${results.length} recipients`,
         messageId: packet.meta.messageId,
         encrypted: packet.meta.encrypted,
-        signed: packet.meta.signed
-      }));
+        signed: packet.meta.signed,
+        ...(single && single.status === 'relayed' ? { via: single.via || 'MMTP' } : {}),
+        ...(queued.length > 0 ? { queued: true, nextAttemptAt: Math.min(...queued.map(delivery => delivery.nextAttemptAt)) } : {}),
+        results
+      });
     } catch (error) {
-      socket.write(JSON.stringify({
+      this.sendResponse(context, {
         status: 'ERROR',
-        message: `Failed to process message: ${error.message}`
-      }));
+        message: `Failed to process message: ${error.message}`,
+        code: 'INTERNAL_ERROR'
+      });
+    }
+  }
+  getRequiredDifficulty(packet, recipients, context, pow) {
+    if (!this.difficultyPolicy) {
+      return pow.difficulty;
     }
+    const adjustment = this.difficultyPolicy.getDifficulty(packet, recipients, {
+      authenticated: context.session.identity === packet.sender,
+      source: this.getRequestSource(context)
+    }) - this.protocol.difficulty;
+    return Math.max(0, pow.difficulty + adjustment);
+  }
+  getErrorCode(error) {
+    return ERROR_CODES.includes(error.code) ? error.code : 'INTERNAL_ERROR';
+  }
+  getAcceptedMessageKey(packet) {
+    return `message:${packet.sender}:${packet.meta.messageId}`;
+  }
+  getRequestSource(context) {
+    return context.session.identity || context.session.socket.remoteAddress || 'unknown';
   }
-  async handleReceiveMail(data, socket) {
+  recordRejection(context) {
+    if (this.difficultyPolicy) {
+      this.difficultyPolicy.recordRejection(this.getRequestSource(context));
+    }
+  }
+  async spendStamp(packet, recipients) {
+    const expiresAt = packet.meta.timestamp + this.protocol.hashcashWindow;
+    const spent = await this.spentStamps.spend(packet.meta.hashcashToken.token, recipients, expiresAt);
+    return spent ? null : 'HashCash verification failed - stamp has already been used';
+  }
+  checkMessageSize(packet) {
+    const messageSize = Buffer.byteLength(JSON.stringify(packet.content));
+    if (messageSize > this.maxMessageSize) {
+      return `Message too large: ${messageSize} bytes exceeds the limit of ${this.maxMessageSize} bytes`;
+    }
+    for (const attachment of packet.content.attachments || []) {
+      if (attachment.size > this.maxAttachmentSize) {
+        return `Attachment ${attachment.filename} too large: ${attachment.size} bytes exceeds the limit of ${this.maxAttachmentSize} bytes`;
+      }
+    }
+    return null;
+  }
+  async deliverToRecipient(packet, recipient, forwardedBy = [], options = {}) {
+    if (!this.isLocalAddress(recipient)) {
+      return this.relayMessage(packet, recipient, options);
+    }
+    const copy = this.protocol.createRecipientCopy(packet, [recipient]);
+    const { recipientTags, removedTags, ...senderMeta } = copy.meta;
+    const classified = { ...copy, meta: { ...senderMeta, serverTags: this.protocol.classifyMessage(copy, recipient) } };
+    const outcome = this.ruleEngine.evaluate(recipient, classified);
+    if (outcome.reject !== null) {
+      return { recipient, status: 'rejected', message: outcome.reject };
+    }
+    for (const target of outcome.forward) {
+      if (target !== recipient && !forwardedBy.includes(target) && this.isLocalAddress(target)) {
+        const forwarded = await this.deliverToRecipient(packet, target, [...forwardedBy, recipient]);
+        if (forwarded.status === 'rejected') {
+          console.error(`Rule forward from ${recipient} to ${target} failed: ${forwarded.message}`);
+        }
+      }
+    }
+    try {
+      if (!outcome.discard) {
+        const { serverTags, ...meta } = outcome.packet.meta;
+        await this.storeMessage(recipient, { ...outcome.packet, meta }, { folder: outcome.folder, serverTags });
+      }
+      return { recipient, status: 'delivered', message: 'Message delivered successfully' };
+    } catch (error) {
+      return { recipient, status: 'rejected', message: `Failed to store message: ${error.message}` };
+    }
+  }
+  isLocalAddress(email) {
+    if (!this.domains) {
+      return true;
+    }
+    const match = email.match(/^\([a-zA-Z0-9._-]+\)%\(([a-zA-Z0-9.-]+)\)$/);
+    return Boolean(match) && this.domains.includes(match[1].toLowerCase());
+  }
+  getRelayDenial(packet, options = {}) {
+    if (!this.isLocalAddress(packet.sender)) {
+      return 'Relaying denied: neither sender nor recipient domain is hosted on this server';
+    }
+    if (!options.relayAllowed) {
+      return 'Relaying denied: authenticate as the sender to send mail to another domain';
+    }
+    return null;
+  }
+  async relayMessage(packet, recipient, options = {}) {
+    if (!this.federation) {
+      return { recipient, status: 'rejected', message: 'Recipient domain is not hosted on this server' };
+    }
+    const denial = this.getRelayDenial(packet, options);
+    if (denial) {
+      return { recipient, status: 'rejected', message: denial };
+    }
+    try {
+      const relayResult = await this.federation.relay(this.protocol.createRecipientCopy(packet, [recipient]), recipient);
+      return { recipient, status: 'relayed', message: `Message relayed to ${relayResult.host}:${relayResult.port}` };
+    } catch (error) {
+      if (error.permanent) {
+        return { recipient, status: 'rejected', message: `Relay to remote server failed: ${error.message}` };
+      }
+      const entry = await this.outboundQueue.enqueue(this.protocol.createRecipientCopy(packet, [recipient]), recipient, error);
+      return {
+        recipient,
+        status: 'queued',
+        message: 'Remote server unavailable, message queued for delivery',
+        nextAttemptAt: entry.nextAttemptAt
+      };
+    }
+  }
+  async bounceMessage(entry, reason) {
+    const bounce = this.protocol.createBouncePacket(entry.packet, entry.recipient, reason, {
+      attempts: entry.attempts,
+      firstAttemptAt: entry.createdAt,
+      lastAttemptAt: entry.lastAttemptAt
+    });
+    await this.storeMessage(entry.packet.sender, bounce);
+    console.log(`Bounced message ${entry.packet.meta.messageId} to ${entry.packet.sender}: ${reason}`);
+  }
+  async storeMessage(recipient, packet, options = {}) {
+    const record = await this.storage.append(recipient, packet, options);
+    await this.searchIndex.add(recipient, record);
+    this.notifySubscribers(recipient, record);
+    return record;
+  }
+  notifySubscribers(mailbox, record) {
+    const sessions = this.subscriptions.get(mailbox);
+    if (!sessions) {
+      return;
+    }
+    const message = this.recordToMessage(record);
+    const readable = !message.meta.encrypted;
+    const event = {
+      event: 'NEW_MAIL',
+      email: mailbox,
+      uid: record.uid,
+      messageId: record.messageId,
+      folder: record.folder || 'INBOX',
+      sender: message.sender,
+      subject: readable ? message.content.subject : undefined,
+      timestamp: message.meta.timestamp,
+      encrypted: Boolean(message.meta.encrypted),
+      tags: this.protocol.getMessageTags(message)
+    };
+    for (const session of sessions) {
+      this.writeFrame(session.socket, event);
+    }
+  }
+  unsubscribeSession(session, mailbox) {
+    for (const subscribed of mailbox ? [mailbox] : [...session.subscriptions]) {
+      session.subscriptions.delete(subscribed);
+      const sessions = this.subscriptions.get(subscribed);
+      if (sessions) {
+        sessions.delete(session);
+        if (sessions.size === 0) {
+          this.subscriptions.delete(subscribed);
+        }
+      }
+    }
+  }
+  async handleSubscribe(data, context) {
+    const { email } = data;
+    if (!this.checkMailboxRequest(context, email)) {
+      return;
+    }
+    if (!this.subscriptions.has(email)) {
+      this.subscriptions.set(email, new Set());
+    }
+    this.subscriptions.get(email).add(context.session);
+    context.session.subscriptions.add(email);
+    const unseen = await this.listUnseenMessages(email);
+    this.sendResponse(context, {
+      status: 'OK',
+      message: `Subscribed to new mail for ${email}`,
+      email,
+      unseen: unseen.length
+    });
+  }
+  async handleUnsubscribe(data, context) {
     const { email } = data;
+    if (!this.checkMailboxRequest(context, email)) {
+      return;
+    }
+    this.unsubscribeSession(context.session, email);
+    this.sendResponse(context, {
+      status: 'OK',
+      message: `Unsubscribed from new mail for ${email}`,
+      email
+    });
+  }
+  async decryptMessages(email, messages) {
+    if (!this.usePGP) {
+      return messages;
+    }
+    const processed = [];
+    for (const packet of messages) {
+      if (packet.meta.encrypted) {
+        const processedPacket = await this.protocol.processPacket(
+          packet,
+          { recipientEmail: email, verifyStamp: false }
+        );
+        processed.push(processedPacket.success ? processedPacket.packet : packet);
+      } else {
+        processed.push(packet);
+      }
+    }
+    return processed;
+  }
+  checkMailboxRequest(context, email) {
     if (!this.protocol.validateEmailFormat(email)) {
-      socket.write(JSON.stringify({
+      this.sendResponse(context, {
         status: 'ERROR',
         message: 'Invalid email format'
-      }));
+      });
+      return false;
+    }
+    return this.authorizeMailboxAccess(context, email);
+  }
+  recordToMessage(record) {
+    return {
+      ...record.packet,
+      meta: {
+        ...record.packet.meta,
+        uid: record.uid,
+        folder: record.folder || 'INBOX',
+        serverTags: record.serverTags || {},
+        recipientTags: record.recipientTags || {},
+        removedTags: record.removedTags || {},
+        flags: record.flags
+      }
+    };
+  }
+  async listUnseenMessages(email, folder = 'INBOX') {
+    const records = await this.storage.list(email);
+    return records.filter(record =>
+      !record.flags.includes('seen') && !record.flags.includes('deleted') && (record.folder || 'INBOX') === folder
+    );
+  }
+  async markSeen(email, records) {
+    if (records.length === 0) {
+      return;
+    }
+    await this.storage.setFlags(email, records.map(record => record.uid), ['seen'], 'add');
+    records.forEach(record => {
+      if (!record.flags.includes('seen')) {
+        record.flags.push('seen');
+      }
+    });
+  }
+  selectRecords(allRecords, data) {
+    const records = typeof data.folder === 'string'
+      ? allRecords.filter(record => (record.folder || 'INBOX') === data.folder)
+      : allRecords;
+    if (Array.isArray(data.uids)) {
+      const uids = new Set(data.uids.map(Number));
+      return records.filter(record => uids.has(record.uid));
+    }
+    if (typeof data.range === 'string' && data.range.trim() !== '') {
+      const highestUid = allRecords.length > 0 ? allRecords[allRecords.length - 1].uid : 0;
+      const ranges = data.range.split(',').map(part => {
+        const [start, end = start] = part.trim().split(':');
+        const parseBound = (bound) => (bound === '*' ? highestUid : parseInt(bound, 10));
+        const from = parseBound(start);
+        const to = parseBound(end);
+        if (Number.isNaN(from) || Number.isNaN(to)) {
+          throw new Error(`Invalid UID range: ${part}`);
+        }
+        return [Math.min(from, to), Math.max(from, to)];
+      });
+      return records.filter(record =>
+        ranges.some(([from, to]) => record.uid >= from && record.uid <= to)
+      );
+    }
+    return records;
+  }
+  async handleReceiveMail(data, context) {
+    const { email, folder } = data;
+    if (!this.checkMailboxRequest(context, email)) {
       return;
     }
-    if (!this.mailboxes[email] || this.mailboxes[email].length === 0) {
-      socket.write(JSON.stringify({
+    const records = await this.listUnseenMessages(email, folder);
+    if (records.length === 0) {
+      this.sendResponse(context, {
         status: 'OK',
         messages: [],
         count: 0
-      }));
+      });
       return;
     }
-    if (this.usePGP) {
-      for (let i = 0; i < this.mailboxes[email].length; i++) {
-        const packet = this.mailboxes[email][i];
-        if (packet.meta.encrypted) {
-          const processedPacket = await this.protocol.processPacket(
-            packet,
-            { recipientEmail: email }
-          );
-          if (processedPacket.success) {
-            this.mailboxes[email][i] = processedPacket.packet;
-          }
-        }
-      }
-    }
-    socket.write(JSON.stringify({
-      status: 'OK',
-      messages: this.mailboxes[email],
-      count: this.mailboxes[email].length
-    }));
-    delete this.mailboxes[email];
+    const messages = await this.decryptMessages(email, records.map(record => this.recordToMessage(record)));
+    const sent = this.sendMessages(context, messages, {}, { markSeen: true });
+    await this.markSeen(email, this.recordsOf(records, sent));
   }
-  async handleReceiveFilteredMail(data, socket) {
-    const { email, tagFilters } = data;
-    if (!this.protocol.validateEmailFormat(email)) {
-      socket.write(JSON.stringify({
+  parseFilterQuery(context, query, email) {
+    if (query === undefined || query === null) {
+      return { ast: null };
+    }
+    try {
+      return { ast: this.protocol.parseQuery(query, this.tagStore.getCategories(email)) };
+    } catch (error) {
+      this.sendResponse(context, {
         status: 'ERROR',
-        message: 'Invalid email format'
-      }));
+        message: error.message
+      });
+      return null;
+    }
+  }
+  filterMessages(messages, tagFilters, ast) {
+    let filtered = messages;
+    if (tagFilters && Object.keys(tagFilters).length > 0) {
+      filtered = this.protocol.filterMessagesByTags(filtered, tagFilters);
+    }
+    if (ast) {
+      filtered = this.protocol.filterMessagesByQuery(filtered, ast);
+    }
+    return filtered;
+  }
+  async handleReceiveFilteredMail(data, context) {
+    const { email, tagFilters, query, folder } = data;
+    if (!this.checkMailboxRequest(context, email)) {
+      return;
+    }
+    const parsed = this.parseFilterQuery(context, query, email);
+    if (!parsed) {
       return;
     }
-    if (!this.mailboxes[email] || this.mailboxes[email].length === 0) {
-      socket.write(JSON.stringify({
+    const records = await this.listUnseenMessages(email, folder);
+    if (records.length === 0) {
+      this.sendResponse(context, {
         status: 'OK',
         messages: [],
         count: 0,
-        tagFilters
-      }));
+        tagFilters,
+        query
+      });
       return;
     }
-    if (this.usePGP) {
-      for (let i = 0; i < this.mailboxes[email].length; i++) {
-        const packet = this.mailboxes[email][i];
-        if (packet.meta.encrypted) {
-          const processedPacket = await this.protocol.processPacket(
-            packet,
-            { recipientEmail: email }
-          );
-          if (processedPacket.success) {
-            this.mailboxes[email][i] = processedPacket.packet;
-          }
-        }
+    const filteredMessages = this.filterMessages(
+      await this.decryptMessages(email, records.map(record => this.recordToMessage(record))),
+      tagFilters,
+      parsed.ast
+    );
+    const sent = this.sendMessages(context, filteredMessages, { tagFilters, query }, { markSeen: true });
+    await this.markSeen(email, this.recordsOf(records, sent));
+  }
+  async handleFetchMail(data, context) {
+    const { email, peek = false, tagFilters, query, offset = 0, limit } = data;
+    if (!this.checkMailboxRequest(context, email)) {
+      return;
+    }
+    if (!Number.isInteger(offset) || offset < 0 || (limit !== undefined && (!Number.isInteger(limit) || limit < 1))) {
+      this.sendResponse(context, {
+        status: 'ERROR',
+        message: 'offset must be a non-negative integer and limit a positive integer'
+      });
+      return;
+    }
+    const parsed = this.parseFilterQuery(context, query, email);
+    if (!parsed) {
+      return;
+    }
+    try {
+      const selected = this.selectRecords(await this.storage.list(email), data);
+      const filtering = parsed.ast || (tagFilters && Object.keys(tagFilters).length > 0);
+      let candidates = selected.map(record => this.recordToMessage(record));
+      if (filtering) {
+        candidates = this.filterMessages(await this.decryptMessages(email, candidates), tagFilters, parsed.ast);
+      }
+      const page = candidates.slice(offset, limit === undefined ? undefined : offset + limit);
+      const messages = filtering ? page : await this.decryptMessages(email, page);
+      const sent = this.sendMessages(context, messages, { total: candidates.length }, { markSeen: !peek });
+      if (!peek) {
+        await this.markSeen(email, this.recordsOf(selected, sent));
       }
+    } catch (error) {
+      this.sendResponse(context, {
+        status: 'ERROR',
+        message: `Failed to fetch messages: ${error.message}`,
+        code: 'INTERNAL_ERROR'
+      });
     }
-    let filteredMessages = this.mailboxes[email];
-    if (tagFilters && Object.keys(tagFilters).length > 0) {
-      filteredMessages = this.protocol.filterMessagesByTags(
-        filteredMessages,
-        tagFilters
-      );
-      this.mailboxes[email] = this.mailboxes[email].filter(message => 
-        !filteredMessages.some(m => m.meta.messageId === message.meta.messageId)
+  }
+  async handleGetConversation(data, context) {
+    const { email, messageId, peek = false } = data;
+    if (!this.checkMailboxRequest(context, email)) {
+      return;
+    }
+    if (typeof messageId !== 'string' && data.uid === undefined) {
+      this.sendResponse(context, {
+        status: 'ERROR',
+        message: 'GET_CONVERSATION requires a messageId or uid'
+      });
+      return;
+    }
+    try {
+      const records = (await this.storage.list(email)).filter(record => !record.flags.includes('deleted'));
+      const target = data.uid !== undefined
+        ? records.find(record => record.uid === Number(data.uid))
+        : null;
+      const thread = this.protocol.findThread(
+        records.map(record => this.recordToMessage(record)),
+        target ? target.packet.meta.messageId : messageId
       );
-    } else {
-      delete this.mailboxes[email];
+      if (!thread) {
+        this.sendResponse(context, {
+          status: 'ERROR',
+          message: 'Conversation not found',
+          code: 'NOT_FOUND'
+        });
+        return;
+      }
+      const messages = await this.decryptMessages(email, thread.messages);
+      const sent = this.sendMessages(context, messages, { threadId: thread.threadId }, { markSeen: !peek });
+      if (!peek) {
+        await this.markSeen(email, this.recordsOf(records, sent));
+      }
+    } catch (error) {
+      this.sendResponse(context, {
+        status: 'ERROR',
+        message: `Failed to fetch conversation: ${error.message}`,
+        code: 'INTERNAL_ERROR'
+      });
+    }
+  }
+  async handleSearch(data, context) {
+    const { email, query, filter, offset = 0, limit = 20 } = data;
+    if (!this.checkMailboxRequest(context, email)) {
+      return;
+    }
+    if (typeof query !== 'string' || query.trim() === '') {
+      this.sendResponse(context, {
+        status: 'ERROR',
+        message: 'SEARCH requires a query'
+      });
+      return;
+    }
+    if (!Number.isInteger(offset) || offset < 0 || !Number.isInteger(limit) || limit < 1 || limit > this.maxSearchResults) {
+      this.sendResponse(context, {
+        status: 'ERROR',
+        message: `offset must be a non-negative integer and limit an integer from 1 to ${this.maxSearchResults}`
+      });
+      return;
+    }
+    const parsed = this.parseFilterQuery(context, filter, email);
+    if (!parsed) {
+      return;
+    }
+    try {
+      const records = new Map((await this.storage.list(email)).map(record => [record.uid, record]));
+      const { total, hits } = await this.searchIndex.search(email, query, {
+        offset,
+        limit,
+        filter: uid => records.has(uid) &&
+          (!parsed.ast || this.protocol.evaluateQuery(parsed.ast, this.recordToMessage(records.get(uid))))
+      });
+      const messages = await this.decryptMessages(email, hits.map((hit) => {
+        const message = this.recordToMessage(records.get(hit.uid));
+        message.meta.score = Math.round(hit.score * 1000) / 1000;
+        return message;
+      }));
+      this.sendMessages(context, messages, { total, offset, limit });
+    } catch (error) {
+      this.sendResponse(context, {
+        status: 'ERROR',
+        message: `Failed to search messages: ${error.message}`,
+        code: 'INTERNAL_ERROR'
+      });
+    }
+  }
+  async handleSetFlags(data, context) {
+    const { email, flags, mode = 'add' } = data;
+    if (!this.checkMailboxRequest(context, email)) {
+      return;
+    }
+    if (!Array.isArray(flags)) {
+      this.sendResponse(context, {
+        status: 'ERROR',
+        message: 'Flags must be an array'
+      });
+      return;
+    }
+    try {
+      const records = this.selectRecords(await this.storage.list(email), data);
+      const updated = await this.storage.setFlags(email, records.map(record => record.uid), flags, mode);
+      await this.searchIndex.update(email, updated);
+      this.sendResponse(context, {
+        status: 'OK',
+        updated: updated.map(record => ({ uid: record.uid, flags: record.flags })),
+        count: updated.length
+      });
+    } catch (error) {
+      this.sendResponse(context, {
+        status: 'ERROR',
+        message: `Failed to update flags: ${error.message}`,
+        code: 'INTERNAL_ERROR'
+      });
+    }
+  }
+  async handleDeleteMail(data, context) {
+    if (!Array.isArray(data.uids) && typeof data.range !== 'string') {
+      this.sendResponse(context, {
+        status: 'ERROR',
+        message: 'DELETE requires uids or a range'
+      });
+      return;
+    }
+    await this.handleSetFlags({ ...data, flags: ['deleted'], mode: 'add' }, context);
+  }
+  async handleExpunge(data, context) {
+    const { email } = data;
+    if (!this.checkMailboxRequest(context, email)) {
+      return;
+    }
+    try {
+      const records = this.selectRecords(await this.storage.list(email), data)
+        .filter(record => record.flags.includes('deleted'));
+      const uids = records.map(record => record.uid);
+      await this.storage.remove(email, uids);
+      await this.searchIndex.remove(email, uids);
+      this.sendResponse(context, {
+        status: 'OK',
+        expunged: uids,
+        count: uids.length
+      });
+    } catch (error) {
+      this.sendResponse(context, {
+        status: 'ERROR',
+        message: `Failed to expunge messages: ${error.message}`,
+        code: 'INTERNAL_ERROR'
+      });
+    }
+  }
+  async handleUpdateTags(data, context) {
+    const { email, tags, add = {}, remove = {} } = data;
+    if (!this.checkMailboxRequest(context, email)) {
+      return;
+    }
+    const hasSelection = Array.isArray(data.uids) || typeof data.range === 'string' ||
+      Array.isArray(data.messageIds) || typeof data.query === 'string';
+    const replace = tags !== undefined;
+    const hasChanges = replace
+      ? this.protocol.isTagMap(tags) && data.add === undefined && data.remove === undefined
+      : this.protocol.isTagMap(add) && this.protocol.isTagMap(remove) && Object.keys(add).length + Object.keys(remove).length > 0;
+    if (!hasSelection || !hasChanges) {
+      this.sendResponse(context, {
+        status: 'ERROR',
+        message: 'UPDATE_TAGS requires uids, a range, messageIds or a query, and either tags to add or remove or the tags to replace them with'
+      });
+      return;
+    }
+    const categories = this.tagStore.getCategories(email);
+    const unknown = Object.entries(replace ? tags : add).flatMap(([category, tags]) =>
+      tags.filter(tag => category !== 'custom' && !(categories[category] || []).includes(tag)).map(tag => `${category}:${tag}`)
+    );
+    if (unknown.length > 0) {
+      this.sendResponse(context, {
+        status: 'ERROR',
+        message: `Unknown tags: ${unknown.join(', ')}`
+      });
+      return;
+    }
+    const parsed = this.parseFilterQuery(context, data.query, email);
+    if (!parsed) {
+      return;
+    }
+    try {
+      let records = this.selectRecords(await this.storage.list(email), data)
+        .filter(record => !record.flags.includes('deleted'));
+      if (Array.isArray(data.messageIds)) {
+        records = records.filter(record => data.messageIds.includes(record.messageId));
+      }
+      if (parsed.ast) {
+        records = records.filter(record => this.protocol.evaluateQuery(parsed.ast, this.recordToMessage(record)));
+      }
+      const updated = [];
+      for (const record of records) {
+        const message = this.recordToMessage(record);
+        const assigned = this.protocol.mergeTags(message.meta.tags, message.meta.serverTags);
+        const additions = replace ? tags : add;
+        const removals = replace ? this.protocol.subtractTags(this.protocol.getMessageTags(message), tags) : remove;
+        const recipientTags = this.protocol.subtractTags(this.protocol.mergeTags(message.meta.recipientTags, additions), removals);
+        const removedTags = this.protocol.mergeTags(
+          this.protocol.subtractTags(message.meta.removedTags, additions),
+          Object.fromEntries(Object.entries(removals).map(([category, tags]) =>
+            [category, tags.filter(tag => (assigned[category] || []).includes(tag))]
+          ).filter(([, tags]) => tags.length > 0))
+        );
+        updated.push(...await this.storage.annotate(email, [record.uid], { recipientTags, removedTags }));
+      }
+      for (const record of updated) {
+        await this.protocol.learnTags(email, record.packet, this.protocol.getMessageTags(this.recordToMessage(record)));
+      }
+      await this.searchIndex.update(email, updated);
+      this.sendResponse(context, {
+        status: 'OK',
+        updated: updated.map(record => ({
+          uid: record.uid,
+          messageId: record.messageId,
+          tags: this.protocol.getMessageTags(this.recordToMessage(record))
+        })),
+        count: updated.length
+      });
+    } catch (error) {
+      this.sendResponse(context, {
+        status: 'ERROR',
+        message: `Failed to update tags: ${error.message}`,
+        code: 'INTERNAL_ERROR'
+      });
     }
-    socket.write(JSON.stringify({
+  }
+  async handleSetRules(data, context) {
+    const { email, rules } = data;
+    if (!this.checkMailboxRequest(context, email)) {
+      return;
+    }
+    const error = this.ruleEngine.validateRules(rules, email);
+    if (error) {
+      this.sendResponse(context, {
+        status: 'ERROR',
+        message: `Invalid rules: ${error}`
+      });
+      return;
+    }
+    try {
+      await this.ruleEngine.setRules(email, rules);
+      this.sendResponse(context, {
+        status: 'OK',
+        message: `${rules.length} rule(s) saved`,
+        count: rules.length
+      });
+    } catch (saveError) {
+      this.sendResponse(context, {
+        status: 'ERROR',
+        message: `Failed to save rules: ${saveError.message}`,
+        code: 'INTERNAL_ERROR'
+      });
+    }
+  }
+  async handleGetRules(data, context) {
+    const { email } = data;
+    if (!this.checkMailboxRequest(context, email)) {
+      return;
+    }
+    const rules = this.ruleEngine.getRules(email);
+    this.sendResponse(context, {
       status: 'OK',
-      messages: filteredMessages,
-      count: filteredMessages.length,
-      tagFilters
-    }));
+      rules,
+      count: rules.length
+    });
   }
-  async handleGetTagCategories(data, socket) {
-    socket.write(JSON.stringify({
+  async handleGetTagCategories(data, context) {
+    const { email } = data || {};
+    if (email === undefined) {
+      this.sendResponse(context, {
+        status: 'OK',
+        tagCategories: this.protocol.getTagCategories()
+      });
+      return;
+    }
+    if (!this.checkMailboxRequest(context, email)) {
+      return;
+    }
+    this.sendResponse(context, {
       status: 'OK',
-      tagCategories: this.protocol.getTagCategories()
-    }));
+      tagCategories: this.tagStore.getCategories(email),
+      userTagCategories: this.tagStore.getUserCategories(email)
+    });
   }
-  async handleCheckMail(data, socket) {
-    const { email, tagFilters } = data;
-    if (!this.protocol.validateEmailFormat(email)) {
-      socket.write(JSON.stringify({
+  async handleAddTagCategory(data, context) {
+    const { email, category, tags = [] } = data;
+    if (!this.checkMailboxRequest(context, email)) {
+      return;
+    }
+    try {
+      const tagCategories = await this.tagStore.addCategory(email, category, tags);
+      this.sendResponse(context, {
+        status: 'OK',
+        message: `Tag category "${category}" saved`,
+        tagCategories,
+        userTagCategories: this.tagStore.getUserCategories(email)
+      });
+    } catch (error) {
+      this.sendResponse(context, {
         status: 'ERROR',
-        message: 'Invalid email format'
-      }));
+        message: `Failed to add tag category: ${error.message}`,
+        code: this.getErrorCode(error)
+      });
+    }
+  }
+  async handleRemoveTag(data, context) {
+    const { email, category } = data;
+    const tag = data.tag ?? undefined;
+    if (!this.checkMailboxRequest(context, email)) {
       return;
     }
-    const messages = this.mailboxes[email] || [];
+    try {
+      const tagCategories = await this.tagStore.removeTag(email, category, tag);
+      const updated = await this.rewriteStoredTags(email, (tags) => {
+        if (tag === undefined) {
+          delete tags[category];
+        } else if (tags[category]) {
+          tags[category] = tags[category].filter(candidate => candidate !== tag);
+          if (tags[category].length === 0) {
+            delete tags[category];
+          }
+        }
+      });
+      this.sendResponse(context, {
+        status: 'OK',
+        message: tag === undefined ? `Tag category "${category}" removed` : `Tag "${category}:${tag}" removed`,
+        tagCategories,
+        userTagCategories: this.tagStore.getUserCategories(email),
+        updated
+      });
+    } catch (error) {
+      this.sendResponse(context, {
+        status: 'ERROR',
+        message: `Failed to remove tag: ${error.message}`,
+        code: this.getErrorCode(error)
+      });
+    }
+  }
+  async handleRenameTag(data, context) {
+    const { email, category, newName } = data;
+    const tag = data.tag ?? undefined;
+    if (!this.checkMailboxRequest(context, email)) {
+      return;
+    }
+    try {
+      const tagCategories = await this.tagStore.renameTag(email, category, tag, newName);
+      const updated = await this.rewriteStoredTags(email, (tags) => {
+        if (tag === undefined) {
+          if (tags[category]) {
+            tags[newName] = tags[category];
+            delete tags[category];
+          }
+        } else if (tags[category]) {
+          tags[category] = [...new Set(tags[category].map(candidate => (candidate === tag ? newName : candidate)))];
+        }
+      });
+      this.sendResponse(context, {
+        status: 'OK',
+        message: tag === undefined ? `Tag category "${category}" renamed to "${newName}"` : `Tag "${category}:${tag}" renamed to "${category}:${newName}"`,
+        tagCategories,
+        userTagCategories: this.tagStore.getUserCategories(email),
+        updated
+      });
+    } catch (error) {
+      this.sendResponse(context, {
+        status: 'ERROR',
+        message: `Failed to rename tag: ${error.message}`,
+        code: this.getErrorCode(error)
+      });
+    }
+  }
+  async rewriteStoredTags(email, rewrite) {
+    const updated = [];
+    for (const record of await this.storage.list(email)) {
+      const annotations = {};
+      for (const field of ['serverTags', 'recipientTags', 'removedTags']) {
+        const tags = JSON.parse(JSON.stringify(record[field] || {}));
+        rewrite(tags);
+        if (JSON.stringify(tags) !== JSON.stringify(record[field] || {})) {
+          annotations[field] = tags;
+        }
+      }
+      if (Object.keys(annotations).length > 0) {
+        updated.push(...await this.storage.annotate(email, [record.uid], annotations));
+      }
+    }
+    await this.searchIndex.update(email, updated);
+    return updated.length;
+  }
+  async handleCheckMail(data, context) {
+    const { email, tagFilters, query, folder = 'INBOX' } = data;
+    if (!this.checkMailboxRequest(context, email)) {
+      return;
+    }
+    const parsed = this.parseFilterQuery(context, query, email);
+    if (!parsed) {
+      return;
+    }
+    const records = await this.storage.list(email);
+    const unseen = records.filter(record => !record.flags.includes('seen') && !record.flags.includes('deleted'));
+    const folders = {};
+    for (const record of unseen) {
+      folders[record.folder || 'INBOX'] = (folders[record.folder || 'INBOX'] || 0) + 1;
+    }
+    const messages = unseen
+      .filter(record => (record.folder || 'INBOX') === folder)
+      .map(record => this.recordToMessage(record));
     let filteredCount = messages.length;
     let tagCounts = {};
     if (messages.length > 0) {
       tagCounts = this.countMessagesByTags(messages);
-      if (tagFilters && Object.keys(tagFilters).length > 0) {
-        const filteredMessages = this.protocol.filterMessagesByTags(messages, tagFilters);
-        filteredCount = filteredMessages.length;
-      }
+      filteredCount = this.filterMessages(messages, tagFilters, parsed.ast).length;
     }
-    socket.write(JSON.stringify({
+    this.sendResponse(context, {
       status: 'OK',
       count: filteredCount,
       totalCount: messages.length,
-      tagCounts
-    }));
+      exists: records.filter(record => !record.flags.includes('deleted')).length,
+      tagCounts,
+      folders
+    });
   }
   countMessagesByTags(messages) {
     const counts = {};
     messages.forEach(message => {
-      if (message.meta.tags && Object.keys(message.meta.tags).length > 0) {
-        Object.entries(message.meta.tags).forEach(([category, tags]) => {
+      const messageTags = this.protocol.getMessageTags(message);
+      if (Object.keys(messageTags).length > 0) {
+        Object.entries(messageTags).forEach(([category, tags]) => {
           if (!counts[category]) {
             counts[category] = {};
           }
@@ -319,72 +1394,244 @@ class MMTPServer {
     });
     return counts;
   }
-  async handleRegisterKey(data, socket) {
+  async handleRegisterKey(data, context) {
     if (!this.usePGP) {
-      socket.write(JSON.stringify({
+      this.sendResponse(context, {
         status: 'ERROR',
-        message: 'PGP support is not enabled on this server'
-      }));
+        message: 'PGP support is not enabled on this server',
+        code: 'NOT_SUPPORTED'
+      });
       return;
     }
     try {
       const { email, publicKey } = data;
       if (!this.protocol.validateEmailFormat(email)) {
-        socket.write(JSON.stringify({
+        this.sendResponse(context, {
           status: 'ERROR',
           message: 'Invalid email format'
-        }));
+        });
         return;
       }
+      const existingKeyPath = this.protocol.getPublicKeyPath(email);
+      const existingKey = fs.existsSync(existingKeyPath) ? await fs.readFile(existingKeyPath, 'utf8') : null;
+      if (context.session.identity !== email) {
+        if (existingKey === null && this.isLocalAddress(email) && this.requireAuth &&
+            !this.verifyRegistrationToken(email, data.token)) {
+          this.sendResponse(context, {
+            status: 'ERROR',
+            message: 'Authentication or a registration token is required to register a key for a local address',
+            code: 'AUTH_REQUIRED'
+          });
+          return;
+        }
+        if (existingKey !== null && existingKey.trim() !== String(publicKey).trim()) {
+          this.sendResponse(context, {
+            status: 'ERROR',
+            message: 'Authentication required to replace an existing public key',
+            code: 'AUTH_REQUIRED'
+          });
+          return;
+        }
+      }
       await this.protocol.importPublicKey(email, publicKey);
-      socket.write(JSON.stringify({
+      this.sendResponse(context, {
         status: 'OK',
         message: 'Public key registered successfully'
-      }));
+      });
     } catch (error) {
-      socket.write(JSON.stringify({
+      this.sendResponse(context, {
         status: 'ERROR',
-        message: `Failed to register key: ${error.message}`
-      }));
+        message: `Failed to register key: ${error.message}`,
+        code: 'INTERNAL_ERROR'
+      });
     }
   }
-  async handleRequestPublicKey(data, socket) {
+  async handleRequestPublicKey(data, context) {
     if (!this.usePGP) {
-      socket.write(JSON.stringify({
+      this.sendResponse(context, {
         status: 'ERROR',
-        message: 'PGP support is not enabled on this server'
-      }));
+        message: 'PGP support is not enabled on this server',
+        code: 'NOT_SUPPORTED'
+      });
       return;
     }
     try {
       const { email } = data;
       if (!this.protocol.validateEmailFormat(email)) {
-        socket.write(JSON.stringify({
+        this.sendResponse(context, {
           status: 'ERROR',
           message: 'Invalid email format'
-        }));
+        });
         return;
       }
       const publicKeyPath = this.protocol.getPublicKeyPath(email);
       if (!fs.existsSync(publicKeyPath)) {
-        socket.write(JSON.stringify({
+        this.sendResponse(context, {
           status: 'ERROR',
-          message: 'Public key not found for this email'
-        }));
+          message: 'Public key not found for this email',
+          code: 'NOT_FOUND'
+        });
         return;
       }
       const publicKey = await fs.readFile(publicKeyPath, 'utf8');
-      socket.write(JSON.stringify({
+      this.sendResponse(context, {
         status: 'OK',
         email,
         publicKey
-      }));
+      });
     } catch (error) {
-      socket.write(JSON.stringify({
+      this.sendResponse(context, {
         status: 'ERROR',
-        message: `Failed to retrieve public key: ${error.message}`
-      }));
+        message: `Failed to retrieve public key: ${error.message}`,
+        code: 'INTERNAL_ERROR'
+      });
+    }
+  }
+  getAuthMethods() {
+    const methods = [];
+    if (this.usePGP) {
+      methods.push('pgp');
+    }
+    if (Object.keys(this.accounts).length > 0) {
+      methods.push('password');
+    }
+    return methods;
+  }
+  authorizeMailboxAccess(context, email) {
+    if (!this.requireAuth) {
+      return true;
+    }
+    const { identity } = context.session;
+    if (!identity) {
+      this.sendResponse(context, {
+        status: 'ERROR',
+        message: 'Authentication required',
+        code: 'AUTH_REQUIRED'
+      });
+      return false;
+    }
+    if (identity !== email) {
+      this.sendResponse(context, {
+        status: 'ERROR',
+        message: 'Not authorized to access this mailbox',
+        code: 'FORBIDDEN'
+      });
+      return false;
+    }
+    return true;
+  }
+  async handleAuthChallenge(data, context) {
+    if (!this.usePGP) {
+      this.sendResponse(context, {
+        status: 'ERROR',
+        message: 'PGP support is not enabled on this server',
+        code: 'NOT_SUPPORTED'
+      });
+      return;
+    }
+    const { email } = data;
+    if (!this.protocol.validateEmailFormat(email)) {
+      this.sendResponse(context, {
+        status: 'ERROR',
+        message: 'Invalid email format'
+      });
+      return;
+    }
+    const nonce = crypto.randomBytes(32).toString('hex');
+    const expiresAt = Date.now() + this.authChallengeTTL;
+    context.session.challenge = { email, nonce, expiresAt };
+    this.sendResponse(context, {
+      status: 'OK',
+      email,
+      nonce,
+      expiresAt
+    });
+  }
+  async handleAuth(data, context) {
+    const { email, method = 'pgp' } = data;
+    if (!this.protocol.validateEmailFormat(email)) {
+      this.sendResponse(context, {
+        status: 'ERROR',
+        message: 'Invalid email format'
+      });
+      return;
+    }
+    let authenticated = false;
+    if (method === 'pgp' && this.usePGP) {
+      const { challenge } = context.session;
+      context.session.challenge = null;
+      if (!challenge || challenge.email !== email || challenge.expiresAt < Date.now()) {
+        this.sendResponse(context, {
+          status: 'ERROR',
+          message: 'No valid authentication challenge for this address',
+          code: 'AUTH_FAILED'
+        });
+        return;
+      }
+      authenticated = await this.protocol.verifyAuthChallenge(email, challenge.nonce, data.signature);
+    } else if (method === 'password' && this.getAuthMethods().includes('password')) {
+      authenticated = this.verifyAccountPassword(email, data.password);
+    } else {
+      this.sendResponse(context, {
+        status: 'ERROR',
+        message: `Unsupported authentication method: ${method}`,
+        code: 'AUTH_FAILED'
+      });
+      return;
     }
+    if (!authenticated) {
+      this.sendResponse(context, {
+        status: 'ERROR',
+        message: 'Authentication failed',
+        code: 'AUTH_FAILED'
+      });
+      return;
+    }
+    if (context.session.identity !== email) {
+      this.unsubscribeSession(context.session);
+    }
+    context.session.identity = email;
+    this.sendResponse(context, {
+      status: 'OK',
+      message: 'Authenticated successfully',
+      email,
+      method
+    });
+  }
+  verifyAccountPassword(email, password) {
+    const account = this.accounts[email];
+    if (!account || typeof password !== 'string') {
+      return false;
+    }
+    if (account.passwordHash) {
+      const [algorithm, salt, hash] = account.passwordHash.split('$');
+      if (algorithm !== 'scrypt' || !salt || !hash) {
+        return false;
+      }
+      const expected = Buffer.from(hash, 'hex');
+      const derived = crypto.scryptSync(password, Buffer.from(salt, 'hex'), expected.length);
+      return crypto.timingSafeEqual(derived, expected);
+    }
+    if (typeof account.password === 'string') {
+      const expected = crypto.createHash('sha256').update(account.password).digest();
+      const actual = crypto.createHash('sha256').update(password).digest();
+      return crypto.timingSafeEqual(actual, expected);
+    }
+    return false;
+  }
+  verifyRegistrationToken(email, token) {
+    const expected = Object.prototype.hasOwnProperty.call(this.registrationTokens, email) ? this.registrationTokens[email] : null;
+    if (typeof expected !== 'string' || typeof token !== 'string') {
+      return false;
+    }
+    const expectedHash = crypto.createHash('sha256').update(expected).digest();
+    const actualHash = crypto.createHash('sha256').update(token).digest();
+    return crypto.timingSafeEqual(actualHash, expectedHash);
+  }
+  static hashPassword(password) {
+    const salt = crypto.randomBytes(16);
+    const hash = crypto.scryptSync(password, salt, 64);
+    return `scrypt$${salt.toString('hex')}$${hash.toString('hex')}`;
   }
   generateSelfSignedCert() {
     const { execSync } = require('child_process');
@@ -0,0 +1,66 @@
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const path = require('path');
+class SpentStampStore {
+  constructor(options = {}) {
+    this.storePath = options.path || null;
+    this.spent = new Map();
+    this.prunedAt = 0;
+    if (this.storePath) {
+      const logPath = this.getLogPath();
+      fs.ensureDirSync(this.storePath);
+      if (fs.existsSync(logPath)) {
+        const now = Date.now();
+        for (const line of fs.readFileSync(logPath, 'utf8').split('\n')) {
+          const [key, expiresAt] = line.split(' ');
+          if (key && Number(expiresAt) > now) {
+            this.spent.set(key, Number(expiresAt));
+          }
+        }
+      }
+      const compactedPath = `${logPath}.tmp`;
+      fs.writeFileSync(compactedPath, [...this.spent].map(([key, expiresAt]) => `${key} ${expiresAt}\n`).join(''));
+      fs.renameSync(compactedPath, logPath);
+    }
+  }
+  getLogPath() {
+    return path.join(this.storePath, 'spent.log');
+  }
+  getKey(token, recipient) {
+    return crypto.createHash('sha256').update(`${token}\n${recipient}`).digest('hex');
+  }
+  async spend(token, recipients, expiresAt) {
+    this.prune();
+    const keys = recipients.map(recipient => this.getKey(token, recipient));
+    if (keys.some(key => this.spent.has(key))) {
+      return false;
+    }
+    for (const key of keys) {
+      this.spent.set(key, expiresAt);
+    }
+    if (this.storePath) {
+      await fs.appendFile(this.getLogPath(), keys.map(key => `${key} ${expiresAt}\n`).join(''));
+    }
+    return true;
+  }
+  has(token, recipient) {
+    const expiresAt = this.spent.get(this.getKey(token, recipient));
+    return expiresAt !== undefined && expiresAt > Date.now();
+  }
+  prune() {
+    const now = Date.now();
+    if (now - this.prunedAt < 60 * 1000) {
+      return;
+    }
+    this.prunedAt = now;
+    for (const [key, expiresAt] of this.spent) {
+      if (expiresAt <= now) {
+        this.spent.delete(key);
+      }
+    }
+  }
+  get size() {
+    return this.spent.size;
+  }
+}
+module.exports = SpentStampStore;
@@ -0,0 +1,277 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { writeJsonAtomic, syncDirectory } = require('../fsutil');
+const MESSAGE_FLAGS = ['seen', 'flagged', 'answered', 'deleted'];
+class MailboxStore {
+  async append(mailbox, packet, options = {}) {
+    throw new Error(`${this.constructor.name}.append() is not implemented`);
+  }
+  async list(mailbox) {
+    throw new Error(`${this.constructor.name}.list() is not implemented`);
+  }
+  async setFlags(mailbox, uids, flags, mode = 'add') {
+    throw new Error(`${this.constructor.name}.setFlags() is not implemented`);
+  }
+  async annotate(mailbox, uids, annotations) {
+    throw new Error(`${this.constructor.name}.annotate() is not implemented`);
+  }
+  async remove(mailbox, uids) {
+    throw new Error(`${this.constructor.name}.remove() is not implemented`);
+  }
+  async clear(mailbox) {
+    throw new Error(`${this.constructor.name}.clear() is not implemented`);
+  }
+  async close() {}
+}
+class MemoryMailboxStore extends MailboxStore {
+  constructor() {
+    super();
+    this.mailboxes = new Map();
+  }
+  getMailbox(mailbox) {
+    if (!this.mailboxes.has(mailbox)) {
+      this.mailboxes.set(mailbox, { uidNext: 1, records: [] });
+    }
+    return this.mailboxes.get(mailbox);
+  }
+  async append(mailbox, packet, options = {}) {
+    const state = this.getMailbox(mailbox);
+    const record = createRecord(state.uidNext++, packet, options);
+    state.records.push(record);
+    return cloneRecord(record);
+  }
+  async list(mailbox) {
+    const state = this.mailboxes.get(mailbox);
+    return state ? state.records.map(cloneRecord) : [];
+  }
+  async setFlags(mailbox, uids, flags, mode = 'add') {
+    const state = this.mailboxes.get(mailbox);
+    if (!state) {
+      return [];
+    }
+    const selected = new Set(uids);
+    const updated = [];
+    for (const record of state.records) {
+      if (selected.has(record.uid)) {
+        record.flags = applyFlags(record.flags, flags, mode);
+        updated.push(cloneRecord(record));
+      }
+    }
+    return updated;
+  }
+  async annotate(mailbox, uids, annotations) {
+    const state = this.mailboxes.get(mailbox);
+    if (!state) {
+      return [];
+    }
+    const selected = new Set(uids);
+    const updated = [];
+    for (const record of state.records) {
+      if (selected.has(record.uid)) {
+        Object.assign(record, JSON.parse(JSON.stringify(annotations)));
+        updated.push(cloneRecord(record));
+      }
+    }
+    return updated;
+  }
+  async remove(mailbox, uids) {
+    const state = this.mailboxes.get(mailbox);
+    if (!state) {
+      return 0;
+    }
+    const selected = new Set(uids);
+    const before = state.records.length;
+    state.records = state.records.filter(record => !selected.has(record.uid));
+    return before - state.records.length;
+  }
+  async clear(mailbox) {
+    this.mailboxes.delete(mailbox);
+  }
+}
+class FileMailboxStore extends MailboxStore {
+  constructor(rootPath = path.join(process.cwd(), 'mailstore')) {
+    super();
+    this.rootPath = rootPath;
+    this.locks = new Map();
+    fs.ensureDirSync(this.rootPath);
+    for (const entry of fs.readdirSync(this.rootPath, { withFileTypes: true })) {
+      if (entry.isDirectory()) {
+        fs.removeSync(path.join(this.rootPath, entry.name, 'tmp'));
+      }
+    }
+  }
+  getMailboxPath(mailbox) {
+    if (!mailbox || mailbox.includes('/') || mailbox.includes('\\') || mailbox.startsWith('.')) {
+      throw new Error(`Invalid mailbox name: ${mailbox}`);
+    }
+    return path.join(this.rootPath, mailbox);
+  }
+  getRecordPath(mailbox, uid) {
+    return path.join(this.getMailboxPath(mailbox), 'cur', `${String(uid).padStart(10, '0')}.json`);
+  }
+  withLock(mailbox, task) {
+    const previous = this.locks.get(mailbox) || Promise.resolve();
+    const result = previous.then(task);
+    const settled = result.catch(() => {});
+    this.locks.set(mailbox, settled);
+    settled.then(() => {
+      if (this.locks.get(mailbox) === settled) {
+        this.locks.delete(mailbox);
+      }
+    });
+    return result;
+  }
+  writeAtomic(mailbox, targetPath, data) {
+    return writeJsonAtomic(targetPath, data, path.join(this.getMailboxPath(mailbox), 'tmp'));
+  }
+  async readState(mailbox) {
+    const statePath = path.join(this.getMailboxPath(mailbox), 'state.json');
+    const state = { uidNext: 1 };
+    if (await fs.pathExists(statePath)) {
+      Object.assign(state, await fs.readJson(statePath));
+    }
+    const records = await this.listFiles(mailbox);
+    if (records.length > 0) {
+      const highestUid = parseInt(path.basename(records[records.length - 1], '.json'), 10);
+      state.uidNext = Math.max(state.uidNext, highestUid + 1);
+    }
+    return state;
+  }
+  async listFiles(mailbox) {
+    const curPath = path.join(this.getMailboxPath(mailbox), 'cur');
+    if (!(await fs.pathExists(curPath))) {
+      return [];
+    }
+    const files = await fs.readdir(curPath);
+    return files.filter(file => /^\d+\.json$/.test(file)).sort().map(file => path.join(curPath, file));
+  }
+  async readRecords(mailbox) {
+    const records = [];
+    for (const file of await this.listFiles(mailbox)) {
+      try {
+        records.push(await fs.readJson(file));
+      } catch (error) {
+        if (error.code !== 'ENOENT') {
+          console.error(`Failed to read stored message ${file}: ${error.message}`);
+        }
+      }
+    }
+    return records;
+  }
+  append(mailbox, packet, options = {}) {
+    return this.withLock(mailbox, async () => {
+      const state = await this.readState(mailbox);
+      const record = createRecord(state.uidNext, packet, options);
+      await this.writeAtomic(mailbox, path.join(this.getMailboxPath(mailbox), 'state.json'), {
+        uidNext: record.uid + 1
+      });
+      await this.writeAtomic(mailbox, this.getRecordPath(mailbox, record.uid), record);
+      return record;
+    });
+  }
+  list(mailbox) {
+    return this.withLock(mailbox, () => this.readRecords(mailbox));
+  }
+  setFlags(mailbox, uids, flags, mode = 'add') {
+    return this.withLock(mailbox, async () => {
+      const updated = [];
+      for (const uid of new Set(uids)) {
+        const recordPath = this.getRecordPath(mailbox, uid);
+        if (!(await fs.pathExists(recordPath))) {
+          continue;
+        }
+        const record = await fs.readJson(recordPath);
+        record.flags = applyFlags(record.flags, flags, mode);
+        await this.writeAtomic(mailbox, recordPath, record);
+        updated.push(record);
+      }
+      return updated.sort((a, b) => a.uid - b.uid);
+    });
+  }
+  annotate(mailbox, uids, annotations) {
+    return this.withLock(mailbox, async () => {
+      const updated = [];
+      for (const uid of new Set(uids)) {
+        const recordPath = this.getRecordPath(mailbox, uid);
+        if (!(await fs.pathExists(recordPath))) {
+          continue;
+        }
+        const record = Object.assign(await fs.readJson(recordPath), annotations);
+        await this.writeAtomic(mailbox, recordPath, record);
+        updated.push(record);
+      }
+      return updated.sort((a, b) => a.uid - b.uid);
+    });
+  }
+  remove(mailbox, uids) {
+    return this.withLock(mailbox, async () => {
+      let removed = 0;
+      for (const uid of new Set(uids)) {
+        const recordPath = this.getRecordPath(mailbox, uid);
+        if (await fs.pathExists(recordPath)) {
+          await fs.remove(recordPath);
+          removed++;
+        }
+      }
+      if (removed > 0) {
+        await syncDirectory(path.join(this.getMailboxPath(mailbox), 'cur'));
+      }
+      return removed;
+    });
+  }
+  clear(mailbox) {
+    return this.withLock(mailbox, () => fs.remove(this.getMailboxPath(mailbox)));
+  }
+}
+function createRecord(uid, packet, options = {}) {
+  return {
+    uid,
+    messageId: packet.meta.messageId,
+    storedAt: Date.now(),
+    folder: options.folder || 'INBOX',
+    serverTags: options.serverTags || {},
+    recipientTags: {},
+    removedTags: {},
+    flags: [],
+    packet: JSON.parse(JSON.stringify(packet))
+  };
+}
+function cloneRecord(record) {
+  return JSON.parse(JSON.stringify(record));
+}
+function applyFlags(current, flags, mode) {
+  const invalid = flags.filter(flag => !MESSAGE_FLAGS.includes(flag));
+  if (invalid.length > 0) {
+    throw new Error(`Unknown message flag: ${invalid.join(', ')}`);
+  }
+  if (mode === 'replace') {
+    return [...new Set(flags)];
+  }
+  if (mode === 'remove') {
+    return current.filter(flag => !flags.includes(flag));
+  }
+  if (mode === 'add') {
+    return [...new Set([...current, ...flags])];
+  }
+  throw new Error(`Unknown flag mode: ${mode}`);
+}
+function createMailboxStore(storage, options = {}) {
+  if (storage && typeof storage === 'object') {
+    return storage;
+  }
+  switch (storage || 'memory') {
+    case 'memory':
+      return new MemoryMailboxStore();
+    case 'file':
+      return new FileMailboxStore(options.storagePath);
+    default:
+      throw new Error(`Unknown mailbox storage backend: ${storage}`);
+  }
+}
+module.exports = {
+  MESSAGE_FLAGS,
+  MailboxStore,
+  MemoryMailboxStore,
+  FileMailboxStore,
+  createMailboxStore
+};
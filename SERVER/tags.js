@@ -0,0 +1,147 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { writeJsonAtomic } = require('../fsutil');
+const NAME_PATTERN = /^[A-Za-z0-9_-]{1,32}$/;
+const RESERVED_CATEGORIES = ['from', 'to', 'cc', 'folder', 'subject', 'text', 'after', 'before', 'is', 'tag'];
+function requestError(message, code = 'INVALID_REQUEST') {
+  return Object.assign(new Error(message), { code });
+}
+class TagCategoryStore {
+  constructor(options = {}) {
+    this.protocol = options.protocol;
+    this.categoriesPath = options.path || null;
+    this.maxCategories = options.maxCategories || 20;
+    this.maxTags = options.maxTags || 100;
+    this.categories = new Map();
+    if (this.categoriesPath) {
+      fs.ensureDirSync(this.categoriesPath);
+      for (const file of fs.readdirSync(this.categoriesPath)) {
+        if (file.endsWith('.json') && !file.startsWith('.')) {
+          try {
+            this.categories.set(path.basename(file, '.json'), fs.readJsonSync(path.join(this.categoriesPath, file)));
+          } catch (error) {
+            console.error(`Failed to load tag categories ${file}: ${error.message}`);
+          }
+        }
+      }
+    }
+  }
+  getUserCategories(mailbox) {
+    return Object.assign(Object.create(null), JSON.parse(JSON.stringify(this.categories.get(mailbox) || {})));
+  }
+  getCategories(mailbox) {
+    return this.protocol.getTagCategories(this.categories.get(mailbox));
+  }
+  isPredefined(category, tag) {
+    const { tagCategories } = this.protocol;
+    const predefined = Object.prototype.hasOwnProperty.call(tagCategories, category) ? tagCategories[category] : undefined;
+    return tag === undefined ? predefined !== undefined : Boolean(predefined) && predefined.includes(tag);
+  }
+  validateName(name, kind) {
+    if (typeof name !== 'string' || !NAME_PATTERN.test(name)) {
+      return `${kind} names must be 1 to 32 letters, digits, dashes or underscores`;
+    }
+    if (name in Object.prototype) {
+      return `"${name}" is reserved and cannot be used as a ${kind.toLowerCase()} name`;
+    }
+    return kind === 'Category' && RESERVED_CATEGORIES.includes(name.toLowerCase())
+      ? `"${name}" is reserved by the query language and cannot be used as a category name`
+      : null;
+  }
+  async addCategory(mailbox, category, tags = []) {
+    const error = this.validateName(category, 'Category') ||
+      (Array.isArray(tags) ? tags.map(tag => this.validateName(tag, 'Tag')).find(Boolean) : 'Tags must be an array');
+    if (error) {
+      throw requestError(error);
+    }
+    const categories = this.getUserCategories(mailbox);
+    if (!categories[category] && !this.isPredefined(category) && Object.keys(categories).filter(name => !this.isPredefined(name)).length >= this.maxCategories) {
+      throw requestError(`Too many tag categories: at most ${this.maxCategories} are allowed`);
+    }
+    const added = tags.filter(tag => !this.isPredefined(category, tag));
+    const merged = [...new Set([...(categories[category] || []), ...added])];
+    if (merged.length > this.maxTags) {
+      throw requestError(`Too many tags in category "${category}": at most ${this.maxTags} are allowed`);
+    }
+    if (merged.length > 0 || !this.isPredefined(category)) {
+      categories[category] = merged;
+    }
+    await this.save(mailbox, categories);
+    return this.getCategories(mailbox);
+  }
+  async removeTag(mailbox, category, tag) {
+    const categories = this.getUserCategories(mailbox);
+    if (tag === undefined) {
+      if (this.isPredefined(category)) {
+        throw requestError(`Tag category "${category}" is predefined and cannot be removed`);
+      }
+      if (!categories[category]) {
+        throw requestError(`Tag category "${category}" not found`, 'NOT_FOUND');
+      }
+      delete categories[category];
+    } else {
+      if (this.isPredefined(category, tag)) {
+        throw requestError(`Tag "${category}:${tag}" is predefined and cannot be removed`);
+      }
+      if (!categories[category] || !categories[category].includes(tag)) {
+        throw requestError(`Tag "${category}:${tag}" not found`, 'NOT_FOUND');
+      }
+      categories[category] = categories[category].filter(candidate => candidate !== tag);
+      if (categories[category].length === 0 && this.isPredefined(category)) {
+        delete categories[category];
+      }
+    }
+    await this.save(mailbox, categories);
+    return this.getCategories(mailbox);
+  }
+  async renameTag(mailbox, category, tag, newName) {
+    const categories = this.getUserCategories(mailbox);
+    const error = this.validateName(newName, tag === undefined ? 'Category' : 'Tag');
+    if (error) {
+      throw requestError(error);
+    }
+    if (tag === undefined) {
+      if (this.isPredefined(category)) {
+        throw requestError(`Tag category "${category}" is predefined and cannot be renamed`);
+      }
+      if (!categories[category]) {
+        throw requestError(`Tag category "${category}" not found`, 'NOT_FOUND');
+      }
+      if (categories[newName] || this.isPredefined(newName)) {
+        throw requestError(`Tag category "${newName}" already exists`);
+      }
+      categories[newName] = categories[category];
+      delete categories[category];
+    } else {
+      if (this.isPredefined(category, tag)) {
+        throw requestError(`Tag "${category}:${tag}" is predefined and cannot be renamed`);
+      }
+      if (!categories[category] || !categories[category].includes(tag)) {
+        throw requestError(`Tag "${category}:${tag}" not found`, 'NOT_FOUND');
+      }
+      if (categories[category].includes(newName) || this.isPredefined(category, newName)) {
+        throw requestError(`Tag "${category}:${newName}" already exists`);
+      }
+      categories[category] = categories[category].map(candidate => (candidate === tag ? newName : candidate));
+    }
+    await this.save(mailbox, categories);
+    return this.getCategories(mailbox);
+  }
+  async save(mailbox, categories) {
+    const empty = Object.keys(categories).length === 0;
+    if (empty) {
+      this.categories.delete(mailbox);
+    } else {
+      this.categories.set(mailbox, categories);
+    }
+    if (this.categoriesPath) {
+      const categoriesFile = path.join(this.categoriesPath, `${mailbox}.json`);
+      if (empty) {
+        await fs.remove(categoriesFile);
+      } else {
+        await writeJsonAtomic(categoriesFile, categories);
+      }
+    }
+  }
+}
+module.exports = TagCategoryStore;
@@ -0,0 +1,160 @@
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const WEBSOCKET_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const OPCODES = { continuation: 0x0, text: 0x1, binary: 0x2, close: 0x8, ping: 0x9, pong: 0xa };
+class WebSocketConnection extends EventEmitter {
+  constructor(socket, options = {}) {
+    super();
+    this.socket = socket;
+    this.maxMessageSize = options.maxMessageSize || 16 * 1024 * 1024;
+    this.remoteAddress = socket.remoteAddress;
+    this.encrypted = socket.encrypted || false;
+    this.framing = 'websocket';
+    this.buffer = Buffer.alloc(0);
+    this.fragments = [];
+    this.fragmentsSize = 0;
+    this.closing = false;
+    socket.on('data', chunk => this.receive(chunk));
+    socket.on('end', () => socket.end());
+    socket.on('close', () => this.emit('close'));
+    socket.on('error', error => this.emit('error', error));
+  }
+  get writable() {
+    return !this.closing && this.socket.writable;
+  }
+  write(data) {
+    this.sendFrame(OPCODES.text, Buffer.from(String(data).replace(/\n$/, '')));
+  }
+  end() {
+    this.close(1000);
+  }
+  close(code, reason = '') {
+    if (this.closing) {
+      return;
+    }
+    const payload = Buffer.alloc(2 + Buffer.byteLength(reason));
+    payload.writeUInt16BE(code, 0);
+    payload.write(reason, 2);
+    this.sendFrame(OPCODES.close, payload);
+    this.closing = true;
+    this.socket.end();
+  }
+  sendFrame(opcode, payload) {
+    if (!this.writable) {
+      return;
+    }
+    let header;
+    if (payload.length < 126) {
+      header = Buffer.from([0x80 | opcode, payload.length]);
+    } else if (payload.length < 65536) {
+      header = Buffer.alloc(4);
+      header[0] = 0x80 | opcode;
+      header[1] = 126;
+      header.writeUInt16BE(payload.length, 2);
+    } else {
+      header = Buffer.alloc(10);
+      header[0] = 0x80 | opcode;
+      header[1] = 127;
+      header.writeBigUInt64BE(BigInt(payload.length), 2);
+    }
+    this.socket.write(Buffer.concat([header, payload]));
+  }
+  receive(chunk) {
+    this.buffer = Buffer.concat([this.buffer, chunk]);
+    while (!this.closing && this.buffer.length >= 2) {
+      const fin = (this.buffer[0] & 0x80) !== 0;
+      const opcode = this.buffer[0] & 0x0f;
+      const masked = (this.buffer[1] & 0x80) !== 0;
+      let length = this.buffer[1] & 0x7f;
+      let offset = 2;
+      if (length === 126) {
+        if (this.buffer.length < 4) {
+          return;
+        }
+        length = this.buffer.readUInt16BE(2);
+        offset = 4;
+      } else if (length === 127) {
+        if (this.buffer.length < 10) {
+          return;
+        }
+        const longLength = this.buffer.readBigUInt64BE(2);
+        length = longLength > BigInt(this.maxMessageSize) ? Infinity : Number(longLength);
+        offset = 10;
+      }
+      if (!masked) {
+        this.close(1002, 'Client frames must be masked');
+        return;
+      }
+      if (this.fragmentsSize + length > this.maxMessageSize) {
+        this.close(1009, 'Message too large');
+        return;
+      }
+      if (this.buffer.length < offset + 4 + length) {
+        return;
+      }
+      const mask = this.buffer.subarray(offset, offset + 4);
+      const payload = Buffer.from(this.buffer.subarray(offset + 4, offset + 4 + length));
+      for (let i = 0; i < payload.length; i++) {
+        payload[i] ^= mask[i % 4];
+      }
+      this.buffer = this.buffer.subarray(offset + 4 + length);
+      this.handleFrame(fin, opcode, payload);
+    }
+  }
+  handleFrame(fin, opcode, payload) {
+    switch (opcode) {
+      case OPCODES.text:
+      case OPCODES.continuation:
+        this.fragments.push(payload);
+        this.fragmentsSize += payload.length;
+        if (fin) {
+          const message = Buffer.concat(this.fragments);
+          this.fragments = [];
+          this.fragmentsSize = 0;
+          this.emit('data', Buffer.concat([message, Buffer.from('\n')]));
+        }
+        break;
+      case OPCODES.ping:
+        this.sendFrame(OPCODES.pong, payload);
+        break;
+      case OPCODES.pong:
+        break;
+      case OPCODES.close:
+        this.close(payload.length >= 2 ? payload.readUInt16BE(0) : 1000);
+        break;
+      default:
+        this.close(1003, 'Only text frames are supported');
+    }
+  }
+}
+function acceptWebSocket(request, socket, head, options = {}) {
+  const key = request.headers['sec-websocket-key'];
+  const { origin } = request.headers;
+  let failure = null;
+  if ((request.headers.upgrade || '').toLowerCase() !== 'websocket' || !key) {
+    failure = '400 Bad Request';
+  } else if (request.headers['sec-websocket-version'] !== '13') {
+    failure = '426 Upgrade Required\r\nSec-WebSocket-Version: 13';
+  } else if (options.origins && origin && !options.origins.includes(origin)) {
+    failure = '403 Forbidden';
+  }
+  if (failure) {
+    socket.end(`HTTP/1.1 ${failure}\r\nConnection: close\r\n\r\n`);
+    return null;
+  }
+  const accept = crypto.createHash('sha1').update(key + WEBSOCKET_GUID).digest('base64');
+  socket.write([
+    'HTTP/1.1 101 Switching Protocols',
+    'Upgrade: websocket',
+    'Connection: Upgrade',
+    `Sec-WebSocket-Accept: ${accept}`,
+    '',
+    ''
+  ].join('\r\n'));
+  const connection = new WebSocketConnection(socket, options);
+  if (head && head.length > 0) {
+    process.nextTick(() => connection.receive(head));
+  }
+  return connection;
+}
+module.exports = { WebSocketConnection, acceptWebSocket };
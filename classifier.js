@@ -0,0 +1,168 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { writeJsonAtomic } = require('./fsutil');
+const DEFAULT_RULES = [
+  { category: 'status', tag: 'urgent', subject: /\b(urgent|asap|emergency)\b/i },
+  { category: 'status', tag: 'important', subject: /\bimportant\b/i },
+  { category: 'status', tag: 'action_required', pattern: /\b(action required|please (reply|respond|confirm|sign|review)|rsvp|respond by)\b/i },
+  { category: 'category', tag: 'promotion', pattern: /(\b(sale|discount|limited time|special offer|deal of the day|unsubscribe)\b|\d+% off)/i },
+  { category: 'category', tag: 'coupon', pattern: /\b(coupon|promo code|voucher|discount code)\b/i },
+  { category: 'category', tag: 'finance', pattern: /\b(invoice|payment|receipt|bank statement|refund|balance due)\b/i },
+  { category: 'category', tag: 'shop', pattern: /\b(your order|order confirmation|has shipped|tracking number|out for delivery)\b/i },
+  { category: 'category', tag: 'social', pattern: /\b(invited you|friend request|new follower|mentioned you|tagged you)\b/i },
+  { category: 'category', tag: 'notification', sender: /^\((no-?reply|notifications?|alerts?|mailer-daemon)\)%/i },
+  { category: 'category', tag: 'work', subject: /\b(meeting|agenda|project|deadline|standup|quarterly report)\b/i }
+];
+class TagClassifier {
+  constructor(options = {}) {
+    this.rules = options.rules || DEFAULT_RULES;
+    this.dimensions = options.dimensions || ['category', 'status'];
+    this.minExamples = options.minExamples ?? 3;
+    this.threshold = options.threshold ?? 0.5;
+    this.maxExamples = options.maxExamples || 1000;
+    this.modelPath = options.path || null;
+    this.models = new Map();
+  }
+  getText(packet) {
+    const readable = !packet.meta.encrypted || packet.meta.decrypted;
+    return {
+      subject: readable ? String(packet.content.subject || '') : '',
+      body: readable ? String(packet.content.body || '') : ''
+    };
+  }
+  tokenize(packet) {
+    const { subject, body } = this.getText(packet);
+    const counts = {};
+    const add = (token) => {
+      counts[token] = (counts[token] || 0) + 1;
+    };
+    for (const word of subject.toLowerCase().match(/[\p{L}\p{N}]+/gu) || []) {
+      add(`s:${word}`);
+    }
+    for (const word of body.toLowerCase().match(/[\p{L}\p{N}]+/gu) || []) {
+      add(word);
+    }
+    const domain = String(packet.sender || '').match(/%\(([^)]+)\)$/);
+    if (domain) {
+      add(`from:${domain[1].toLowerCase()}`);
+    }
+    return counts;
+  }
+  classifyWithRules(packet) {
+    const { subject, body } = this.getText(packet);
+    const tags = {};
+    for (const rule of this.rules) {
+      const matched = (rule.subject && rule.subject.test(subject)) ||
+        (rule.pattern && (rule.pattern.test(subject) || rule.pattern.test(body))) ||
+        (rule.sender && rule.sender.test(String(packet.sender || '')));
+      if (matched) {
+        tags[rule.category] = [...new Set([...(tags[rule.category] || []), rule.tag])];
+      }
+    }
+    return tags;
+  }
+  classify(packet, mailbox) {
+    const tags = this.classifyWithRules(packet);
+    const model = mailbox ? this.getModel(mailbox) : null;
+    if (!model) {
+      return tags;
+    }
+    const tokens = this.tokenize(packet);
+    for (const label of Object.keys(model.labels)) {
+      const probability = this.predict(model, label, tokens);
+      if (probability === null) {
+        continue;
+      }
+      const [category, tag] = label.split(':');
+      const current = tags[category] || [];
+      if (probability >= this.threshold) {
+        tags[category] = [...new Set([...current, tag])];
+      } else if (current.includes(tag)) {
+        tags[category] = current.filter(candidate => candidate !== tag);
+        if (tags[category].length === 0) {
+          delete tags[category];
+        }
+      }
+    }
+    return tags;
+  }
+  predict(model, label, tokens) {
+    const positive = model.labels[label];
+    const negativeDocuments = model.documents - positive.documents;
+    if (positive.documents < this.minExamples || negativeDocuments < this.minExamples) {
+      return null;
+    }
+    const vocabulary = Object.keys(model.tokens).length;
+    const negativeTokenCount = model.tokenCount - positive.tokenCount;
+    let logOdds = Math.log((positive.documents + 1) / (negativeDocuments + 1));
+    for (const [token, count] of Object.entries(tokens)) {
+      if (!model.tokens[token]) {
+        continue;
+      }
+      const inPositive = positive.tokens[token] || 0;
+      const inNegative = model.tokens[token] - inPositive;
+      logOdds += count * (
+        Math.log((inPositive + 1) / (positive.tokenCount + vocabulary)) -
+        Math.log((inNegative + 1) / (negativeTokenCount + vocabulary))
+      );
+    }
+    return 1 / (1 + Math.exp(-logOdds));
+  }
+  getModel(mailbox) {
+    if (!this.models.has(mailbox)) {
+      const modelFile = this.modelPath ? path.join(this.modelPath, `${mailbox}.json`) : null;
+      this.models.set(mailbox, modelFile && fs.existsSync(modelFile) ? fs.readJsonSync(modelFile) : null);
+    }
+    return this.models.get(mailbox);
+  }
+  async learn(mailbox, packet, tags) {
+    const model = this.getModel(mailbox) || { documents: 0, tokenCount: 0, tokens: {}, labels: {}, examples: {} };
+    const { messageId } = packet.meta;
+    if (model.examples[messageId]) {
+      this.updateCounts(model, model.examples[messageId], -1);
+      delete model.examples[messageId];
+    }
+    const example = {
+      tokens: this.tokenize(packet),
+      labels: this.dimensions.flatMap(category => (tags[category] || []).map(tag => `${category}:${tag}`))
+    };
+    model.examples[messageId] = example;
+    this.updateCounts(model, example, 1);
+    const retained = Object.keys(model.examples);
+    for (const expired of retained.slice(0, Math.max(0, retained.length - this.maxExamples))) {
+      delete model.examples[expired];
+    }
+    this.models.set(mailbox, model);
+    if (this.modelPath) {
+      const modelFile = path.join(this.modelPath, `${mailbox}.json`);
+      await writeJsonAtomic(modelFile, model);
+    }
+  }
+  updateCounts(model, example, sign) {
+    const tokenCount = Object.values(example.tokens).reduce((sum, count) => sum + count, 0);
+    model.documents += sign;
+    model.tokenCount += sign * tokenCount;
+    addCounts(model.tokens, example.tokens, sign);
+    for (const label of example.labels) {
+      const counts = model.labels[label] || { documents: 0, tokenCount: 0, tokens: {} };
+      counts.documents += sign;
+      counts.tokenCount += sign * tokenCount;
+      addCounts(counts.tokens, example.tokens, sign);
+      if (counts.documents > 0) {
+        model.labels[label] = counts;
+      } else {
+        delete model.labels[label];
+      }
+    }
+  }
+}
+function addCounts(target, tokens, sign) {
+  for (const [token, count] of Object.entries(tokens)) {
+    target[token] = (target[token] || 0) + sign * count;
+    if (target[token] <= 0) {
+      delete target[token];
+    }
+  }
+}
+TagClassifier.DEFAULT_RULES = DEFAULT_RULES;
+module.exports = TagClassifier;
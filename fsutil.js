@@ -0,0 +1,51 @@
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const path = require('path');
+const pendingWrites = new Map();
+function writeJsonAtomic(targetPath, data, tmpDir = path.dirname(targetPath)) {
+  const json = JSON.stringify(data);
+  const previous = pendingWrites.get(targetPath) || Promise.resolve();
+  const write = previous.catch(() => {}).then(() => replaceFile(targetPath, json, tmpDir));
+  const settle = () => {
+    if (pendingWrites.get(targetPath) === write) {
+      pendingWrites.delete(targetPath);
+    }
+  };
+  pendingWrites.set(targetPath, write);
+  write.then(settle, settle);
+  return write;
+}
+async function replaceFile(targetPath, contents, tmpDir) {
+  const suffix = `${process.pid}.${crypto.randomBytes(6).toString('hex')}`;
+  const tmpPath = path.join(tmpDir, `.${path.basename(targetPath)}.${suffix}.tmp`);
+  await fs.ensureDir(tmpDir);
+  await fs.ensureDir(path.dirname(targetPath));
+  const fd = await fs.open(tmpPath, 'w');
+  try {
+    await fs.write(fd, contents);
+    await fs.fsync(fd);
+  } finally {
+    await fs.close(fd);
+  }
+  await fs.rename(tmpPath, targetPath);
+  await syncDirectory(path.dirname(targetPath));
+}
+async function syncDirectory(directory) {
+  let fd;
+  try {
+    fd = await fs.open(directory, 'r');
+    await fs.fsync(fd);
+  } catch (error) {
+    if (error.code !== 'EISDIR' && error.code !== 'EPERM' && error.code !== 'EINVAL') {
+      throw error;
+    }
+  } finally {
+    if (fd !== undefined) {
+      await fs.close(fd);
+    }
+  }
+}
+module.exports = {
+  writeJsonAtomic,
+  syncDirectory
+};
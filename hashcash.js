@@ -0,0 +1,223 @@
+const crypto = require('crypto');
+const os = require('os');
+const { Worker, isMainThread, parentPort } = require('worker_threads');
+const SEARCH_SLICE_MS = 50;
+const POW_SCHEMES = {
+  sha256: {
+    defaultParams: {},
+    hash: input => crypto.createHash('sha256').update(input).digest('hex')
+  },
+  scrypt: {
+    defaultParams: { N: 16384, r: 8, p: 1 },
+    hash: (input, params) => crypto.scryptSync(input, 'mmtp-pow', 32, {
+      N: params.N,
+      r: params.r,
+      p: params.p,
+      maxmem: 256 * params.N * params.r
+    }).toString('hex')
+  }
+};
+class HashCashMinter {
+  constructor(options = {}) {
+    this.size = options.workers || Math.max(1, os.cpus().length - 1);
+    this.workers = [];
+    this.queue = [];
+    this.nextTaskId = 1;
+    this.closed = false;
+  }
+  static getDefault() {
+    if (!HashCashMinter.defaultMinter || HashCashMinter.defaultMinter.closed) {
+      HashCashMinter.defaultMinter = new HashCashMinter();
+    }
+    return HashCashMinter.defaultMinter;
+  }
+  mint(prefix, difficulty, options = {}) {
+    if (this.closed) {
+      return Promise.reject(new Error('HashCash minter has been closed'));
+    }
+    const scheme = options.scheme || 'sha256';
+    if (!POW_SCHEMES[scheme]) {
+      return Promise.reject(new Error(`Unknown proof-of-work scheme: ${scheme}`));
+    }
+    const params = { ...POW_SCHEMES[scheme].defaultParams, ...options.params };
+    const parallelism = Math.max(1, Math.min(options.parallelism || this.size, this.size));
+    const tasks = [];
+    for (let i = 0; i < parallelism; i++) {
+      tasks.push(this.submit({ prefix, difficulty, scheme, params, start: crypto.randomInt(0, 2 ** 32) }));
+    }
+    return new Promise((resolve, reject) => {
+      let settled = false;
+      let timer = null;
+      const { signal } = options;
+      const finish = (error, stamp) => {
+        if (settled) {
+          return;
+        }
+        settled = true;
+        clearTimeout(timer);
+        if (signal) {
+          signal.removeEventListener('abort', onAbort);
+        }
+        for (const task of tasks) {
+          this.cancel(task);
+        }
+        if (error) {
+          reject(error);
+        } else {
+          resolve(stamp);
+        }
+      };
+      const onAbort = () => finish(createMintError('HashCash minting was cancelled', 'ABORT_ERR'));
+      if (signal) {
+        if (signal.aborted) {
+          onAbort();
+          return;
+        }
+        signal.addEventListener('abort', onAbort);
+      }
+      if (options.timeout) {
+        timer = setTimeout(() => {
+          finish(createMintError(`HashCash minting timed out after ${options.timeout}ms`, 'ETIMEDOUT'));
+        }, options.timeout);
+      }
+      for (const task of tasks) {
+        task.promise.then(
+          (stamp) => {
+            if (stamp) {
+              finish(null, stamp);
+            }
+          },
+          error => finish(error)
+        );
+      }
+    });
+  }
+  submit(job) {
+    const task = { id: this.nextTaskId++, job, worker: null };
+    task.promise = new Promise((resolve, reject) => {
+      task.resolve = resolve;
+      task.reject = reject;
+    });
+    this.queue.push(task);
+    this.dispatch();
+    return task;
+  }
+  cancel(task) {
+    const queued = this.queue.indexOf(task);
+    if (queued !== -1) {
+      this.queue.splice(queued, 1);
+      task.resolve(null);
+    } else if (task.worker && task.worker.task === task) {
+      task.worker.thread.postMessage({ type: 'cancel', id: task.id });
+    }
+  }
+  dispatch() {
+    while (this.queue.length > 0) {
+      let slot = this.workers.find(candidate => !candidate.task);
+      if (!slot && this.workers.length < this.size) {
+        slot = this.createWorker();
+      }
+      if (!slot) {
+        return;
+      }
+      const task = this.queue.shift();
+      slot.task = task;
+      task.worker = slot;
+      slot.thread.ref();
+      slot.thread.postMessage({ type: 'mint', id: task.id, ...task.job });
+    }
+  }
+  createWorker() {
+    const slot = { thread: new Worker(__filename), task: null };
+    slot.thread.unref();
+    slot.thread.on('message', (message) => {
+      const { task } = slot;
+      if (!task || task.id !== message.id) {
+        return;
+      }
+      slot.task = null;
+      slot.thread.unref();
+      task.resolve(message.cancelled ? null : { token: message.token, counter: message.counter });
+      this.dispatch();
+    });
+    slot.thread.on('error', (error) => {
+      this.removeWorker(slot, error);
+    });
+    slot.thread.on('exit', () => {
+      this.removeWorker(slot, new Error('HashCash worker exited unexpectedly'));
+    });
+    this.workers.push(slot);
+    return slot;
+  }
+  removeWorker(slot, error) {
+    const index = this.workers.indexOf(slot);
+    if (index === -1) {
+      return;
+    }
+    this.workers.splice(index, 1);
+    if (slot.task) {
+      slot.task.reject(error);
+      slot.task = null;
+    }
+    if (!this.closed) {
+      this.dispatch();
+    }
+  }
+  async close() {
+    this.closed = true;
+    for (const task of this.queue.splice(0)) {
+      task.reject(new Error('HashCash minter has been closed'));
+    }
+    const workers = this.workers.splice(0);
+    for (const slot of workers) {
+      if (slot.task) {
+        slot.task.reject(new Error('HashCash minter has been closed'));
+      }
+    }
+    await Promise.all(workers.map(slot => slot.thread.terminate()));
+  }
+}
+function createMintError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+function runWorker() {
+  const cancelled = new Set();
+  parentPort.on('message', (message) => {
+    if (message.type === 'cancel') {
+      cancelled.add(message.id);
+    } else if (message.type === 'mint') {
+      cancelled.clear();
+      search(message, cancelled);
+    }
+  });
+}
+async function search({ id, prefix, difficulty, scheme, params, start }, cancelled) {
+  const { hash } = POW_SCHEMES[scheme];
+  const target = '0'.repeat(difficulty);
+  let counter = start;
+  while (true) {
+    const sliceEnd = Date.now() + SEARCH_SLICE_MS;
+    do {
+      const token = `${prefix}${counter}:`;
+      if (hash(token, params).startsWith(target)) {
+        cancelled.delete(id);
+        parentPort.postMessage({ id, token, counter });
+        return;
+      }
+      counter++;
+    } while (Date.now() < sliceEnd);
+    await new Promise(resolve => setImmediate(resolve));
+    if (cancelled.has(id)) {
+      cancelled.delete(id);
+      parentPort.postMessage({ id, cancelled: true });
+      return;
+    }
+  }
+}
+if (!isMainThread) {
+  runWorker();
+}
+HashCashMinter.POW_SCHEMES = POW_SCHEMES;
+module.exports = HashCashMinter;
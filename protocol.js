@@ -2,13 +2,46 @@ const crypto = require('crypto');
 const openpgp = require('openpgp');
 const fs = require('fs-extra');
 const path = require('path');
+const HashCashMinter = require('./hashcash');
+const TagClassifier = require('./classifier');
+const CONTENT_TYPES = {
+  '.txt': 'text/plain',
+  '.html': 'text/html',
+  '.htm': 'text/html',
+  '.csv': 'text/csv',
+  '.json': 'application/json',
+  '.xml': 'application/xml',
+  '.pdf': 'application/pdf',
+  '.zip': 'application/zip',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.svg': 'image/svg+xml'
+};
+const MAX_REFERENCES = 100;
+const QUERY_DURATIONS = { h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000, w: 7 * 24 * 60 * 60 * 1000 };
+const QUERY_FLAGS = ['signed', 'encrypted', 'verified', 'seen', 'unseen', 'flagged', 'answered', 'deleted'];
 class MMTPProtocol {
   constructor(difficulty = 5, options = {}) {
     this.difficulty = difficulty; 
     this.useTLS = options.useTLS ?? true;
     this.usePGP = options.usePGP ?? false;
     this.keyStorePath = options.keyStorePath || path.join(process.cwd(), 'keystore');
+    this.maxFrameSize = options.maxFrameSize || 16 * 1024 * 1024;
+    this.hashcashWindow = options.hashcashWindow || 48 * 60 * 60 * 1000;
+    this.hashcashClockSkew = options.hashcashClockSkew ?? 5 * 60 * 1000;
+    this.useWorkers = options.useWorkers ?? true;
+    this.minter = options.minter || null;
+    this.premintedStamps = new Map();
+    this.powRegistry = new Map(Object.entries(HashCashMinter.POW_SCHEMES));
+    this.powSchemes = (options.powSchemes || [{ scheme: 'sha256' }]).map(entry => ({
+      scheme: entry.scheme,
+      difficulty: entry.difficulty ?? (entry.scheme === 'sha256' ? this.difficulty : 1),
+      params: this.powRegistry.has(entry.scheme) ? this.resolvePowParams(entry.scheme, entry.params) : (entry.params || {})
+    }));
     this.publicKeys = new Map(); 
+    this.classifier = options.classifier || new TagClassifier({ path: options.classifierPath });
     this.tagCategories = {
       priority: ['high', 'medium', 'low'],
       category: ['personal', 'work', 'finance', 'social', 'promotion', 'coupon', 'shop', 'notification'],
@@ -20,14 +53,40 @@ class MMTPProtocol {
     }
   }
   async createMessagePacket(from, to, subject, body, type = 'SEND', options = {}) {
-    if (!this.validateEmailFormat(from) || !this.validateEmailFormat(to)) {
+    const recipients = {
+      to: this.normalizeRecipients(to),
+      cc: this.normalizeRecipients(options.cc),
+      bcc: this.normalizeRecipients(options.bcc)
+    };
+    if (recipients.to.length === 0) {
+      throw new Error('At least one recipient is required');
+    }
+    const allRecipients = this.getPacketRecipients({ recipients });
+    if (!this.validateEmailFormat(from) || !allRecipients.every(address => this.validateEmailFormat(address))) {
       throw new Error('Invalid email format. Must be (name)%(domain)');
     }
-    const timestamp = Date.now();
+    const hashcashRecipient = this.getHashCashRecipient(allRecipients);
+    const difficulty = options.difficulty ?? this.difficulty;
+    const pow = options.pow || {};
+    const preminted = this.takePremintedStamp(from, hashcashRecipient, difficulty, pow);
+    const timestamp = preminted ? preminted.timestamp : Date.now();
     const messageId = crypto.randomBytes(16).toString('hex');
     const messageContent = { subject, body };
+    const attachments = (options.attachments || []).map(attachment => this.normalizeAttachment(attachment));
+    if (attachments.length > 0) {
+      messageContent.attachments = attachments;
+    }
+    if (options.forwarded) {
+      messageContent.forwarded = options.forwarded;
+    }
     const messageHash = this.generateSHA256(JSON.stringify(messageContent));
-    const hashcashToken = this.generateHashCash(from, to, timestamp);
+    const hashcashToken = preminted
+      ? preminted.hashcashToken
+      : await this.mintHashCash(from, hashcashRecipient, timestamp, difficulty, {
+        ...pow,
+        signal: options.signal,
+        timeout: options.mintTimeout
+      });
     const tags = this.processTags(options.tags || []);
     const packet = {
       meta: {
@@ -37,10 +96,13 @@ class MMTPProtocol {
         hashcashToken,
         encrypted: false,
         signed: false,
-        tags: tags 
+        tags: tags,
+        ...(options.inReplyTo ? { inReplyTo: options.inReplyTo } : {}),
+        ...(options.references && options.references.length > 0 ? { references: options.references } : {})
       },
       sender: from,
-      recipient: to,
+      recipient: recipients.to[0],
+      recipients,
       content: messageContent,
       verification: {
         messageHash
@@ -63,12 +125,12 @@ class MMTPProtocol {
     }
     if (options.encrypt && this.usePGP) {
       try {
-        const recipientPublicKey = await this.getPublicKey(to);
-        if (recipientPublicKey) {
+        const recipientPublicKeys = await Promise.all(allRecipients.map(address => this.getPublicKey(address)));
+        if (recipientPublicKeys.every(Boolean)) {
           const contentStr = JSON.stringify(messageContent);
           const encrypted = await openpgp.encrypt({
             message: await openpgp.createMessage({ text: contentStr }),
-            encryptionKeys: recipientPublicKey
+            encryptionKeys: recipientPublicKeys
           });
           packet.content = { encrypted: encrypted };
           packet.meta.encrypted = true;
@@ -83,6 +145,13 @@ class MMTPProtocol {
     if (!options.tags && originalPacket.meta.tags) {
       options.tags = originalPacket.meta.tags;
     }
+    if (options.replyAll && originalPacket.recipients) {
+      const { to = [], cc = [] } = originalPacket.recipients;
+      const others = [...to, ...cc].filter(address => address !== from && address !== originalPacket.sender);
+      options.cc = [...new Set([...others, ...this.normalizeRecipients(options.cc)])];
+    }
+    options.inReplyTo = originalPacket.meta.messageId;
+    options.references = this.getThreadReferences(originalPacket);
     return this.createMessagePacket(
       from,
       originalPacket.sender,
@@ -92,6 +161,221 @@ class MMTPProtocol {
       options
     );
   }
+  async createForwardPacket(originalPacket, from, to, body, options = {}) {
+    if (originalPacket.meta.encrypted && !originalPacket.meta.decrypted) {
+      throw new Error('Cannot forward a message that has not been decrypted');
+    }
+    const { subject, body: originalBody, attachments = [] } = originalPacket.content;
+    const { to: originalTo = [originalPacket.recipient], cc = [] } = originalPacket.recipients || {};
+    options.forwarded = {
+      messageId: originalPacket.meta.messageId,
+      sender: originalPacket.sender,
+      recipients: { to: originalTo, cc },
+      timestamp: originalPacket.meta.timestamp,
+      subject,
+      body: originalBody
+    };
+    options.attachments = [...attachments, ...(options.attachments || [])];
+    options.references = this.getThreadReferences(originalPacket);
+    return this.createMessagePacket(from, to, `FWD: ${subject}`, body, 'FORWARD', options);
+  }
+  getThreadReferences(packet) {
+    const references = [...(packet.meta.references || [])];
+    if (packet.meta.inReplyTo && !references.includes(packet.meta.inReplyTo)) {
+      references.push(packet.meta.inReplyTo);
+    }
+    references.push(packet.meta.messageId);
+    if (references.length > MAX_REFERENCES) {
+      return [references[0], ...references.slice(-(MAX_REFERENCES - 1))];
+    }
+    return references;
+  }
+  validateThreadHeaders(meta) {
+    const isMessageId = value => typeof value === 'string' && /^[A-Za-z0-9._@<>-]{1,255}$/.test(value);
+    if (meta.inReplyTo !== undefined && !isMessageId(meta.inReplyTo)) {
+      return false;
+    }
+    if (meta.references !== undefined) {
+      return Array.isArray(meta.references) && meta.references.length <= MAX_REFERENCES && meta.references.every(isMessageId);
+    }
+    return true;
+  }
+  validatePacket(packet) {
+    const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+    const isString = value => typeof value === 'string';
+    const isAddressList = value => value === undefined || (Array.isArray(value) && value.every(address => this.validateEmailFormat(address)));
+    if (!isObject(packet)) {
+      return 'Invalid packet: must be an object';
+    }
+    const { meta, content, verification, recipients } = packet;
+    if (!isObject(meta)) {
+      return 'Invalid packet: meta must be an object';
+    }
+    if (!isString(meta.type) || !isString(meta.messageId) || !/^[A-Za-z0-9._@<>-]{1,255}$/.test(meta.messageId)) {
+      return 'Invalid packet: meta.type and meta.messageId must be strings';
+    }
+    if (!Number.isSafeInteger(meta.timestamp)) {
+      return 'Invalid packet: meta.timestamp must be an integer';
+    }
+    if (!isObject(meta.hashcashToken) || !isString(meta.hashcashToken.token)) {
+      return 'Invalid packet: meta.hashcashToken.token must be a string';
+    }
+    if ((meta.encrypted !== undefined && typeof meta.encrypted !== 'boolean') || (meta.signed !== undefined && typeof meta.signed !== 'boolean')) {
+      return 'Invalid packet: meta.encrypted and meta.signed must be booleans';
+    }
+    if (meta.tags !== undefined && !this.isTagMap(meta.tags)) {
+      return 'Invalid packet: meta.tags must map categories to arrays of tags';
+    }
+    if (!this.validateEmailFormat(packet.sender)) {
+      return 'Invalid packet: sender must be an address of the form (name)%(domain)';
+    }
+    if (packet.recipient !== undefined && !this.validateEmailFormat(packet.recipient)) {
+      return 'Invalid packet: recipient must be an address of the form (name)%(domain)';
+    }
+    if (recipients !== undefined && !(isObject(recipients) && isAddressList(recipients.to) && isAddressList(recipients.cc) && isAddressList(recipients.bcc))) {
+      return 'Invalid packet: recipients.to, recipients.cc and recipients.bcc must be arrays of addresses';
+    }
+    if (recipients !== undefined && recipients.bccDigests !== undefined &&
+        !(Array.isArray(recipients.bccDigests) && recipients.bccDigests.every(digest => isString(digest) && /^[0-9a-f]{64}$/.test(digest)))) {
+      return 'Invalid packet: recipients.bccDigests must be an array of SHA-256 digests';
+    }
+    if (this.getPacketRecipients(packet).length === 0) {
+      return 'Invalid packet: at least one recipient is required';
+    }
+    if (!isObject(content)) {
+      return 'Invalid packet: content must be an object';
+    }
+    if (meta.encrypted ? !isString(content.encrypted) : !isString(content.subject) || !isString(content.body)) {
+      return meta.encrypted
+        ? 'Invalid packet: content.encrypted must be a string'
+        : 'Invalid packet: content.subject and content.body must be strings';
+    }
+    if (content.attachments !== undefined && !(Array.isArray(content.attachments) && content.attachments.every(attachment =>
+      isObject(attachment) && isString(attachment.filename) && isString(attachment.data) && isString(attachment.sha256) && Number.isSafeInteger(attachment.size)
+    ))) {
+      return 'Invalid packet: attachments must have a filename, data, size and sha256';
+    }
+    if (!isObject(verification) || !isString(verification.messageHash) ||
+        (verification.signature !== undefined && !isString(verification.signature))) {
+      return 'Invalid packet: verification.messageHash must be a string';
+    }
+    return null;
+  }
+  groupThreads(messages) {
+    const parents = new Map();
+    const find = (id) => {
+      if (!parents.has(id)) {
+        parents.set(id, id);
+      }
+      let root = id;
+      while (parents.get(root) !== root) {
+        root = parents.get(root);
+      }
+      parents.set(id, root);
+      return root;
+    };
+    for (const message of messages) {
+      const [first, ...rest] = this.getThreadReferences(message);
+      for (const id of rest) {
+        const root = find(id);
+        if (root !== find(first)) {
+          parents.set(root, find(first));
+        }
+      }
+    }
+    const threads = new Map();
+    for (const message of messages) {
+      const threadId = find(message.meta.messageId);
+      if (!threads.has(threadId)) {
+        threads.set(threadId, []);
+      }
+      threads.get(threadId).push(message);
+    }
+    const byTime = (a, b) => (a.meta.timestamp - b.meta.timestamp) || ((a.meta.uid || 0) - (b.meta.uid || 0));
+    return [...threads].map(([threadId, threadMessages]) => {
+      threadMessages.sort(byTime);
+      return {
+        threadId,
+        subject: threadMessages[0].meta.encrypted && !threadMessages[0].meta.decrypted ? 'Encrypted Message' : threadMessages[0].content.subject,
+        messages: threadMessages,
+        count: threadMessages.length,
+        lastTimestamp: threadMessages[threadMessages.length - 1].meta.timestamp
+      };
+    }).sort((a, b) => a.lastTimestamp - b.lastTimestamp);
+  }
+  findThread(messages, messageId) {
+    return this.groupThreads(messages).find(thread =>
+      thread.threadId === messageId ||
+      thread.messages.some(message => this.getThreadReferences(message).includes(messageId))
+    ) || null;
+  }
+  createBouncePacket(originalPacket, recipient, reason, details = {}) {
+    const senderDomain = originalPacket.sender.match(/^\([a-zA-Z0-9._-]+\)%\(([a-zA-Z0-9.-]+)\)$/)[1];
+    const originalSubject = originalPacket.meta.encrypted ? 'Encrypted Message' : originalPacket.content.subject;
+    const content = {
+      subject: `Undeliverable: ${originalSubject}`,
+      body: `Your message to ${recipient} could not be delivered.\n\nReason: ${reason}`,
+      deliveryStatus: {
+        originalMessageId: originalPacket.meta.messageId,
+        recipient,
+        reason,
+        ...details
+      }
+    };
+    return {
+      meta: {
+        type: 'BOUNCE',
+        messageId: crypto.randomBytes(16).toString('hex'),
+        timestamp: Date.now(),
+        hashcashToken: null,
+        encrypted: false,
+        signed: false,
+        tags: { category: ['notification'], status: ['action_required'] }
+      },
+      sender: `(mailer-daemon)%(${senderDomain})`,
+      recipient: originalPacket.sender,
+      content,
+      verification: {
+        messageHash: this.generateSHA256(JSON.stringify(content))
+      }
+    };
+  }
+  normalizeRecipients(value) {
+    if (!value) {
+      return [];
+    }
+    return [...new Set(Array.isArray(value) ? value : [value])];
+  }
+  getPacketRecipients(packet) {
+    if (!packet.recipients) {
+      return packet.recipient ? [packet.recipient] : [];
+    }
+    const { to = [], cc = [], bcc = [] } = packet.recipients;
+    return [...new Set([...to, ...cc, ...bcc])];
+  }
+  createRecipientCopy(packet, recipients) {
+    if (!packet.recipients) {
+      return packet;
+    }
+    const copy = JSON.parse(JSON.stringify(packet));
+    copy.recipients.bcc = (packet.recipients.bcc || []).filter(address => recipients.includes(address));
+    const visible = this.getPacketRecipients(copy);
+    const hidden = this.getPacketRecipients(packet).filter(address => !visible.includes(address));
+    const bccDigests = [...(packet.recipients.bccDigests || []), ...hidden.map(address => this.generateSHA256(address))];
+    if (bccDigests.length > 0) {
+      copy.recipients.bccDigests = bccDigests.sort();
+    }
+    return copy;
+  }
+  getHashCashRecipient(recipients, bccDigests = []) {
+    if (recipients.length === 1 && bccDigests.length === 0) {
+      return recipients[0];
+    }
+    return this.generateSHA256([...recipients.map(address => this.generateSHA256(address)), ...bccDigests].sort().join(','));
+  }
+  getPacketHashCashRecipient(packet) {
+    return this.getHashCashRecipient(this.getPacketRecipients(packet), (packet.recipients && packet.recipients.bccDigests) || []);
+  }
   validateEmailFormat(email) {
     const regex = /^\([a-zA-Z0-9._-]+\)%\([a-zA-Z0-9.-]+\)$/;
     return regex.test(email);
@@ -104,16 +388,106 @@ class MMTPProtocol {
       return true;
     }
     const calculatedHash = this.generateSHA256(JSON.stringify(packet.content));
-    return calculatedHash === packet.verification.messageHash;
+    return calculatedHash === packet.verification.messageHash && this.verifyAttachments(packet.content);
+  }
+  createAttachment(filename, data, contentType) {
+    const content = Buffer.isBuffer(data) ? data : Buffer.from(data);
+    return {
+      filename: path.basename(filename),
+      contentType: contentType || this.getContentType(filename),
+      size: content.length,
+      sha256: this.generateSHA256(content),
+      data: content.toString('base64')
+    };
+  }
+  normalizeAttachment(attachment) {
+    if (!attachment || !attachment.filename) {
+      throw new Error('Attachments must have a filename');
+    }
+    if (typeof attachment.data === 'string' && attachment.sha256) {
+      return { ...attachment, filename: path.basename(attachment.filename) };
+    }
+    return this.createAttachment(attachment.filename, attachment.data ?? attachment.content ?? '', attachment.contentType);
+  }
+  getContentType(filename) {
+    return CONTENT_TYPES[path.extname(filename).toLowerCase()] || 'application/octet-stream';
+  }
+  decodeAttachment(attachment) {
+    const data = Buffer.from(attachment.data, 'base64');
+    if (data.length !== attachment.size || this.generateSHA256(data) !== attachment.sha256) {
+      throw new Error(`Attachment ${attachment.filename} failed its integrity check`);
+    }
+    return data;
+  }
+  verifyAttachments(content) {
+    if (content.attachments === undefined) {
+      return true;
+    }
+    if (!Array.isArray(content.attachments)) {
+      return false;
+    }
+    try {
+      for (const attachment of content.attachments) {
+        if (typeof attachment.filename !== 'string' || typeof attachment.data !== 'string') {
+          return false;
+        }
+        this.decodeAttachment(attachment);
+      }
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+  registerPowScheme(name, scheme) {
+    if (!/^[a-z0-9-]+$/.test(name)) {
+      throw new Error(`Invalid proof-of-work scheme name: ${name}`);
+    }
+    if (!scheme || typeof scheme.hash !== 'function') {
+      throw new Error('Proof-of-work schemes must provide a hash function');
+    }
+    this.powRegistry.set(name, { defaultParams: {}, ...scheme });
+  }
+  getPowScheme(name) {
+    return this.powSchemes.find(entry => entry.scheme === name) || null;
+  }
+  resolvePowParams(scheme, params = {}) {
+    const implementation = this.powRegistry.get(scheme);
+    if (!implementation) {
+      throw new Error(`Unknown proof-of-work scheme: ${scheme}`);
+    }
+    return { ...implementation.defaultParams, ...params };
+  }
+  encodePowScheme(scheme, params = {}) {
+    const pairs = Object.keys(params).sort().map(key => `${key}=${params[key]}`);
+    return [scheme, ...pairs].join(';');
+  }
+  decodePowScheme(field) {
+    const [scheme, ...pairs] = field.split(';');
+    const params = {};
+    for (const pair of pairs) {
+      const [key, value] = pair.split('=');
+      params[key] = Number(value);
+    }
+    return { scheme, params };
   }
-  generateHashCash(sender, recipient, timestamp) {
-    let counter = 0;
-    const version = 1;
+  getHashCashPrefix(sender, recipient, timestamp, difficulty, pow = {}) {
     const resource = `${sender}:${recipient}:${timestamp}`;
+    const scheme = pow.scheme || 'sha256';
+    if (scheme === 'sha256') {
+      return `1:${difficulty}:${timestamp}:${resource}::`;
+    }
+    const params = this.resolvePowParams(scheme, pow.params);
+    return `2:${this.encodePowScheme(scheme, params)}:${difficulty}:${timestamp}:${resource}::`;
+  }
+  generateHashCash(sender, recipient, timestamp, difficulty = this.difficulty, pow = {}) {
+    const scheme = pow.scheme || 'sha256';
+    const params = this.resolvePowParams(scheme, pow.params);
+    const { hash } = this.powRegistry.get(scheme);
+    let counter = crypto.randomInt(0, 2 ** 32);
+    const prefix = this.getHashCashPrefix(sender, recipient, timestamp, difficulty, { scheme, params });
     while (true) {
-      const token = `${version}:${this.difficulty}:${timestamp}:${resource}::${counter}:`;
-      const hash = this.generateSHA256(token);
-      if (hash.startsWith('0'.repeat(this.difficulty))) {
+      const token = `${prefix}${counter}:`;
+      if (hash(token, params).startsWith('0'.repeat(difficulty))) {
         return {
           token,
           counter
@@ -122,12 +496,113 @@ class MMTPProtocol {
       counter++;
     }
   }
-  verifyHashCash(packet) {
-    const { token, counter } = packet.meta.hashcashToken;
-    const hash = this.generateSHA256(token);
-    return hash.startsWith('0'.repeat(this.difficulty));
+  async mintHashCash(sender, recipient, timestamp, difficulty = this.difficulty, options = {}) {
+    const scheme = options.scheme || 'sha256';
+    const params = this.resolvePowParams(scheme, options.params);
+    const builtIn = HashCashMinter.POW_SCHEMES[scheme] === this.powRegistry.get(scheme);
+    if (!this.useWorkers || !builtIn) {
+      return this.generateHashCash(sender, recipient, timestamp, difficulty, { scheme, params });
+    }
+    const minter = this.minter || HashCashMinter.getDefault();
+    const prefix = this.getHashCashPrefix(sender, recipient, timestamp, difficulty, { scheme, params });
+    return minter.mint(prefix, difficulty, { ...options, scheme, params });
+  }
+  getPremintKey(sender, recipient, difficulty, pow = {}) {
+    const scheme = pow.scheme || 'sha256';
+    return `${sender}|${recipient}|${difficulty}|${this.encodePowScheme(scheme, this.resolvePowParams(scheme, pow.params))}`;
   }
-  processTags(tags) {
+  async premintHashCash(sender, recipients, options = {}) {
+    const recipient = this.getHashCashRecipient(this.normalizeRecipients(recipients));
+    const difficulty = options.difficulty ?? this.difficulty;
+    const pow = options.pow || {};
+    const key = this.getPremintKey(sender, recipient, difficulty, pow);
+    for (let i = 0; i < (options.count || 1); i++) {
+      const timestamp = Date.now();
+      const hashcashToken = await this.mintHashCash(sender, recipient, timestamp, difficulty, {
+        ...pow,
+        signal: options.signal,
+        timeout: options.timeout
+      });
+      if (!this.premintedStamps.has(key)) {
+        this.premintedStamps.set(key, []);
+      }
+      this.premintedStamps.get(key).push({ timestamp, hashcashToken });
+    }
+    return this.premintedStamps.get(key).length;
+  }
+  takePremintedStamp(sender, recipient, difficulty, pow = {}) {
+    const key = this.getPremintKey(sender, recipient, difficulty, pow);
+    const stamps = this.premintedStamps.get(key);
+    const freshAfter = Date.now() - this.hashcashWindow / 2;
+    while (stamps && stamps.length > 0) {
+      const stamp = stamps.shift();
+      if (stamp.timestamp > freshAfter) {
+        return stamp;
+      }
+    }
+    this.premintedStamps.delete(key);
+    return null;
+  }
+  parseHashCash(token) {
+    const match = typeof token === 'string' && token.match(/^(1|2:[^:]+):(\d+):(\d+):([^:]+):([^:]+):(\d+)::(\d+):$/);
+    if (!match) {
+      return null;
+    }
+    const [, versionField, difficulty, timestamp, sender, recipient, resourceTimestamp, counter] = match;
+    const { scheme, params } = versionField === '1'
+      ? { scheme: 'sha256', params: {} }
+      : this.decodePowScheme(versionField.slice(2));
+    return {
+      version: versionField === '1' ? 1 : 2,
+      scheme,
+      params,
+      difficulty: Number(difficulty),
+      timestamp: Number(timestamp),
+      sender,
+      recipient,
+      resourceTimestamp: Number(resourceTimestamp),
+      counter: Number(counter)
+    };
+  }
+  validateHashCash(packet, options = {}) {
+    const now = options.now ?? Date.now();
+    const stamp = this.parseHashCash(packet.meta.hashcashToken && packet.meta.hashcashToken.token);
+    if (!stamp) {
+      return 'malformed stamp';
+    }
+    const accepted = this.getPowScheme(stamp.scheme);
+    const implementation = this.powRegistry.get(stamp.scheme);
+    if (!accepted || !implementation) {
+      return `proof-of-work scheme ${stamp.scheme} is not accepted`;
+    }
+    const requiredParams = this.resolvePowParams(stamp.scheme, accepted.params);
+    if (this.encodePowScheme(stamp.scheme, stamp.params) !== this.encodePowScheme(stamp.scheme, requiredParams)) {
+      return `stamp parameters do not match the required ${this.encodePowScheme(stamp.scheme, requiredParams)}`;
+    }
+    if (stamp.sender !== packet.sender ||
+        stamp.recipient !== this.getPacketHashCashRecipient(packet)) {
+      return 'stamp resource does not match the message';
+    }
+    if (stamp.timestamp !== stamp.resourceTimestamp || stamp.timestamp !== packet.meta.timestamp) {
+      return 'stamp timestamp does not match the message';
+    }
+    if (stamp.timestamp < now - this.hashcashWindow || stamp.timestamp > now + this.hashcashClockSkew) {
+      return 'stamp has expired or is dated in the future';
+    }
+    const requiredDifficulty = options.difficulty ?? accepted.difficulty;
+    if (stamp.difficulty < requiredDifficulty) {
+      return `stamp difficulty ${stamp.difficulty} is below the required ${requiredDifficulty}`;
+    }
+    const hash = implementation.hash(packet.meta.hashcashToken.token, stamp.params);
+    if (!hash.startsWith('0'.repeat(stamp.difficulty))) {
+      return 'stamp does not contain a valid proof of work';
+    }
+    return null;
+  }
+  verifyHashCash(packet, options = {}) {
+    return this.validateHashCash(packet, options) === null;
+  }
+  processTags(tags, categories = this.tagCategories) {
     if (!tags || (Array.isArray(tags) && tags.length === 0) || 
         (typeof tags === 'object' && Object.keys(tags).length === 0)) {
       return {};
@@ -137,10 +612,10 @@ class MMTPProtocol {
     }
     const processedTags = {};
     for (const [category, tagList] of Object.entries(tags)) {
-      if (this.tagCategories[category] !== undefined || category === 'custom') {
-        if (category !== 'custom' && Array.isArray(this.tagCategories[category])) {
+      if (Object.prototype.hasOwnProperty.call(categories, category) || category === 'custom') {
+        if (category !== 'custom' && Array.isArray(categories[category])) {
           processedTags[category] = tagList.filter(tag => 
-            this.tagCategories[category].includes(tag)
+            categories[category].includes(tag)
           );
         } else {
           processedTags[category] = tagList;
@@ -149,16 +624,53 @@ class MMTPProtocol {
     }
     return processedTags;
   }
+  classifyMessage(packet, mailbox) {
+    return this.processTags(this.classifier.classify(packet, mailbox));
+  }
+  learnTags(mailbox, packet, tags) {
+    return this.classifier.learn(mailbox, packet, tags);
+  }
+  getMessageTags(message) {
+    const { meta } = message;
+    const tags = [meta.tags, meta.serverTags, meta.recipientTags].reduce((merged, source) => this.mergeTags(merged, source), {});
+    return this.subtractTags(tags, meta.removedTags);
+  }
+  isTagMap(tags) {
+    return Boolean(tags) && typeof tags === 'object' && !Array.isArray(tags) &&
+      Object.keys(tags).every(category => !(category in Object.prototype)) &&
+      Object.values(tags).every(values => Array.isArray(values) && values.every(tag => typeof tag === 'string'));
+  }
+  mergeTags(tags, additions = {}) {
+    const merged = JSON.parse(JSON.stringify(tags || {}));
+    for (const [category, values] of Object.entries(additions || {})) {
+      merged[category] = [...new Set([...(merged[category] || []), ...values])];
+    }
+    return merged;
+  }
+  subtractTags(tags, removals = {}) {
+    const remaining = JSON.parse(JSON.stringify(tags || {}));
+    for (const [category, values] of Object.entries(removals || {})) {
+      if (!remaining[category]) {
+        continue;
+      }
+      remaining[category] = remaining[category].filter(tag => !values.includes(tag));
+      if (remaining[category].length === 0) {
+        delete remaining[category];
+      }
+    }
+    return remaining;
+  }
   filterMessagesByTags(messages, tagFilters) {
     if (!messages || !tagFilters || Object.keys(tagFilters).length === 0) {
       return messages;
     }
     return messages.filter(message => {
-      if (!message.meta.tags || Object.keys(message.meta.tags).length === 0) {
+      const tags = this.getMessageTags(message);
+      if (Object.keys(tags).length === 0) {
         return false;
       }
       for (const [category, filterTags] of Object.entries(tagFilters)) {
-        const messageTags = message.meta.tags[category] || [];
+        const messageTags = tags[category] || [];
         if (filterTags.length > 0 && messageTags.length === 0) {
           return false;
         }
@@ -170,6 +682,219 @@ class MMTPProtocol {
       return true;
     });
   }
+  tokenizeQuery(query) {
+    const tokens = [];
+    const address = /\([a-zA-Z0-9._-]+\)%\([a-zA-Z0-9.-]+\)/y;
+    const readQuoted = (start) => {
+      const end = query.indexOf('"', start + 1);
+      if (end === -1) {
+        throw new Error(`Invalid query: unterminated quote at position ${start}`);
+      }
+      return { value: query.slice(start + 1, end), next: end + 1 };
+    };
+    let position = 0;
+    while (position < query.length) {
+      const char = query[position];
+      if (/\s/.test(char)) {
+        position++;
+      } else if (char === '(' || char === ')') {
+        tokens.push({ type: char, position });
+        position++;
+      } else if (char === '-' && position + 1 < query.length && !/[\s)]/.test(query[position + 1])) {
+        tokens.push({ type: 'NOT', position });
+        position++;
+      } else if (char === '"') {
+        const { value, next } = readQuoted(position);
+        tokens.push({ type: 'TERM', field: 'text', value, position });
+        position = next;
+      } else {
+        const word = query.slice(position).match(/^[^\s()"]+/)[0];
+        const field = word.match(/^([a-zA-Z_]+):(.*)$/);
+        if (!field) {
+          tokens.push(['AND', 'OR', 'NOT'].includes(word)
+            ? { type: word, position }
+            : { type: 'TERM', field: 'text', value: word, position });
+          position += word.length;
+          continue;
+        }
+        let value = field[2];
+        let next = position + word.length;
+        if (value === '' && query[next] === '"') {
+          ({ value, next } = readQuoted(next));
+        } else if (value === '' && query[next] === '(') {
+          address.lastIndex = next;
+          const match = address.exec(query);
+          if (!match) {
+            throw new Error(`Invalid query: expected an address after "${word}" at position ${position}`);
+          }
+          value = match[0];
+          next = address.lastIndex;
+        }
+        if (value === '') {
+          throw new Error(`Invalid query: missing value for "${field[1]}" at position ${position}`);
+        }
+        tokens.push({ type: 'TERM', field: field[1].toLowerCase(), value, position });
+        position = next;
+      }
+    }
+    return tokens;
+  }
+  parseQuery(query, categories = null) {
+    if (typeof query !== 'string') {
+      throw new Error('Invalid query: must be a string');
+    }
+    const tokens = this.tokenizeQuery(query);
+    let index = 0;
+    const peek = () => tokens[index];
+    const describe = token => (token ? `"${token.type === 'TERM' ? token.value : token.type}" at position ${token.position}` : 'end of query');
+    const parseOr = () => {
+      const nodes = [parseAnd()];
+      while (peek() && peek().type === 'OR') {
+        index++;
+        nodes.push(parseAnd());
+      }
+      return nodes.length === 1 ? nodes[0] : { type: 'or', nodes };
+    };
+    const parseAnd = () => {
+      const nodes = [parseUnary()];
+      while (peek() && peek().type !== 'OR' && peek().type !== ')') {
+        if (peek().type === 'AND') {
+          index++;
+        }
+        nodes.push(parseUnary());
+      }
+      return nodes.length === 1 ? nodes[0] : { type: 'and', nodes };
+    };
+    const parseUnary = () => {
+      const token = peek();
+      if (token && token.type === 'NOT') {
+        index++;
+        return { type: 'not', node: parseUnary() };
+      }
+      if (token && token.type === '(') {
+        index++;
+        const node = parseOr();
+        if (!peek() || peek().type !== ')') {
+          throw new Error(`Invalid query: expected ")" but found ${describe(peek())}`);
+        }
+        index++;
+        return node;
+      }
+      if (!token || token.type !== 'TERM') {
+        throw new Error(`Invalid query: unexpected ${describe(token)}`);
+      }
+      index++;
+      return this.createQueryTerm(token, categories);
+    };
+    if (tokens.length === 0) {
+      return { type: 'and', nodes: [] };
+    }
+    const ast = parseOr();
+    if (index < tokens.length) {
+      throw new Error(`Invalid query: unexpected ${describe(peek())}`);
+    }
+    return ast;
+  }
+  createQueryTerm({ field, value, position }, categories = null) {
+    switch (field) {
+      case 'after':
+      case 'before':
+        return { type: field, value: this.parseQueryDate(value, position) };
+      case 'is':
+        if (!QUERY_FLAGS.includes(value.toLowerCase())) {
+          throw new Error(`Invalid query: unknown flag "is:${value}" at position ${position}`);
+        }
+        return { type: 'is', value: value.toLowerCase() };
+      case 'from':
+      case 'to':
+      case 'cc':
+      case 'folder':
+      case 'subject':
+      case 'text':
+        return { type: field, value: value.toLowerCase() };
+      default: {
+        if (field === 'tag' || !categories) {
+          return { type: 'tag', category: field, value };
+        }
+        const category = Object.keys(categories).find(name => name.toLowerCase() === field);
+        if (category === undefined) {
+          throw new Error(`Invalid query: unknown field "${field}" at position ${position}`);
+        }
+        return { type: 'tag', category, value };
+      }
+    }
+  }
+  parseQueryDate(value, position) {
+    const relative = value.match(/^(\d+)([hdw])$/);
+    if (relative) {
+      return Date.now() - Number(relative[1]) * QUERY_DURATIONS[relative[2]];
+    }
+    const timestamp = /^\d+$/.test(value) ? Number(value) : Date.parse(value);
+    if (Number.isNaN(timestamp)) {
+      throw new Error(`Invalid query: invalid date "${value}" at position ${position}`);
+    }
+    return timestamp;
+  }
+  evaluateQuery(node, message) {
+    const { meta } = message;
+    const matchAddress = (address, value) => {
+      const candidate = (address || '').toLowerCase();
+      return this.validateEmailFormat(value) ? candidate === value : candidate.includes(value);
+    };
+    const content = message.content && typeof message.content === 'object' ? message.content : {};
+    const readable = field => (typeof field === 'string' ? field.toLowerCase() : '');
+    const text = () => [
+      content.subject,
+      content.body,
+      ...(Array.isArray(content.attachments) ? content.attachments.map(attachment => attachment && attachment.filename) : [])
+    ].map(readable);
+    switch (node.type) {
+      case 'and':
+        return node.nodes.every(child => this.evaluateQuery(child, message));
+      case 'or':
+        return node.nodes.some(child => this.evaluateQuery(child, message));
+      case 'not':
+        return !this.evaluateQuery(node.node, message);
+      case 'from':
+        return matchAddress(message.sender, node.value);
+      case 'to':
+        return this.getPacketRecipients(message).some(address => matchAddress(address, node.value));
+      case 'cc':
+        return ((message.recipients && message.recipients.cc) || []).some(address => matchAddress(address, node.value));
+      case 'folder':
+        return (meta.folder || 'INBOX').toLowerCase() === node.value;
+      case 'subject':
+        return readable(content.subject).includes(node.value);
+      case 'text':
+        return text().some(field => field.includes(node.value));
+      case 'after':
+        return meta.timestamp >= node.value;
+      case 'before':
+        return meta.timestamp < node.value;
+      case 'is':
+        if (node.value === 'signed' || node.value === 'encrypted') {
+          return Boolean(meta[node.value]);
+        }
+        if (node.value === 'verified') {
+          return meta.signatureVerified === true;
+        }
+        if (node.value === 'unseen') {
+          return !(meta.flags || []).includes('seen');
+        }
+        return (meta.flags || []).includes(node.value);
+      case 'tag': {
+        const tags = this.getMessageTags(message);
+        const lists = node.category === 'tag' ? Object.values(tags) : [tags[node.category] || []];
+        return lists.some(list => list.includes(node.value));
+      }
+      default:
+        throw new Error(`Unknown query node: ${node.type}`);
+    }
+  }
+  filterMessagesByQuery(messages, query) {
+    const ast = typeof query === 'string' ? this.parseQuery(query) : query;
+    return messages.filter(message => this.evaluateQuery(ast, message));
+  }
   async processPacket(packet, options = {}) {
     if (!this.verifyMessageIntegrity(packet)) {
       return {
@@ -177,12 +902,21 @@ class MMTPProtocol {
         error: 'Message integrity check failed'
       };
     }
-    if (!this.verifyHashCash(packet)) {
+    if (!this.validateThreadHeaders(packet.meta)) {
       return {
         success: false,
-        error: 'HashCash verification failed - potential spam'
+        error: 'Invalid inReplyTo or references header'
       };
     }
+    const stampError = options.verifyStamp === false ? null : this.validateHashCash(packet, options);
+    if (stampError) {
+      return {
+        success: false,
+        error: `HashCash verification failed - ${stampError}`
+      };
+    }
+    packet.meta.decrypted = false;
+    packet.meta.signatureVerified = false;
     if (packet.meta.encrypted && this.usePGP && options.recipientEmail) {
       try {
         const privateKeyPath = this.getPrivateKeyPath(options.recipientEmail);
@@ -196,20 +930,30 @@ class MMTPProtocol {
             message: encryptedMessage,
             decryptionKeys: privateKey
           });
-          packet.content = JSON.parse(decrypted);
+          const content = JSON.parse(decrypted);
+          if (this.generateSHA256(decrypted) !== packet.verification.messageHash || !this.verifyAttachments(content)) {
+            return {
+              success: false,
+              error: 'Message integrity check failed'
+            };
+          }
+          packet.content = content;
           packet.meta.decrypted = true;
         }
       } catch (error) {
         console.error(`Failed to decrypt message: ${error.message}`);
       }
     }
-    if (packet.meta.signed && packet.verification.signature && this.usePGP) {
+    const contentEncrypted = packet.meta.encrypted && !packet.meta.decrypted;
+    if (packet.meta.signed && packet.verification.signature && this.usePGP && !contentEncrypted) {
       try {
         const senderPublicKey = await this.getPublicKey(packet.sender);
         if (senderPublicKey) {
           const messageToVerify = JSON.stringify(packet.content);
           const message = await openpgp.createMessage({ text: messageToVerify });
-          const signature = packet.verification.signature;
+          const signature = await openpgp.readSignature({
+            armoredSignature: packet.verification.signature
+          });
           const verificationResult = await openpgp.verify({
             message,
             signature,
@@ -221,7 +965,6 @@ class MMTPProtocol {
         }
       } catch (error) {
         console.error(`Failed to verify signature: ${error.message}`);
-        packet.meta.signatureVerified = false;
       }
     }
     return {
@@ -229,6 +972,45 @@ class MMTPProtocol {
       packet
     };
   }
+  createAuthChallengeText(email, nonce) {
+    return `MMTP-AUTH:${email}:${nonce}`;
+  }
+  async signAuthChallenge(email, nonce) {
+    if (!this.usePGP) {
+      throw new Error('PGP support is not enabled');
+    }
+    const privateKeyPath = this.getPrivateKeyPath(email);
+    if (!fs.existsSync(privateKeyPath)) {
+      throw new Error(`Private key not found for ${email}`);
+    }
+    const privateKeyArmored = await fs.readFile(privateKeyPath, 'utf8');
+    const privateKey = await openpgp.readPrivateKey({ armoredKey: privateKeyArmored });
+    return openpgp.sign({
+      message: await openpgp.createMessage({ text: this.createAuthChallengeText(email, nonce) }),
+      signingKeys: privateKey,
+      detached: true
+    });
+  }
+  async verifyAuthChallenge(email, nonce, armoredSignature) {
+    if (!this.usePGP || typeof armoredSignature !== 'string') {
+      return false;
+    }
+    try {
+      const publicKey = await this.getPublicKey(email);
+      if (!publicKey) {
+        return false;
+      }
+      const verificationResult = await openpgp.verify({
+        message: await openpgp.createMessage({ text: this.createAuthChallengeText(email, nonce) }),
+        signature: await openpgp.readSignature({ armoredSignature }),
+        verificationKeys: publicKey
+      });
+      await verificationResult.signatures[0].verified;
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
   async generateKeyPair(mmtpEmail, name, passphrase = '', standardEmail = '') {
     if (!this.usePGP) {
       throw new Error('PGP support is not enabled');
@@ -311,13 +1093,77 @@ class MMTPProtocol {
       key: fs.readFileSync(keyPath)
     };
   }
-  getTagCategories() {
-    return this.tagCategories;
+  encodeFrame(payload) {
+    return `${JSON.stringify(payload)}\n`;
   }
-  addCustomTag(tag) {
-    if (!this.tagCategories.custom.includes(tag)) {
-      this.tagCategories.custom.push(tag);
+  createFrameParser(onFrame, onError, maxFrameSize = this.maxFrameSize) {
+    let buffer = Buffer.alloc(0);
+    let scanned = 0;
+    let discarding = false;
+    const parser = {
+      maxFrameSize,
+      push(chunk) {
+        const data = Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk);
+        buffer = buffer.length === 0 ? data : Buffer.concat([buffer, data]);
+        while (true) {
+          const newline = buffer.indexOf(0x0a, scanned);
+          if (newline === -1) {
+            scanned = buffer.length;
+            if (!discarding && buffer.length > parser.maxFrameSize) {
+              discarding = true;
+              onError(createFrameError('FRAME_TOO_LARGE', `Frame exceeds maximum size of ${parser.maxFrameSize} bytes`));
+            }
+            if (discarding) {
+              buffer = Buffer.alloc(0);
+              scanned = 0;
+            }
+            return;
+          }
+          const frame = buffer.subarray(0, newline);
+          buffer = buffer.subarray(newline + 1);
+          scanned = 0;
+          if (discarding) {
+            discarding = false;
+            continue;
+          }
+          if (frame.length > parser.maxFrameSize) {
+            onError(createFrameError('FRAME_TOO_LARGE', `Frame exceeds maximum size of ${parser.maxFrameSize} bytes`));
+            continue;
+          }
+          const text = frame.toString('utf8').trim();
+          if (text.length === 0) {
+            continue;
+          }
+          let payload;
+          try {
+            payload = JSON.parse(text);
+          } catch (error) {
+            onError(createFrameError('INVALID_JSON', `Invalid frame: ${error.message}`));
+            continue;
+          }
+          onFrame(payload);
+        }
+      },
+      reset() {
+        buffer = Buffer.alloc(0);
+        scanned = 0;
+        discarding = false;
+      }
+    };
+    return parser;
+  }
+  getTagCategories(userCategories = {}) {
+    const categories = JSON.parse(JSON.stringify(this.tagCategories));
+    for (const [category, tags] of Object.entries(userCategories)) {
+      const predefined = Object.prototype.hasOwnProperty.call(categories, category) ? categories[category] : [];
+      categories[category] = [...new Set([...predefined, ...tags])];
     }
+    return categories;
   }
 }
+function createFrameError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
 module.exports = MMTPProtocol; 
\ No newline at end of file
@@ -1,7 +1,21 @@
+if (typeof WebSocket === 'undefined' && process.allowedNodeEnvironmentFlags.has('--experimental-websocket')) {
+  const { status } = require('child_process').spawnSync(process.execPath, ['--experimental-websocket', __filename], { stdio: 'inherit' });
+  process.exit(status === null ? 1 : status);
+}
+const crypto = require('crypto');
+const http = require('http');
+const net = require('net');
 const MMTPServer = require('./SERVER/server');
 const MMTPClient = require('./CLIENT/client');
+const MMTPBrowserClient = require('./CLIENT/browser-client');
+const MMTPCli = require('./CLIENT/cli');
+const MMTPProtocol = require('./protocol');
+const HashCashMinter = require('./hashcash');
+const TagClassifier = require('./classifier');
+const DifficultyPolicy = require('./SERVER/difficulty');
 const fs = require('fs-extra');
 const path = require('path');
+const { Readable } = require('stream');
 const TEST_CONFIG = {
   serverPort: 8025,
   securePort: 8026,
@@ -9,11 +23,19 @@ const TEST_CONFIG = {
   usePGP: true,
   difficulty: 2, 
   keyStorePath: path.join(__dirname, 'keystore'),
+  mailStorePath: path.join(__dirname, 'mailstore'),
+  attachmentsPath: path.join(__dirname, 'attachments'),
   certsPath: path.join(__dirname, 'certs')
 };
 const EMAILS = {
   alice: '(alice)%(example.com)',
-  bob: '(bob)%(example.com)'
+  bob: '(bob)%(example.com)',
+  carol: '(carol)%(example.com)'
+};
+const ACCOUNTS = {
+  [EMAILS.alice]: { password: 'alice-password' },
+  [EMAILS.bob]: { password: 'bob-password' },
+  [EMAILS.carol]: { password: 'carol-password' }
 };
 function formatNameForPGP(email) {
   const match = email.match(/^\(([a-zA-Z0-9._-]+)\)%\(([a-zA-Z0-9.-]+)\)$/);
@@ -33,7 +55,9 @@ async function testMMTP() {
     useTLS: TEST_CONFIG.useTLS,
     usePGP: TEST_CONFIG.usePGP,
     difficulty: TEST_CONFIG.difficulty,
-    keyStorePath: TEST_CONFIG.keyStorePath
+    keyStorePath: TEST_CONFIG.keyStorePath,
+    dataDir: path.join(TEST_CONFIG.mailStorePath, 'data', 'main'),
+    accounts: ACCOUNTS
   });
   server.start();
   await new Promise(resolve => setTimeout(resolve, 1000));
@@ -52,6 +76,52 @@ async function testMMTP() {
     }
     console.log('\nTest 5: Testing tag system...');
     await testTagSystem();
+    console.log('\nTest 6: Testing message framing...');
+    await testFraming();
+    console.log('\nTest 7: Testing concurrent requests...');
+    await testConcurrentRequests();
+    console.log('\nTest 8: Testing persistent mailbox storage...');
+    await testPersistentStorage();
+    console.log('\nTest 9: Testing server-to-server federation...');
+    await testFederation();
+    console.log('\nTest 10: Testing multiple recipients...');
+    await testMultipleRecipients();
+    console.log('\nTest 11: Testing attachments...');
+    await testAttachments();
+    console.log('\nTest 12: Testing HashCash stamp validation...');
+    await testHashCashValidation();
+    console.log('\nTest 13: Testing adaptive HashCash difficulty...');
+    await testAdaptiveDifficulty();
+    console.log('\nTest 14: Testing HashCash minting in worker threads...');
+    await testHashCashWorkers();
+    console.log('\nTest 15: Testing proof-of-work schemes...');
+    await testProofOfWorkSchemes();
+    console.log('\nTest 16: Testing conversation threading...');
+    await testThreading();
+    console.log('\nTest 17: Testing the mail query language...');
+    await testQueryLanguage();
+    console.log('\nTest 18: Testing full-text search...');
+    await testSearch();
+    console.log('\nTest 19: Testing delivery rules...');
+    await testDeliveryRules();
+    console.log('\nTest 20: Testing automatic tag classification...');
+    await testTagClassification();
+    console.log('\nTest 21: Testing per-user tag categories...');
+    await testUserTagCategories();
+    console.log('\nTest 22: Testing recipient tag updates...');
+    await testUpdateTags();
+    console.log('\nTest 23: Testing new mail push notifications...');
+    await testPushNotifications();
+    console.log('\nTest 24: Testing the WebSocket transport and browser client...');
+    await testWebSocketTransport();
+    console.log('\nTest 25: Testing the HTTP gateway...');
+    await testHttpGateway();
+    console.log('\nTest 26: Testing the command-line client...');
+    await testCli();
+    console.log('\nTest 27: Testing reconnection and the offline outbox...');
+    await testReconnect();
+    console.log('\nTest 28: Testing first key registration on a PGP-only server...');
+    await testKeyBootstrap();
     console.log('\nAll tests completed successfully! 🎉');
   } catch (error) {
     console.error('\n❌ Test failed:', error.message);
@@ -112,6 +182,17 @@ async function testKeyManagement() {
   console.log('   Generating PGP keys for Bob...');
   const bobKeysResult = await bob.generateKeys(EMAILS.bob, 'Bob User', '', bobEmail);
   console.log(`   ✓ Bob's keys generated successfully`);
+  const unauthenticatedRegister = await alice.sendRequest('REGISTER_KEY', {
+    email: '(dave)%(example.com)',
+    publicKey: await fs.readFile(alice.protocol.getPublicKeyPath(EMAILS.alice), 'utf8')
+  }).then(() => null, error => error.response);
+  if (!unauthenticatedRegister || unauthenticatedRegister.code !== 'AUTH_REQUIRED' ||
+      await fs.pathExists(alice.protocol.getPublicKeyPath('(dave)%(example.com)'))) {
+    throw new Error('An unauthenticated session registered the first key for a local address');
+  }
+  console.log('   ✓ Registering a local address\'s first key requires authentication');
+  await alice.authenticate(EMAILS.alice, { password: ACCOUNTS[EMAILS.alice].password });
+  await bob.authenticate(EMAILS.bob, { password: ACCOUNTS[EMAILS.bob].password });
   console.log('   Registering Alice\'s public key with server...');
   const aliceRegisterResult = await alice.registerPublicKey(EMAILS.alice);
   console.log(`   ✓ Alice's public key registered`);
@@ -144,6 +225,29 @@ async function testBasicMessaging() {
   });
   await alice.connect(TEST_CONFIG.useTLS);
   await bob.connect(TEST_CONFIG.useTLS);
+  console.log('   Bob tries to receive messages without authenticating...');
+  try {
+    await bob.receiveMail(EMAILS.bob);
+    throw new Error('Unauthenticated RECEIVE was accepted');
+  } catch (error) {
+    if (error.message !== 'Authentication required') {
+      throw error;
+    }
+    console.log('   ✓ Unauthenticated RECEIVE rejected');
+  }
+  await alice.authenticate(EMAILS.alice, { password: ACCOUNTS[EMAILS.alice].password });
+  await bob.authenticate(EMAILS.bob, { password: ACCOUNTS[EMAILS.bob].password });
+  console.log('   ✓ Alice and Bob authenticated with account credentials');
+  console.log('   Alice tries to read Bob\'s mailbox...');
+  try {
+    await alice.receiveMail(EMAILS.bob);
+    throw new Error('Alice was allowed to read Bob\'s mailbox');
+  } catch (error) {
+    if (error.message !== 'Not authorized to access this mailbox') {
+      throw error;
+    }
+    console.log('   ✓ Access to another user\'s mailbox rejected');
+  }
   console.log('   Alice sends a message to Bob...');
   const subject = 'Hello from MMTP';
   const body = 'This is a test message using the Modern Mail Transfer Protocol!';
@@ -198,6 +302,9 @@ async function testSecureMessaging() {
   } catch (error) {
     console.log('   Note: Public keys already cached');
   }
+  await alice.authenticate(EMAILS.alice);
+  await bob.authenticate(EMAILS.bob);
+  console.log('   ✓ Alice and Bob authenticated by signing a server challenge');
   console.log('   Alice sends an encrypted and signed message to Bob...');
   const subject = 'Secure Message';
   const body = 'This is a secure message with encryption and signature!';
@@ -257,12 +364,13 @@ async function testTagSystem() {
   });
   await alice.connect(TEST_CONFIG.useTLS);
   await bob.connect(TEST_CONFIG.useTLS);
+  await bob.authenticate(EMAILS.bob, { password: ACCOUNTS[EMAILS.bob].password });
   console.log('   Getting available tag categories...');
   const tagCategories = alice.getTagCategories();
   console.log(`   ✓ Available tag categories: ${Object.keys(tagCategories).join(', ')}`);
   console.log('   Adding a custom tag...');
-  const customTagResult = alice.addCustomTag('newsletter');
-  console.log(`   ✓ Added custom tag: ${customTagResult.tag}`);
+  const customTagResult = await bob.addCustomTag(EMAILS.bob, 'newsletter');
+  console.log(`   ✓ Added custom tag: ${customTagResult.tagCategories.custom.join(', ')}`);
   console.log('   Sending messages with different tags...');
   await alice.sendMail(
     EMAILS.alice, 
@@ -348,6 +456,1962 @@ async function testTagSystem() {
   alice.disconnect();
   bob.disconnect();
 }
+async function testFraming() {
+  const alice = new MMTPClient({
+    serverHost: 'localhost',
+    serverPort: TEST_CONFIG.serverPort,
+    securePort: TEST_CONFIG.securePort,
+    useTLS: TEST_CONFIG.useTLS,
+    usePGP: false
+  });
+  const bob = new MMTPClient({
+    serverHost: 'localhost',
+    serverPort: TEST_CONFIG.serverPort,
+    securePort: TEST_CONFIG.securePort,
+    useTLS: TEST_CONFIG.useTLS,
+    usePGP: false
+  });
+  const connectResult = await alice.connect(TEST_CONFIG.useTLS);
+  await bob.connect(TEST_CONFIG.useTLS);
+  await bob.authenticate(EMAILS.bob, { password: ACCOUNTS[EMAILS.bob].password });
+  console.log(`   ✓ Server advertises ${connectResult.features.framing} framing (max ${connectResult.features.maxFrameSize} bytes)`);
+  console.log('   Alice sends a large message to Bob...');
+  const largeBody = 'MMTP framing test line.\n'.repeat(20000);
+  await alice.sendMail(EMAILS.alice, EMAILS.bob, 'Large Message', largeBody);
+  const receiveResult = await bob.receiveMail(EMAILS.bob);
+  if (receiveResult.messages.length !== 1 || receiveResult.messages[0].content.body !== largeBody) {
+    throw new Error('Large message was not received intact');
+  }
+  console.log(`   ✓ Bob received the large message intact (${largeBody.length} bytes)`);
+  console.log('   Sending a request larger than the negotiated frame size...');
+  alice.maxRequestSize = 1024;
+  try {
+    await alice.sendMail(EMAILS.alice, EMAILS.bob, 'Too Large', largeBody);
+    throw new Error('Oversized request was not rejected');
+  } catch (error) {
+    if (!error.message.includes('exceeds the maximum frame size')) {
+      throw error;
+    }
+    console.log('   ✓ Oversized request rejected before sending');
+  }
+  alice.disconnect();
+  bob.disconnect();
+  try {
+    new MMTPServer({ maxFrameSize: 256 * 1024, maxMessageSize: 250 * 1024 });
+    throw new Error('A maxMessageSize too close to maxFrameSize was accepted');
+  } catch (error) {
+    if (!error.message.startsWith('maxMessageSize must be')) {
+      throw error;
+    }
+  }
+  console.log('   ✓ A maxMessageSize that leaves no room in a response frame is refused at startup');
+  const smallFrameServer = new MMTPServer({
+    port: 8047,
+    dataDir: path.join(TEST_CONFIG.mailStorePath, 'data', 'small-frames'),
+    useTLS: false,
+    usePGP: false,
+    maxFrameSize: 256 * 1024,
+    difficulty: TEST_CONFIG.difficulty,
+    accounts: ACCOUNTS
+  });
+  const sender = new MMTPClient({ serverHost: 'localhost', serverPort: 8047, useTLS: false, usePGP: false });
+  const reader = new MMTPClient({ serverHost: 'localhost', serverPort: 8047, useTLS: false, usePGP: false });
+  smallFrameServer.start();
+  await new Promise(resolve => setTimeout(resolve, 500));
+  try {
+    await sender.connect(false);
+    await reader.connect(false);
+    await reader.authenticate(EMAILS.bob, { password: ACCOUNTS[EMAILS.bob].password });
+    const chunkBody = 'x'.repeat(100 * 1024);
+    for (const subject of ['Chunk one', 'Chunk two', 'Chunk three']) {
+      await sender.sendMail(EMAILS.alice, EMAILS.bob, subject, chunkBody);
+    }
+    const firstFrame = await reader.sendRequest('RECEIVE', { email: EMAILS.bob });
+    const unread = await reader.checkMail(EMAILS.bob);
+    if (!firstFrame.truncated || firstFrame.count !== 2 || unread.count !== 1 ||
+        !firstFrame.messages.every(message => message.meta.flags.includes('seen'))) {
+      throw new Error(`Expected a truncated RECEIVE of 2 messages leaving 1 unseen: ${firstFrame.count}, ${unread.count}`);
+    }
+    console.log('   ✓ RECEIVE stops at the frame limit and only marks the messages it sent as seen');
+    const rest = await reader.receiveMail(EMAILS.bob);
+    if (rest.count !== 1 || rest.truncated || rest.messages[0].content.subject !== 'Chunk three') {
+      throw new Error('receiveMail did not collect the rest of a truncated RECEIVE');
+    }
+    const fetched = await reader.fetchMail(EMAILS.bob, {}, { peek: true });
+    if (!fetched.truncated || fetched.count !== 2 || fetched.total !== 3) {
+      throw new Error(`Expected FETCH to fit 2 of 3 messages in a frame, got ${fetched.count} of ${fetched.total}`);
+    }
+    console.log('   ✓ receiveMail follows truncated responses and FETCH reports how many messages fit');
+  } finally {
+    sender.disconnect();
+    reader.disconnect();
+    smallFrameServer.stop();
+  }
+}
+async function testConcurrentRequests() {
+  const alice = new MMTPClient({
+    serverHost: 'localhost',
+    serverPort: TEST_CONFIG.serverPort,
+    securePort: TEST_CONFIG.securePort,
+    useTLS: TEST_CONFIG.useTLS,
+    usePGP: false
+  });
+  const bob = new MMTPClient({
+    serverHost: 'localhost',
+    serverPort: TEST_CONFIG.serverPort,
+    securePort: TEST_CONFIG.securePort,
+    useTLS: TEST_CONFIG.useTLS,
+    usePGP: false
+  });
+  await alice.connect(TEST_CONFIG.useTLS);
+  await bob.connect(TEST_CONFIG.useTLS);
+  await bob.authenticate(EMAILS.bob, { password: ACCOUNTS[EMAILS.bob].password });
+  console.log('   Alice sends 5 messages to Bob in parallel...');
+  const sendResults = await Promise.all([1, 2, 3, 4, 5].map((n) =>
+    alice.sendMail(EMAILS.alice, EMAILS.bob, `Parallel ${n}`, `Parallel message number ${n}`)
+  ));
+  const messageIds = new Set(sendResults.map(result => result.messageId));
+  if (messageIds.size !== 5) {
+    throw new Error(`Expected 5 distinct message IDs, got ${messageIds.size}`);
+  }
+  console.log('   ✓ Each send resolved with its own message ID');
+  console.log('   Bob checks and receives his mailbox in parallel...');
+  const [checkResult, receiveResult] = await Promise.all([
+    bob.checkMail(EMAILS.bob),
+    bob.receiveMail(EMAILS.bob)
+  ]);
+  if (checkResult.totalCount === undefined || !Array.isArray(receiveResult.messages)) {
+    throw new Error('CHECK and RECEIVE responses were mixed up');
+  }
+  console.log(`   ✓ CHECK reported ${checkResult.count} message(s), RECEIVE returned ${receiveResult.messages.length}`);
+  alice.disconnect();
+  bob.disconnect();
+}
+async function testPersistentStorage() {
+  const startFileServer = async (port) => {
+    const fileServer = new MMTPServer({
+      port,
+      useTLS: false,
+      usePGP: false,
+      difficulty: TEST_CONFIG.difficulty,
+      storage: 'file',
+      storagePath: TEST_CONFIG.mailStorePath,
+      dataDir: path.join(TEST_CONFIG.mailStorePath, 'data', 'persistent'),
+      accounts: ACCOUNTS
+    });
+    fileServer.start();
+    await new Promise(resolve => setTimeout(resolve, 500));
+    return fileServer;
+  };
+  const createClient = (port) => new MMTPClient({
+    serverHost: 'localhost',
+    serverPort: port,
+    useTLS: false,
+    usePGP: false
+  });
+  const firstServer = await startFileServer(8027);
+  const alice = createClient(8027);
+  await alice.connect(false);
+  console.log('   Alice sends a message to a file-backed server...');
+  await alice.sendMail(EMAILS.alice, EMAILS.bob, 'Persistent Message', 'This message survives a restart.');
+  alice.disconnect();
+  firstServer.stop();
+  console.log('   Starting a new server on the same mail store...');
+  const secondServer = await startFileServer(8028);
+  const bob = createClient(8028);
+  await bob.connect(false);
+  await bob.authenticate(EMAILS.bob, { password: ACCOUNTS[EMAILS.bob].password });
+  try {
+    const receiveResult = await bob.receiveMail(EMAILS.bob);
+    if (receiveResult.messages.length !== 1 || receiveResult.messages[0].content.subject !== 'Persistent Message') {
+      throw new Error('Stored message was not recovered after restart');
+    }
+    console.log('   ✓ Bob received the message from the restarted server');
+    const checkResult = await bob.checkMail(EMAILS.bob);
+    console.log(`   ✓ No unseen mail after RECEIVE (${checkResult.totalCount} unseen, ${checkResult.exists} stored)`);
+    console.log('   Bob fetches the same message again by UID...');
+    const fetchResult = await bob.fetchMail(EMAILS.bob, '1:*', { peek: true });
+    const [stored] = fetchResult.messages;
+    if (!stored || !stored.meta.flags.includes('seen')) {
+      throw new Error('Received message was not kept with the seen flag');
+    }
+    console.log(`   ✓ Message UID ${stored.meta.uid} is still stored with flags [${stored.meta.flags.join(', ')}]`);
+    await bob.setFlags(EMAILS.bob, [stored.meta.uid], ['flagged', 'answered']);
+    await bob.deleteMail(EMAILS.bob, [stored.meta.uid]);
+    const expungeResult = await bob.expunge(EMAILS.bob);
+    const afterExpunge = await bob.fetchMail(EMAILS.bob, '1:*');
+    if (expungeResult.count !== 1 || afterExpunge.messages.length !== 0) {
+      throw new Error('DELETE and EXPUNGE did not remove the message');
+    }
+    console.log('   ✓ Message flagged, deleted and expunged');
+  } finally {
+    bob.disconnect();
+    secondServer.stop();
+  }
+}
+async function testFederation() {
+  const carol = '(carol)%(other.org)';
+  const homeServer = new MMTPServer({
+    port: 8029,
+    dataDir: path.join(TEST_CONFIG.mailStorePath, 'data', 'home'),
+    useTLS: false,
+    usePGP: false,
+    difficulty: TEST_CONFIG.difficulty,
+    domains: ['example.com'],
+    accounts: ACCOUNTS,
+    hashcashWindow: 5000,
+    federation: {
+      routes: {
+        'other.org': { host: 'localhost', port: 8030, secure: false },
+        'down.org': { host: 'localhost', port: 8031, secure: false }
+      }
+    },
+    queue: {
+      initialDelay: 100,
+      maxLifetime: 400
+    }
+  });
+  const remoteServer = new MMTPServer({
+    port: 8030,
+    dataDir: path.join(TEST_CONFIG.mailStorePath, 'data', 'remote'),
+    useTLS: false,
+    usePGP: false,
+    difficulty: TEST_CONFIG.difficulty,
+    domains: ['other.org'],
+    accounts: {
+      [carol]: { password: 'carol-password' }
+    }
+  });
+  homeServer.start();
+  remoteServer.start();
+  await new Promise(resolve => setTimeout(resolve, 500));
+  const alice = new MMTPClient({ serverHost: 'localhost', serverPort: 8029, useTLS: false, usePGP: false });
+  const carolClient = new MMTPClient({ serverHost: 'localhost', serverPort: 8030, useTLS: false, usePGP: false });
+  try {
+    await alice.connect(false);
+    await carolClient.connect(false);
+    try {
+      await alice.sendMail(EMAILS.alice, carol, 'Forged', 'Anyone can claim to be Alice.');
+      throw new Error('An unauthenticated session relayed mail as a local sender');
+    } catch (error) {
+      if (error.message !== 'Relaying denied: authenticate as the sender to send mail to another domain') {
+        throw error;
+      }
+      console.log('   ✓ Relaying to another domain requires a session authenticated as the sender');
+    }
+    await alice.authenticate(EMAILS.alice, { password: ACCOUNTS[EMAILS.alice].password });
+    console.log('   Alice sends a message to a user on another MMTP domain...');
+    const sendResult = await alice.sendMail(EMAILS.alice, carol, 'Hello other.org', 'This message crossed servers.');
+    console.log(`   ✓ ${sendResult.message}`);
+    await carolClient.authenticate(carol, { password: 'carol-password' });
+    const receiveResult = await carolClient.receiveMail(carol);
+    if (receiveResult.messages.length !== 1 || receiveResult.messages[0].sender !== EMAILS.alice) {
+      throw new Error('Relayed message was not delivered to the remote mailbox');
+    }
+    console.log('   ✓ Carol received the relayed message on her own server');
+    console.log('   Alice sends to Bob with Carol on bcc...');
+    const bccResult = await alice.sendMail(EMAILS.alice, EMAILS.bob, 'Bcc across servers', 'Carol is on bcc.', {
+      bcc: [carol]
+    });
+    const carolResult = bccResult.results.find(result => result.recipient === carol);
+    if (!carolResult || carolResult.status !== 'relayed') {
+      throw new Error(`Bcc copy was not relayed: ${carolResult && carolResult.message}`);
+    }
+    const bccReceived = await carolClient.receiveMail(carol);
+    const bccCopy = bccReceived.messages.find(message => message.content.subject === 'Bcc across servers');
+    if (!bccCopy || bccCopy.recipients.bcc.length !== 1 || bccCopy.recipients.bcc[0] !== carol) {
+      throw new Error('Remote bcc copy was not delivered with only its own bcc address');
+    }
+    console.log('   ✓ Remote bcc recipient received the message and its stamp validated');
+    const hiddenResult = await alice.sendMail(EMAILS.alice, carol, 'Local bcc', 'Bob is on bcc.', {
+      bcc: [EMAILS.bob, '(erin)%(example.com)']
+    });
+    const hiddenCopy = (await carolClient.receiveMail(carol)).messages.find(message => message.content.subject === 'Local bcc');
+    if (hiddenResult.results.find(result => result.recipient === carol).status !== 'relayed' || !hiddenCopy ||
+        hiddenCopy.recipients.bcc.length !== 0 || hiddenCopy.recipients.bccDigests.length !== 2 ||
+        JSON.stringify(hiddenCopy).includes(EMAILS.bob) || JSON.stringify(hiddenCopy).includes('(erin)')) {
+      throw new Error('The relayed copy disclosed bcc recipients to the remote server');
+    }
+    console.log('   ✓ The relayed copy replaces other bcc addresses with digests that still validate the stamp');
+    console.log('   Sending to a domain without a route...');
+    try {
+      await alice.sendMail(EMAILS.alice, '(dave)%(nowhere.net)', 'Lost', 'No route for this domain.');
+      throw new Error('Message to an unrouted domain was accepted');
+    } catch (error) {
+      if (!error.message.includes('No route to MMTP domain nowhere.net')) {
+        throw error;
+      }
+      console.log('   ✓ Unrouted domain rejected');
+    }
+    console.log('   Sending directly to the remote server for a domain it does not host...');
+    try {
+      await carolClient.sendMail(EMAILS.alice, EMAILS.bob, 'Open relay?', 'This must not be relayed.');
+      throw new Error('Remote server accepted mail for a domain it does not host');
+    } catch (error) {
+      if (error.message !== 'Recipient domain is not hosted on this server') {
+        throw error;
+      }
+      console.log('   ✓ Remote server only accepts mail for its own domains');
+    }
+    console.log('   Sending to a domain whose server is down...');
+    const queuedResult = await alice.sendMail(EMAILS.alice, '(erin)%(down.org)', 'Are you there?', 'This server is offline.');
+    if (!queuedResult.queued) {
+      throw new Error('Message to an unreachable server was not queued');
+    }
+    console.log(`   ✓ ${queuedResult.message}`);
+    console.log('   Sending to the same server with a stamp that expires before the queue gives up...');
+    const expiring = await alice.protocol.createMessagePacket(EMAILS.alice, '(erin)%(down.org)', 'Nearly stale', 'The stamp runs out first.', 'SEND', {
+      difficulty: TEST_CONFIG.difficulty
+    });
+    expiring.meta.timestamp -= 4700;
+    expiring.meta.hashcashToken = alice.protocol.generateHashCash(EMAILS.alice, '(erin)%(down.org)', expiring.meta.timestamp, TEST_CONFIG.difficulty);
+    const expiringResult = await alice.sendRequest('SEND', { packet: expiring });
+    if (!expiringResult.queued) {
+      throw new Error('Message with an almost expired stamp was not queued');
+    }
+    await new Promise(resolve => setTimeout(resolve, 1500));
+    const bounceResult = await alice.receiveMail(EMAILS.alice);
+    const findBounce = messageId => bounceResult.messages.find(message =>
+      message.meta.type === 'BOUNCE' && message.content.deliveryStatus.originalMessageId === messageId);
+    const bounce = findBounce(queuedResult.messageId);
+    if (!bounce) {
+      throw new Error('No bounce was delivered after retries were exhausted');
+    }
+    console.log(`   ✓ Bounce received after ${bounce.content.deliveryStatus.attempts} attempt(s): ${bounce.content.deliveryStatus.reason}`);
+    const stampBounce = findBounce(expiringResult.messageId);
+    if (!stampBounce || !stampBounce.content.deliveryStatus.reason.includes('before the message\'s HashCash stamp expired') ||
+        stampBounce.content.deliveryStatus.lastAttemptAt > expiring.meta.timestamp + 5000) {
+      throw new Error(`Queued message was retried past its stamp window: ${stampBounce && stampBounce.content.deliveryStatus.reason}`);
+    }
+    console.log(`   ✓ Queue gave up when the stamp expired: ${stampBounce.content.deliveryStatus.reason}`);
+  } finally {
+    alice.disconnect();
+    carolClient.disconnect();
+    homeServer.stop();
+    remoteServer.stop();
+  }
+}
+async function testMultipleRecipients() {
+  const createClient = () => new MMTPClient({
+    serverHost: 'localhost',
+    serverPort: TEST_CONFIG.serverPort,
+    securePort: TEST_CONFIG.securePort,
+    useTLS: TEST_CONFIG.useTLS,
+    usePGP: false
+  });
+  const clients = {};
+  for (const name of ['alice', 'bob', 'carol']) {
+    clients[name] = createClient();
+    await clients[name].connect(TEST_CONFIG.useTLS);
+    await clients[name].authenticate(EMAILS[name], { password: ACCOUNTS[EMAILS[name]].password });
+  }
+  try {
+    console.log('   Alice sends to Bob, copies Carol and blind-copies herself...');
+    const sendResult = await clients.alice.sendMail(EMAILS.alice, [EMAILS.bob], 'Team update', 'Hello team!', {
+      cc: [EMAILS.carol],
+      bcc: [EMAILS.alice]
+    });
+    if (sendResult.results.length !== 3 || !sendResult.results.every(result => result.status === 'delivered')) {
+      throw new Error(`Unexpected per-recipient results: ${JSON.stringify(sendResult.results)}`);
+    }
+    console.log(`   ✓ ${sendResult.message}`);
+    const findCopy = async (name) => {
+      const receiveResult = await clients[name].receiveMail(EMAILS[name]);
+      const copy = receiveResult.messages.find(message => message.meta.messageId === sendResult.messageId);
+      if (!copy) {
+        throw new Error(`${name} did not receive a copy`);
+      }
+      return copy;
+    };
+    const bobCopy = await findCopy('bob');
+    const carolCopy = await findCopy('carol');
+    const aliceCopy = await findCopy('alice');
+    if (bobCopy.recipients.bcc.length !== 0 || carolCopy.recipients.bcc.length !== 0) {
+      throw new Error('Bcc recipients were visible to other recipients');
+    }
+    if (aliceCopy.recipients.bcc[0] !== EMAILS.alice) {
+      throw new Error('Bcc recipient copy does not list the bcc recipient');
+    }
+    console.log('   ✓ Every recipient got a copy and bcc was stripped from the visible copies');
+    console.log('   Bob replies to all...');
+    const replyResult = await clients.bob.replyToMail(bobCopy, EMAILS.bob, 'Thanks!', { replyAll: true });
+    const replyRecipients = replyResult.results.map(result => result.recipient).sort();
+    if (replyRecipients.join(',') !== [EMAILS.alice, EMAILS.carol].sort().join(',')) {
+      throw new Error(`Reply-all went to the wrong recipients: ${replyRecipients.join(', ')}`);
+    }
+    console.log(`   ✓ Reply-all delivered to ${replyRecipients.join(' and ')}`);
+  } finally {
+    for (const client of Object.values(clients)) {
+      client.disconnect();
+    }
+  }
+}
+async function testAttachments() {
+  const createClient = (options) => new MMTPClient({
+    serverHost: 'localhost',
+    serverPort: TEST_CONFIG.serverPort,
+    securePort: TEST_CONFIG.securePort,
+    useTLS: TEST_CONFIG.useTLS,
+    keyStorePath: TEST_CONFIG.keyStorePath,
+    ...options
+  });
+  const outboxPath = path.join(TEST_CONFIG.attachmentsPath, 'outbox');
+  const inboxPath = path.join(TEST_CONFIG.attachmentsPath, 'inbox');
+  const reportPath = path.join(outboxPath, 'report.pdf');
+  const reportData = Buffer.from(Array.from({ length: 4096 }, (_, i) => i % 256));
+  await fs.ensureDir(outboxPath);
+  await fs.writeFile(reportPath, reportData);
+  const alice = createClient({ usePGP: TEST_CONFIG.usePGP });
+  const bob = createClient({ usePGP: TEST_CONFIG.usePGP });
+  const limitServer = new MMTPServer({
+    port: 8032,
+    dataDir: path.join(TEST_CONFIG.mailStorePath, 'data', 'limits'),
+    useTLS: false,
+    usePGP: false,
+    difficulty: TEST_CONFIG.difficulty,
+    maxAttachmentSize: 1024
+  });
+  const limitClient = new MMTPClient({ serverHost: 'localhost', serverPort: 8032, useTLS: false, usePGP: false });
+  try {
+    await alice.connect(TEST_CONFIG.useTLS);
+    await bob.connect(TEST_CONFIG.useTLS);
+    await bob.authenticate(EMAILS.bob, { password: ACCOUNTS[EMAILS.bob].password });
+    console.log('   Alice sends an encrypted and signed message with a file attached...');
+    const sendResult = await alice.sendMail(EMAILS.alice, EMAILS.bob, 'Quarterly report', 'See the attached report.', {
+      encrypt: TEST_CONFIG.usePGP,
+      sign: TEST_CONFIG.usePGP,
+      attachments: [reportPath, { filename: 'notes.txt', data: 'Remember the deadline.' }]
+    });
+    console.log(`   ✓ Message with attachments sent (encrypted: ${sendResult.encrypted}, signed: ${sendResult.signed})`);
+    const receiveResult = await bob.receiveMail(EMAILS.bob);
+    const message = receiveResult.messages.find(candidate => candidate.meta.messageId === sendResult.messageId);
+    if (!message || message.content.attachments.length !== 2) {
+      throw new Error('Attachments were not delivered');
+    }
+    if (TEST_CONFIG.usePGP && !message.meta.signatureVerified) {
+      throw new Error('Signature over a message with attachments was not verified');
+    }
+    const [report, notes] = message.content.attachments;
+    console.log(`   ✓ Bob received ${report.filename} (${report.contentType}, ${report.size} bytes) and ${notes.filename} (${notes.contentType})`);
+    const savedPath = await bob.saveAttachment(message, 'report.pdf', inboxPath);
+    if (!(await fs.readFile(savedPath)).equals(reportData)) {
+      throw new Error('Saved attachment does not match the original file');
+    }
+    console.log('   ✓ Saved attachment matches the original file');
+    limitServer.start();
+    await new Promise(resolve => setTimeout(resolve, 500));
+    await limitClient.connect(false);
+    console.log('   Sending an attachment larger than the server limit...');
+    try {
+      await limitClient.sendMail(EMAILS.alice, EMAILS.bob, 'Too big', 'Oversized attachment.', {
+        attachments: [{ filename: 'big.bin', data: Buffer.alloc(2048) }]
+      });
+      throw new Error('Oversized attachment was accepted');
+    } catch (error) {
+      if (!error.message.startsWith('Attachment big.bin too large')) {
+        throw error;
+      }
+      console.log(`   ✓ ${error.message}`);
+    }
+    console.log('   Sending an attachment whose content does not match its hash...');
+    const packet = await limitClient.protocol.createMessagePacket(EMAILS.alice, EMAILS.bob, 'Tampered', 'Altered attachment.', 'SEND', {
+      attachments: [{ filename: 'notes.txt', data: 'original' }]
+    });
+    packet.content.attachments[0].data = Buffer.from('tampered').toString('base64');
+    packet.verification.messageHash = limitClient.protocol.generateSHA256(JSON.stringify(packet.content));
+    try {
+      await limitClient.sendRequest('SEND', { packet });
+      throw new Error('Tampered attachment was accepted');
+    } catch (error) {
+      if (error.message !== 'Message integrity check failed') {
+        throw error;
+      }
+      console.log('   ✓ Tampered attachment rejected');
+    }
+  } finally {
+    alice.disconnect();
+    bob.disconnect();
+    limitClient.disconnect();
+    limitServer.stop();
+    await fs.remove(TEST_CONFIG.attachmentsPath);
+  }
+}
+async function testHashCashValidation() {
+  const alice = new MMTPClient({
+    serverHost: 'localhost',
+    serverPort: TEST_CONFIG.serverPort,
+    securePort: TEST_CONFIG.securePort,
+    useTLS: TEST_CONFIG.useTLS,
+    usePGP: false,
+    difficulty: TEST_CONFIG.difficulty
+  });
+  const expectRejection = async (description, packet, expected) => {
+    try {
+      await alice.sendRequest('SEND', { packet });
+      throw new Error(`${description} was accepted`);
+    } catch (error) {
+      if (!error.message.includes(expected)) {
+        throw error;
+      }
+      console.log(`   ✓ ${description} rejected: ${error.message}`);
+    }
+  };
+  const createPacket = () => alice.protocol.createMessagePacket(EMAILS.alice, EMAILS.bob, 'Stamped', 'A stamped message.');
+  await alice.connect(TEST_CONFIG.useTLS);
+  try {
+    console.log('   Alice sends a message, resends it, then replays its stamp on another message...');
+    const packet = await createPacket();
+    await alice.sendRequest('SEND', { packet });
+    const resent = await alice.sendRequest('SEND', { packet });
+    if (!resent.duplicate) {
+      throw new Error('Resending the same message was not recognised as a duplicate');
+    }
+    console.log(`   ✓ Resent message acknowledged without a second delivery: ${resent.message}`);
+    const replayed = JSON.parse(JSON.stringify(packet));
+    replayed.meta.messageId = crypto.randomBytes(16).toString('hex');
+    await expectRejection('Replayed stamp', replayed, 'stamp has already been used');
+    const redirected = await createPacket();
+    redirected.recipient = EMAILS.carol;
+    redirected.recipients.to = [EMAILS.carol];
+    await expectRejection('Stamp for another recipient', redirected, 'stamp resource does not match the message');
+    const stale = await createPacket();
+    stale.meta.timestamp -= 3 * 24 * 60 * 60 * 1000;
+    stale.meta.hashcashToken = alice.protocol.generateHashCash(EMAILS.alice, EMAILS.bob, stale.meta.timestamp);
+    await expectRejection('Stale stamp', stale, 'stamp has expired');
+    const cheap = await createPacket();
+    alice.protocol.difficulty = TEST_CONFIG.difficulty - 1;
+    cheap.meta.hashcashToken = alice.protocol.generateHashCash(EMAILS.alice, EMAILS.bob, cheap.meta.timestamp);
+    alice.protocol.difficulty = TEST_CONFIG.difficulty;
+    await expectRejection('Underpriced stamp', cheap, 'is below the required');
+  } finally {
+    alice.disconnect();
+  }
+}
+async function testAdaptiveDifficulty() {
+  const adaptiveServer = new MMTPServer({
+    port: 8033,
+    dataDir: path.join(TEST_CONFIG.mailStorePath, 'data', 'adaptive'),
+    useTLS: false,
+    usePGP: false,
+    difficulty: TEST_CONFIG.difficulty,
+    adaptiveDifficulty: true,
+    accounts: ACCOUNTS
+  });
+  const createClient = () => new MMTPClient({ serverHost: 'localhost', serverPort: 8033, useTLS: false, usePGP: false, difficulty: 1 });
+  const alice = createClient();
+  const bob = createClient();
+  const mallory = createClient();
+  adaptiveServer.start();
+  await new Promise(resolve => setTimeout(resolve, 500));
+  try {
+    const { features } = await alice.connect(false);
+    await bob.connect(false);
+    await bob.authenticate(EMAILS.bob, { password: ACCOUNTS[EMAILS.bob].password });
+    console.log(`   ✓ Server advertises difficulty ${features.difficulty} (adaptive: ${features.adaptiveDifficulty})`);
+    await alice.sendMail(EMAILS.alice, EMAILS.bob, 'First contact', 'Hello from a new sender.');
+    await alice.sendMail(EMAILS.alice, EMAILS.bob, 'Second message', 'Hello again.');
+    const received = (await bob.receiveMail(EMAILS.bob)).messages;
+    const stampDifficulty = message => bob.protocol.parseHashCash(message.meta.hashcashToken.token).difficulty;
+    const [first, second] = received.map(stampDifficulty);
+    if (first !== TEST_CONFIG.difficulty + 1 || second !== TEST_CONFIG.difficulty) {
+      throw new Error(`Unexpected stamp difficulties: ${first} and ${second}`);
+    }
+    console.log(`   ✓ Unknown sender paid difficulty ${first}, then ${second} once known`);
+    const reply = await bob.protocol.createReplyPacket(received[0], EMAILS.bob, 'Nice to hear from you.', {
+      difficulty: TEST_CONFIG.difficulty - 1
+    });
+    const replyResult = await bob.sendRequest('SEND', { packet: reply });
+    console.log(`   ✓ Reply to an established contact accepted at difficulty ${TEST_CONFIG.difficulty - 1}: ${replyResult.message}`);
+    await mallory.connect(false);
+    const failure = promise => promise.then(() => null, error => error.message);
+    const forged = await mallory.protocol.createMessagePacket('(mallory)%(example.com)', EMAILS.bob, 'Trust me', 'Signed, honestly.', 'SEND', {
+      difficulty: TEST_CONFIG.difficulty
+    });
+    forged.meta.signed = true;
+    forged.meta.signatureVerified = true;
+    const forgedError = await failure(mallory.sendRequest('SEND', { packet: forged }));
+    if (!forgedError || !forgedError.includes(`below the required ${TEST_CONFIG.difficulty + 1}`)) {
+      throw new Error(`A sender-supplied signatureVerified flag earned a discount: ${forgedError}`);
+    }
+    console.log('   ✓ Sender-supplied signatureVerified flag is ignored');
+    const framed = await mallory.protocol.createMessagePacket(EMAILS.bob, EMAILS.alice, 'Framed', 'Not really from Bob.', 'SEND', {
+      difficulty: TEST_CONFIG.difficulty
+    });
+    framed.meta.timestamp += 1;
+    for (let attempt = 0; attempt < 5; attempt++) {
+      if (!await failure(mallory.sendRequest('SEND', { packet: framed }))) {
+        throw new Error('A packet with a mismatched stamp was accepted');
+      }
+    }
+    const genuine = await bob.protocol.createMessagePacket(EMAILS.bob, EMAILS.alice, 'Still me', 'Bob is not abusive.', 'SEND', {
+      difficulty: TEST_CONFIG.difficulty
+    });
+    await bob.sendRequest('SEND', { packet: genuine });
+    console.log('   ✓ Rejections of packets claiming to be Bob did not raise his difficulty');
+    if (!adaptiveServer.difficultyPolicy.timer) {
+      throw new Error('The difficulty policy is not pruned while the server runs');
+    }
+    const policy = new DifficultyPolicy(TEST_CONFIG.difficulty, { rateWindow: 1000, historyWindow: 5000 });
+    const now = Date.now();
+    policy.recordRejection('203.0.113.7');
+    policy.recordDelivery(EMAILS.alice, [EMAILS.bob], '198.51.100.2');
+    policy.prune(now + 2000);
+    if (policy.senders.has('203.0.113.7') || policy.senders.has('198.51.100.2') || !policy.isKnown(EMAILS.alice)) {
+      throw new Error('Pruning did not drop idle addresses while keeping recent senders');
+    }
+    policy.prune(now + 6000);
+    if (policy.senders.size !== 0 || policy.contacts.size !== 0) {
+      throw new Error('Pruning kept senders older than the history window');
+    }
+    console.log('   ✓ Idle addresses and senders older than the history window are pruned');
+  } finally {
+    alice.disconnect();
+    bob.disconnect();
+    mallory.disconnect();
+    adaptiveServer.stop();
+  }
+}
+async function testHashCashWorkers() {
+  const minter = new HashCashMinter({ workers: 2 });
+  const alice = new MMTPClient({
+    serverHost: 'localhost',
+    serverPort: TEST_CONFIG.serverPort,
+    securePort: TEST_CONFIG.securePort,
+    useTLS: TEST_CONFIG.useTLS,
+    usePGP: false,
+    minter
+  });
+  const bob = new MMTPClient({
+    serverHost: 'localhost',
+    serverPort: TEST_CONFIG.serverPort,
+    securePort: TEST_CONFIG.securePort,
+    useTLS: TEST_CONFIG.useTLS,
+    usePGP: false
+  });
+  const expectMintError = async (description, options, code) => {
+    const prefix = alice.protocol.getHashCashPrefix(EMAILS.alice, EMAILS.bob, Date.now(), 12);
+    try {
+      await minter.mint(prefix, 12, options);
+      throw new Error(`${description} did not stop minting`);
+    } catch (error) {
+      if (error.code !== code) {
+        throw error;
+      }
+      console.log(`   ✓ ${error.message}`);
+    }
+  };
+  try {
+    console.log('   Minting a difficulty 4 stamp while the event loop keeps running...');
+    let ticks = 0;
+    const ticker = setInterval(() => ticks++, 5);
+    const timestamp = Date.now();
+    const stamp = await alice.protocol.mintHashCash(EMAILS.alice, EMAILS.bob, timestamp, 4);
+    clearInterval(ticker);
+    if (!alice.protocol.generateSHA256(stamp.token).startsWith('0000')) {
+      throw new Error('Worker minted an invalid stamp');
+    }
+    console.log(`   ✓ Stamp minted in a worker (event loop ticked ${ticks} time(s) meanwhile)`);
+    const controller = new AbortController();
+    setTimeout(() => controller.abort(), 50);
+    await expectMintError('Cancellation', { signal: controller.signal }, 'ABORT_ERR');
+    await expectMintError('Timeout', { timeout: 100 }, 'ETIMEDOUT');
+    await alice.connect(TEST_CONFIG.useTLS);
+    await bob.connect(TEST_CONFIG.useTLS);
+    await bob.authenticate(EMAILS.bob, { password: ACCOUNTS[EMAILS.bob].password });
+    console.log('   Alice pre-mints a stamp for Bob...');
+    const premintedCount = await alice.premint(EMAILS.alice, EMAILS.bob);
+    const premintedAt = Date.now();
+    await new Promise(resolve => setTimeout(resolve, 20));
+    const sendResult = await alice.sendMail(EMAILS.alice, EMAILS.bob, 'Pre-minted', 'Sent with a pre-minted stamp.');
+    const { messages } = await bob.receiveMail(EMAILS.bob);
+    const message = messages.find(candidate => candidate.meta.messageId === sendResult.messageId);
+    if (premintedCount !== 1 || !message || message.meta.timestamp > premintedAt) {
+      throw new Error('Message was not sent with the pre-minted stamp');
+    }
+    console.log('   ✓ Message sent with the pre-minted stamp');
+  } finally {
+    alice.disconnect();
+    bob.disconnect();
+    await minter.close();
+  }
+}
+async function testProofOfWorkSchemes() {
+  const powServer = new MMTPServer({
+    port: 8034,
+    dataDir: path.join(TEST_CONFIG.mailStorePath, 'data', 'pow'),
+    useTLS: false,
+    usePGP: false,
+    difficulty: TEST_CONFIG.difficulty,
+    accounts: ACCOUNTS,
+    powSchemes: [
+      { scheme: 'scrypt', difficulty: 1, params: { N: 1024, r: 8, p: 1 } },
+      { scheme: 'sha256' }
+    ]
+  });
+  const createClient = () => new MMTPClient({ serverHost: 'localhost', serverPort: 8034, useTLS: false, usePGP: false });
+  const alice = createClient();
+  const bob = createClient();
+  powServer.start();
+  await new Promise(resolve => setTimeout(resolve, 500));
+  try {
+    const { features } = await alice.connect(false);
+    await bob.connect(false);
+    await bob.authenticate(EMAILS.bob, { password: ACCOUNTS[EMAILS.bob].password });
+    console.log(`   ✓ Server offers ${features.pow.map(entry => entry.scheme).join(', ')}`);
+    const sendResult = await alice.sendMail(EMAILS.alice, EMAILS.bob, 'Memory-hard', 'Stamped with scrypt.');
+    const { messages } = await bob.receiveMail(EMAILS.bob);
+    const message = messages.find(candidate => candidate.meta.messageId === sendResult.messageId);
+    const stamp = bob.protocol.parseHashCash(message.meta.hashcashToken.token);
+    if (stamp.scheme !== 'scrypt' || stamp.params.N !== 1024) {
+      throw new Error(`Client did not negotiate the scrypt scheme: ${message.meta.hashcashToken.token}`);
+    }
+    console.log(`   ✓ Client minted a ${stamp.scheme} stamp (N=${stamp.params.N}, difficulty ${stamp.difficulty})`);
+    const legacy = await alice.protocol.createMessagePacket(EMAILS.alice, EMAILS.bob, 'Legacy', 'Version 1 stamp.', 'SEND', {
+      difficulty: TEST_CONFIG.difficulty
+    });
+    await alice.sendRequest('SEND', { packet: legacy });
+    console.log(`   ✓ Version 1 SHA-256 stamp still accepted (${legacy.meta.hashcashToken.token.split(':')[0]}:...)`);
+    const cheap = await alice.protocol.createMessagePacket(EMAILS.alice, EMAILS.bob, 'Cheap scrypt', 'Lower cost.', 'SEND', {
+      difficulty: 1,
+      pow: { scheme: 'scrypt', params: { N: 512, r: 8, p: 1 } }
+    });
+    try {
+      await alice.sendRequest('SEND', { packet: cheap });
+      throw new Error('Stamp with lower scrypt cost was accepted');
+    } catch (error) {
+      if (!error.message.includes('stamp parameters do not match')) {
+        throw error;
+      }
+      console.log(`   ✓ ${error.message}`);
+    }
+  } finally {
+    alice.disconnect();
+    bob.disconnect();
+    powServer.stop();
+  }
+}
+async function testThreading() {
+  const createClient = () => new MMTPClient({
+    serverHost: 'localhost',
+    serverPort: TEST_CONFIG.serverPort,
+    securePort: TEST_CONFIG.securePort,
+    useTLS: TEST_CONFIG.useTLS,
+    usePGP: false
+  });
+  const clients = {};
+  for (const name of ['alice', 'bob', 'carol']) {
+    clients[name] = createClient();
+    await clients[name].connect(TEST_CONFIG.useTLS);
+    await clients[name].authenticate(EMAILS[name], { password: ACCOUNTS[EMAILS[name]].password });
+  }
+  const receive = async (name, messageId) => {
+    const { messages } = await clients[name].receiveMail(EMAILS[name]);
+    const message = messages.find(candidate => candidate.meta.messageId === messageId);
+    if (!message) {
+      throw new Error(`${name} did not receive message ${messageId}`);
+    }
+    return message;
+  };
+  try {
+    console.log('   Alice starts a conversation with Bob...');
+    const first = await clients.alice.sendMail(EMAILS.alice, EMAILS.bob, 'Lunch?', 'Are you free on Friday?', {
+      attachments: [clients.alice.protocol.createAttachment('menu.txt', 'Soup of the day')]
+    });
+    const bobCopy = await receive('bob', first.messageId);
+    const reply = await clients.bob.replyToMail(bobCopy, EMAILS.bob, 'Friday works.');
+    const aliceCopy = await receive('alice', reply.messageId);
+    if (aliceCopy.meta.inReplyTo !== first.messageId || aliceCopy.meta.references.join() !== first.messageId) {
+      throw new Error(`Reply headers are wrong: ${JSON.stringify(aliceCopy.meta)}`);
+    }
+    console.log('   ✓ Reply carries inReplyTo and references');
+    const followUp = await clients.alice.replyToMail(aliceCopy, EMAILS.alice, 'See you at noon.');
+    await receive('bob', followUp.messageId);
+    const unrelated = await clients.alice.sendMail(EMAILS.alice, EMAILS.bob, 'Other topic', 'Unrelated.');
+    const conversation = await clients.bob.getConversation(EMAILS.bob, first.messageId, { peek: true });
+    const order = conversation.messages.map(message => message.meta.messageId);
+    if (conversation.threadId !== first.messageId || order.join() !== [first.messageId, followUp.messageId].join()) {
+      throw new Error(`Unexpected conversation: ${JSON.stringify(order)}`);
+    }
+    console.log(`   ✓ Bob's conversation lists ${conversation.count} messages in order`);
+    const bySentId = await clients.bob.getConversation(EMAILS.bob, reply.messageId, { peek: true });
+    if (bySentId.threadId !== first.messageId) {
+      throw new Error('Conversation was not found from a message outside the mailbox');
+    }
+    console.log('   ✓ Conversation found from Bob\'s own sent reply');
+    const { messages } = await clients.bob.fetchMail(EMAILS.bob, {}, { peek: true });
+    const threads = clients.bob.groupThreads(messages);
+    const lunch = threads.find(thread => thread.threadId === first.messageId);
+    if (!lunch || lunch.count !== 2 || !threads.some(thread => thread.threadId === unrelated.messageId)) {
+      throw new Error('Client-side thread grouping failed');
+    }
+    console.log(`   ✓ Client grouped Bob's mailbox into ${threads.length} threads`);
+    console.log('   Bob forwards the first message to Carol...');
+    const forward = await clients.bob.forwardMail(bobCopy, EMAILS.bob, EMAILS.carol, 'FYI, lunch plans.');
+    const forwarded = await receive('carol', forward.messageId);
+    if (forwarded.meta.type !== 'FORWARD' || forwarded.content.subject !== 'FWD: Lunch?' ||
+        forwarded.content.forwarded.messageId !== first.messageId ||
+        forwarded.content.forwarded.body !== 'Are you free on Friday?' ||
+        forwarded.content.attachments[0].filename !== 'menu.txt') {
+      throw new Error(`Forwarded message is wrong: ${JSON.stringify(forwarded.content)}`);
+    }
+    console.log('   ✓ Forward embeds the original message and its attachments');
+    const forged = await clients.alice.protocol.createMessagePacket(EMAILS.alice, EMAILS.bob, 'Forged', 'Bad headers', 'SEND', {
+      difficulty: TEST_CONFIG.difficulty,
+      references: ['not a message id']
+    });
+    try {
+      await clients.alice.sendRequest('SEND', { packet: forged });
+      throw new Error('Packet with malformed references was accepted');
+    } catch (error) {
+      if (!error.message.includes('Invalid inReplyTo or references')) {
+        throw error;
+      }
+      console.log(`   ✓ ${error.message}`);
+    }
+  } finally {
+    for (const client of Object.values(clients)) {
+      client.disconnect();
+    }
+  }
+}
+async function testQueryLanguage() {
+  const createClient = () => new MMTPClient({
+    serverHost: 'localhost',
+    serverPort: TEST_CONFIG.serverPort,
+    securePort: TEST_CONFIG.securePort,
+    useTLS: TEST_CONFIG.useTLS,
+    usePGP: false
+  });
+  const clients = {};
+  for (const name of ['alice', 'bob', 'carol']) {
+    clients[name] = createClient();
+    await clients[name].connect(TEST_CONFIG.useTLS);
+    await clients[name].authenticate(EMAILS[name], { password: ACCOUNTS[EMAILS[name]].password });
+  }
+  try {
+    const start = Date.now();
+    await clients.alice.sendMail(EMAILS.alice, EMAILS.carol, 'Quarterly report', 'Numbers attached.', { tags: { priority: ['high'] } });
+    await clients.bob.sendMail(EMAILS.bob, EMAILS.carol, 'Server down', 'Please check.', { tags: { status: ['urgent'] } });
+    await clients.alice.sendMail(EMAILS.alice, EMAILS.carol, 'Big sale', 'Half price!', { tags: { priority: ['high'], category: ['promotion'] } });
+    await clients.alice.sendMail(EMAILS.alice, EMAILS.carol, 'Lunch', 'Noon?');
+    console.log('   ✓ Sent four messages to Carol');
+    const scope = `after:${start}`;
+    const check = await clients.carol.checkMail(EMAILS.carol, { query: `${scope} (priority:high OR status:urgent)` });
+    if (check.count !== 3) {
+      throw new Error(`Expected 3 high-priority or urgent messages, CHECK counted ${check.count}`);
+    }
+    console.log(`   ✓ CHECK counted ${check.count} high-priority or urgent messages`);
+    const text = await clients.carol.checkMail(EMAILS.carol, { query: `${scope} ("server down" OR subject:LUNCH) -is:signed` });
+    if (text.count !== 2) {
+      throw new Error(`Expected 2 subject matches, CHECK counted ${text.count}`);
+    }
+    console.log('   ✓ Subject text, OR and negated flags match');
+    const body = await clients.carol.checkMail(EMAILS.carol, { query: `${scope} text:numbers` });
+    const bodyPhrase = await clients.carol.checkMail(EMAILS.carol, { query: `${scope} "half price"` });
+    const subjectOnly = await clients.carol.checkMail(EMAILS.carol, { query: `${scope} subject:numbers` });
+    if (body.count !== 1 || bodyPhrase.count !== 1 || subjectOnly.count !== 0) {
+      throw new Error(`Expected text terms to match bodies and subject: terms not to: ${body.count}, ${bodyPhrase.count}, ${subjectOnly.count}`);
+    }
+    console.log('   ✓ Bare words and text: match message bodies, subject: only the subject');
+    const sealer = new MMTPClient({
+      serverHost: 'localhost',
+      serverPort: TEST_CONFIG.serverPort,
+      securePort: TEST_CONFIG.securePort,
+      useTLS: TEST_CONFIG.useTLS,
+      usePGP: true,
+      keyStorePath: TEST_CONFIG.keyStorePath
+    });
+    await sealer.connect(TEST_CONFIG.useTLS);
+    try {
+      await sealer.sendMail(EMAILS.alice, EMAILS.bob, 'Sealed', 'The vault code is marmalade.', { encrypt: true });
+    } finally {
+      sealer.disconnect();
+    }
+    const sealedCount = await clients.bob.checkMail(EMAILS.bob, { query: `${scope} text:marmalade` });
+    const sealed = await clients.bob.receiveMailByQuery(EMAILS.bob, `${scope} text:marmalade`);
+    if (sealedCount.count !== 0 || sealed.count !== 1 || sealed.messages[0].content.subject !== 'Sealed') {
+      throw new Error(`Expected text: to match only decrypted content: ${sealedCount.count}, ${sealed.count}`);
+    }
+    console.log('   ✓ text: matches the decrypted body of an encrypted message');
+    const query = `${scope} (priority:high OR status:urgent) from:${EMAILS.alice} after:1d -category:promotion`;
+    const received = await clients.carol.receiveMailByQuery(EMAILS.carol, query);
+    if (received.count !== 1 || received.messages[0].content.subject !== 'Quarterly report') {
+      throw new Error(`Unexpected query result: ${received.messages.map(message => message.content.subject).join(', ')}`);
+    }
+    console.log(`   ✓ RECEIVE_FILTERED returned "${received.messages[0].content.subject}" for: ${query}`);
+    const remaining = await clients.carol.checkMail(EMAILS.carol, { query: scope });
+    if (remaining.count !== 3) {
+      throw new Error('RECEIVE_FILTERED marked unmatched messages as seen');
+    }
+    console.log('   ✓ Only the matching message was marked seen');
+    try {
+      await clients.carol.sendRequest('CHECK', { email: EMAILS.carol, query: '(priority:high OR' });
+      throw new Error('Malformed query was accepted');
+    } catch (error) {
+      if (!error.message.startsWith('Invalid query')) {
+        throw error;
+      }
+      console.log(`   ✓ ${error.message}`);
+    }
+    const unknownField = await clients.carol.sendRequest('CHECK', { email: EMAILS.carol, query: 'form:alice' })
+      .then(() => null, error => error.response);
+    if (!unknownField || unknownField.code !== 'INVALID_REQUEST' || !unknownField.message.includes('unknown field "form"')) {
+      throw new Error(`A query with an unknown field was accepted: ${JSON.stringify(unknownField)}`);
+    }
+    console.log(`   ✓ ${unknownField.message}`);
+  } finally {
+    for (const client of Object.values(clients)) {
+      client.disconnect();
+    }
+  }
+}
+async function testSearch() {
+  const searchServer = new MMTPServer({
+    port: 8035,
+    dataDir: path.join(TEST_CONFIG.mailStorePath, 'data', 'search'),
+    useTLS: false,
+    usePGP: false,
+    difficulty: TEST_CONFIG.difficulty,
+    accounts: ACCOUNTS
+  });
+  const createClient = () => new MMTPClient({ serverHost: 'localhost', serverPort: 8035, useTLS: false, usePGP: false });
+  const alice = createClient();
+  const bob = createClient();
+  const carol = createClient();
+  searchServer.start();
+  await new Promise(resolve => setTimeout(resolve, 500));
+  try {
+    await alice.connect(false);
+    await carol.connect(false);
+    await bob.connect(false);
+    await bob.authenticate(EMAILS.bob, { password: ACCOUNTS[EMAILS.bob].password });
+    const meeting = await alice.sendMail(EMAILS.alice, EMAILS.bob, 'Budget meeting', 'Let us discuss the budget for next quarter.');
+    const lunch = await alice.sendMail(EMAILS.alice, EMAILS.bob, 'Lunch', 'The budget for lunch is small.');
+    await carol.sendMail(EMAILS.carol, EMAILS.bob, 'Holiday plans', 'Off to the beach.', { tags: { category: ['personal'] } });
+    const ranked = await bob.search(EMAILS.bob, 'budget');
+    if (ranked.total !== 2 || ranked.messages[0].meta.messageId !== meeting.messageId) {
+      throw new Error(`Unexpected ranking: ${ranked.messages.map(message => message.content.subject).join(', ')}`);
+    }
+    console.log(`   ✓ "budget" ranks ${ranked.messages.map(message => `${message.content.subject} (${message.meta.score})`).join(' above ')}`);
+    const page = await bob.search(EMAILS.bob, 'budget', { offset: 1, limit: 1 });
+    if (page.total !== 2 || page.count !== 1 || page.messages[0].meta.messageId !== lunch.messageId) {
+      throw new Error('Pagination returned the wrong page');
+    }
+    console.log('   ✓ Second page of one result holds the lower-ranked message');
+    const byTag = await bob.search(EMAILS.bob, 'personal');
+    const byHeader = await bob.search(EMAILS.bob, 'carol');
+    if (byTag.total !== 1 || byHeader.total !== 1) {
+      throw new Error('Tags or headers were not indexed');
+    }
+    console.log('   ✓ Tags and headers are searchable');
+    const filtered = await bob.search(EMAILS.bob, 'budget', { filter: 'subject:lunch' });
+    if (filtered.total !== 1 || filtered.messages[0].meta.messageId !== lunch.messageId) {
+      throw new Error('Query filter was not applied to search results');
+    }
+    console.log('   ✓ Results can be narrowed with a filter query');
+    await alice.sendMail(EMAILS.alice, EMAILS.bob, 'Revised budget', 'New numbers.');
+    await bob.deleteMail(EMAILS.bob, [ranked.messages[0].meta.uid]);
+    const updated = await bob.search(EMAILS.bob, 'budget');
+    if (updated.total !== 2 || updated.messages.some(message => message.meta.messageId === meeting.messageId)) {
+      throw new Error('Index was not updated on delivery and deletion');
+    }
+    console.log('   ✓ Index updated on delivery and deletion');
+    const unread = await bob.checkMail(EMAILS.bob);
+    if (unread.count !== 3) {
+      throw new Error('SEARCH marked messages as seen');
+    }
+    console.log('   ✓ Searching does not mark messages seen');
+  } finally {
+    alice.disconnect();
+    bob.disconnect();
+    carol.disconnect();
+    searchServer.stop();
+  }
+}
+async function testDeliveryRules() {
+  const rulesServer = new MMTPServer({
+    port: 8036,
+    dataDir: path.join(TEST_CONFIG.mailStorePath, 'data', 'rules'),
+    useTLS: false,
+    usePGP: false,
+    difficulty: TEST_CONFIG.difficulty,
+    accounts: ACCOUNTS,
+    domains: ['example.com'],
+    rulesPath: path.join(TEST_CONFIG.mailStorePath, 'rules')
+  });
+  const createClient = () => new MMTPClient({ serverHost: 'localhost', serverPort: 8036, useTLS: false, usePGP: false });
+  const clients = { alice: createClient(), bob: createClient(), carol: createClient() };
+  rulesServer.start();
+  await new Promise(resolve => setTimeout(resolve, 500));
+  try {
+    for (const name of ['alice', 'bob', 'carol']) {
+      await clients[name].connect(false);
+      await clients[name].authenticate(EMAILS[name], { password: ACCOUNTS[EMAILS[name]].password });
+    }
+    const rules = [
+      {
+        name: 'Reports from Alice',
+        conditions: { from: EMAILS.alice, subject: 'report' },
+        actions: [{ type: 'addTags', tags: { priority: ['high'] } }, { type: 'fileInto', folder: 'Work' }],
+        stop: true
+      },
+      {
+        name: 'No promotions',
+        conditions: { tags: { category: ['promotion'] } },
+        actions: [{ type: 'reject', reason: 'Bob does not accept promotions' }]
+      },
+      {
+        name: 'Drop newsletters',
+        conditions: { subject: 'newsletter', minDifficulty: TEST_CONFIG.difficulty },
+        actions: [{ type: 'discard' }]
+      },
+      {
+        name: 'Share FYIs with Carol',
+        conditions: { query: 'subject:fyi -is:signed' },
+        actions: [{ type: 'forward', to: EMAILS.carol }]
+      }
+    ];
+    const saved = await clients.bob.setRules(EMAILS.bob, rules);
+    const { rules: stored } = await clients.bob.getRules(EMAILS.bob);
+    if (stored.length !== rules.length || stored[0].name !== rules[0].name) {
+      throw new Error('GET_RULES did not return the saved rules');
+    }
+    console.log(`   ✓ ${saved.message} and read back`);
+    try {
+      await clients.bob.setRules(EMAILS.bob, [{ actions: [{ type: 'forward', to: '(eve)%(elsewhere.org)' }] }]);
+      throw new Error('Rule forwarding to a remote address was accepted');
+    } catch (error) {
+      if (!error.message.startsWith('Invalid rules')) {
+        throw error;
+      }
+      console.log(`   ✓ ${error.message}`);
+    }
+    const report = await clients.alice.sendMail(EMAILS.alice, EMAILS.bob, 'Monthly report', 'Figures inside.');
+    const inbox = await clients.bob.receiveMail(EMAILS.bob);
+    const work = await clients.bob.receiveMail(EMAILS.bob, { folder: 'Work' });
+    const filed = work.messages.find(message => message.meta.messageId === report.messageId);
+    if (inbox.messages.some(message => message.meta.messageId === report.messageId) || !filed ||
+        filed.meta.folder !== 'Work' || !filed.meta.serverTags.priority.includes('high')) {
+      throw new Error('Report was not tagged and filed into Work');
+    }
+    console.log('   ✓ Report tagged high priority and filed into Work');
+    try {
+      await clients.carol.sendMail(EMAILS.carol, EMAILS.bob, 'Big sale', 'Buy now!', { tags: { category: ['promotion'] } });
+      throw new Error('Promotion was not rejected');
+    } catch (error) {
+      if (error.message !== 'Bob does not accept promotions') {
+        throw error;
+      }
+      console.log(`   ✓ Promotion rejected: ${error.message}`);
+    }
+    const newsletter = await clients.alice.sendMail(EMAILS.alice, EMAILS.bob, 'Weekly newsletter', 'News.');
+    const fyi = await clients.alice.sendMail(EMAILS.alice, EMAILS.bob, 'FYI: office move', 'We move on Monday.');
+    const bobMail = await clients.bob.receiveMail(EMAILS.bob);
+    const carolMail = await clients.carol.receiveMail(EMAILS.carol);
+    if (newsletter.status !== 'OK' || bobMail.messages.some(message => message.meta.messageId === newsletter.messageId)) {
+      throw new Error('Newsletter was not silently discarded');
+    }
+    console.log('   ✓ Newsletter accepted and silently discarded');
+    if (!bobMail.messages.some(message => message.meta.messageId === fyi.messageId) ||
+        !carolMail.messages.some(message => message.meta.messageId === fyi.messageId)) {
+      throw new Error('FYI was not both kept and forwarded');
+    }
+    console.log('   ✓ FYI kept by Bob and forwarded to Carol');
+  } finally {
+    for (const client of Object.values(clients)) {
+      client.disconnect();
+    }
+    rulesServer.stop();
+  }
+}
+async function testTagClassification() {
+  const classifierServer = new MMTPServer({
+    port: 8037,
+    dataDir: path.join(TEST_CONFIG.mailStorePath, 'data', 'classifier'),
+    useTLS: false,
+    usePGP: false,
+    difficulty: TEST_CONFIG.difficulty,
+    accounts: ACCOUNTS
+  });
+  const createClient = () => new MMTPClient({ serverHost: 'localhost', serverPort: 8037, useTLS: false, usePGP: false });
+  const clients = { alice: createClient(), bob: createClient(), carol: createClient() };
+  classifierServer.start();
+  await new Promise(resolve => setTimeout(resolve, 500));
+  try {
+    for (const name of ['alice', 'bob', 'carol']) {
+      await clients[name].connect(false);
+    }
+    await clients.bob.authenticate(EMAILS.bob, { password: ACCOUNTS[EMAILS.bob].password });
+    const promo = await clients.carol.sendMail(EMAILS.carol, EMAILS.bob, 'Summer sale: 50% off everything', 'Limited time only.', {
+      tags: { priority: ['high'] }
+    });
+    const urgent = await clients.alice.sendMail(EMAILS.alice, EMAILS.bob, 'URGENT: server down', 'Please look now.');
+    const forged = await clients.carol.protocol.createMessagePacket(EMAILS.carol, EMAILS.bob, 'Hi', 'Trust me.', 'SEND', {
+      difficulty: TEST_CONFIG.difficulty
+    });
+    forged.meta.serverTags = { category: ['personal'] };
+    await clients.carol.sendRequest('SEND', { packet: forged });
+    const { messages } = await clients.bob.fetchMail(EMAILS.bob, {}, { peek: true });
+    const byId = id => messages.find(message => message.meta.messageId === id);
+    const promoCopy = byId(promo.messageId);
+    if (!promoCopy.meta.serverTags.category.includes('promotion') || !promoCopy.meta.tags.priority.includes('high')) {
+      throw new Error(`Promotion was not classified: ${JSON.stringify(promoCopy.meta)}`);
+    }
+    console.log('   ✓ Self-labelled high-priority promotion classified as category promotion, sender tags kept apart');
+    if (!byId(urgent.messageId).meta.serverTags.status.includes('urgent')) {
+      throw new Error('Urgent message was not classified');
+    }
+    console.log('   ✓ Urgent message classified as status urgent');
+    if (Object.keys(byId(forged.meta.messageId).meta.serverTags).length !== 0) {
+      throw new Error('Sender-supplied server tags were stored');
+    }
+    console.log('   ✓ Server tags supplied by the sender are ignored');
+    const promotions = await clients.bob.checkMail(EMAILS.bob, { tagFilters: { category: ['promotion'] } });
+    if (promotions.count !== 1 || promotions.tagCounts.category.promotion !== 1) {
+      throw new Error('Server tags were not used by CHECK');
+    }
+    console.log('   ✓ Tag filters and counts include server tags');
+    console.log('   Bob tags digests as finance and retags chit-chat as untagged...');
+    const correct = async (name, subject, body, changes) => {
+      const sent = await clients[name].sendMail(EMAILS[name], EMAILS.bob, subject, body);
+      await clients.bob.updateTags(EMAILS.bob, { messageIds: [sent.messageId] }, changes);
+    };
+    for (let i = 1; i <= 3; i++) {
+      await correct('carol', `Market digest ${i}`, 'Stocks and bonds roundup for the week.', { add: { category: ['finance'] } });
+      await correct('alice', `Catch up ${i}`, 'How was the weekend with the kids?', { tags: {} });
+    }
+    const digest = await clients.carol.sendMail(EMAILS.carol, EMAILS.bob, 'Market digest 4', 'Bonds roundup.');
+    const chat = await clients.alice.sendMail(EMAILS.alice, EMAILS.bob, 'Catch up 4', 'Weekend plans?');
+    const { messages: latest } = await clients.bob.fetchMail(EMAILS.bob, {}, { peek: true });
+    const learned = latest.find(message => message.meta.messageId === digest.messageId);
+    const untouched = latest.find(message => message.meta.messageId === chat.messageId);
+    if (!(learned.meta.serverTags.category || []).includes('finance') || (untouched.meta.serverTags.category || []).includes('finance')) {
+      throw new Error('Classifier did not learn from tag updates');
+    }
+    console.log('   ✓ Classifier learned to tag the next digest as finance');
+    const modelFile = path.join(TEST_CONFIG.mailStorePath, 'data', 'classifier', 'classifier', `${EMAILS.bob}.json`);
+    if (!(await fs.pathExists(modelFile)) || (await fs.readJson(modelFile)).documents !== 6) {
+      throw new Error('The tag model was not saved under the data directory');
+    }
+    const bounded = new TagClassifier({ maxExamples: 2 });
+    for (const [index, subject] of ['Invoice one', 'Invoice two', 'Invoice three'].entries()) {
+      await bounded.learn(EMAILS.bob, { meta: { messageId: `bounded-${index}` }, sender: EMAILS.alice, content: { subject, body: '' } }, {});
+    }
+    const boundedModel = bounded.getModel(EMAILS.bob);
+    if (boundedModel.documents !== 3 || Object.keys(boundedModel.examples).join() !== 'bounded-1,bounded-2') {
+      throw new Error('The classifier kept more examples than maxExamples');
+    }
+    console.log('   ✓ Tag models are saved under the data directory and keep a bounded number of examples');
+  } finally {
+    for (const client of Object.values(clients)) {
+      client.disconnect();
+    }
+    classifierServer.stop();
+  }
+}
+async function testUserTagCategories() {
+  const tagCategoriesPath = path.join(TEST_CONFIG.mailStorePath, 'tag-categories');
+  const createServer = () => new MMTPServer({
+    port: 8038,
+    dataDir: path.join(TEST_CONFIG.mailStorePath, 'data', 'tag-categories'),
+    useTLS: false,
+    usePGP: false,
+    difficulty: TEST_CONFIG.difficulty,
+    accounts: ACCOUNTS,
+    tagCategoriesPath
+  });
+  const createClient = () => new MMTPClient({ serverHost: 'localhost', serverPort: 8038, useTLS: false, usePGP: false });
+  let tagServer = createServer();
+  let alice = createClient();
+  let bob = createClient();
+  tagServer.start();
+  await new Promise(resolve => setTimeout(resolve, 500));
+  try {
+    await alice.connect(false);
+    await bob.connect(false);
+    await alice.authenticate(EMAILS.alice, { password: ACCOUNTS[EMAILS.alice].password });
+    await bob.authenticate(EMAILS.bob, { password: ACCOUNTS[EMAILS.bob].password });
+    await bob.addTagCategory(EMAILS.bob, 'project', ['apollo', 'gemini']);
+    await bob.addTagCategory(EMAILS.bob, 'priority', ['critical']);
+    const added = await bob.addCustomTag(EMAILS.bob, 'newsletter');
+    if (!added.tagCategories.project.includes('gemini') || !added.tagCategories.priority.includes('critical') ||
+        !added.tagCategories.priority.includes('high') || !added.tagCategories.custom.includes('newsletter')) {
+      throw new Error(`Tag categories were not merged: ${JSON.stringify(added.tagCategories)}`);
+    }
+    console.log('   ✓ Bob added a project category, a priority tag and a custom tag');
+    const teams = ['red', 'green', 'blue'];
+    const concurrent = await Promise.allSettled(teams.map(team => bob.addTagCategory(EMAILS.bob, `team-${team}`)));
+    const failed = concurrent.filter(result => result.status === 'rejected');
+    if (failed.length > 0) {
+      throw new Error(`Concurrent category changes failed: ${failed[0].reason.message}`);
+    }
+    console.log('   ✓ Concurrent category changes are all saved');
+    const aliceCategories = await alice.fetchTagCategories(EMAILS.alice);
+    if (aliceCategories.tagCategories.project || aliceCategories.tagCategories.custom.length !== 0 ||
+        alice.getTagCategories().project) {
+      throw new Error('Tag categories leaked between users');
+    }
+    console.log('   ✓ Alice does not see Bob\'s categories');
+    const failure = promise => promise.then(() => null, error => error.message);
+    if (await failure(alice.addTagCategory(EMAILS.bob, 'spam', ['x'])) !== 'Not authorized to access this mailbox') {
+      throw new Error('Categories were changed for another mailbox');
+    }
+    console.log('   ✓ Categories of another mailbox cannot be changed');
+    const predefined = await failure(bob.removeTag(EMAILS.bob, 'priority', 'high'));
+    const invalid = await failure(bob.addTagCategory(EMAILS.bob, 'bad name'));
+    const reserved = await failure(bob.addTagCategory(EMAILS.bob, 'from'));
+    if (!predefined || !invalid || !reserved) {
+      throw new Error('Predefined tags were removed or an invalid name was accepted');
+    }
+    console.log(`   ✓ Predefined tags are protected: ${predefined}`);
+    const prototypeNames = [
+      await failure(bob.addTagCategory(EMAILS.bob, 'constructor')),
+      await failure(bob.addTagCategory(EMAILS.bob, '__proto__', ['x'])),
+      await failure(bob.addTagCategory(EMAILS.bob, 'project', ['toString'])),
+      await failure(bob.removeTag(EMAILS.bob, 'toString')),
+      await failure(bob.renameTag(EMAILS.bob, 'hasOwnProperty', undefined, 'renamed'))
+    ];
+    if (!prototypeNames.slice(0, 3).every(message => message && message.includes('is reserved')) ||
+        !prototypeNames.slice(3).every(message => message && message.endsWith('not found'))) {
+      throw new Error(`Prototype member names were not rejected: ${JSON.stringify(prototypeNames)}`);
+    }
+    console.log('   ✓ Names of object prototype members are rejected or not found');
+    const sent = await alice.sendMail(EMAILS.alice, EMAILS.bob, 'Launch checklist', 'Apollo launch items.');
+    const { messages: [stored] } = await bob.getConversation(EMAILS.bob, sent.messageId, { peek: true });
+    const retagged = await bob.retag(EMAILS.bob, stored.meta.uid, { project: ['apollo'], priority: ['critical'] });
+    if (retagged.status !== 'OK' || !retagged.updated[0].tags.project.includes('apollo') ||
+        !retagged.updated[0].tags.priority.includes('critical')) {
+      throw new Error(`User tags were not accepted by retag: ${JSON.stringify(retagged)}`);
+    }
+    const { messages: [retaggedCopy] } = await bob.getConversation(EMAILS.bob, sent.messageId, { peek: true });
+    if (Object.keys(retaggedCopy.meta.serverTags).length !== 0 || !retaggedCopy.meta.recipientTags.project.includes('apollo')) {
+      throw new Error(`Retagging overwrote the server tags: ${JSON.stringify(retaggedCopy.meta)}`);
+    }
+    console.log('   ✓ Retagging accepts the user\'s own categories and tags and keeps server tags apart');
+    const renamed = await bob.renameTag(EMAILS.bob, 'project', 'apollo', 'artemis');
+    if (renamed.status !== 'OK' || renamed.updated !== 1 || !renamed.tagCategories.project.includes('artemis')) {
+      throw new Error(`Tag was not renamed: ${JSON.stringify(renamed)}`);
+    }
+    const byRenamedTag = await bob.checkMail(EMAILS.bob, { query: 'project:artemis' });
+    if (byRenamedTag.count !== 1) {
+      throw new Error('Stored recipient tags were not renamed');
+    }
+    console.log('   ✓ Renaming a tag also renames it on stored messages');
+    const renamedCategory = await bob.renameTag(EMAILS.bob, 'project', undefined, 'program');
+    const removed = await bob.removeTag(EMAILS.bob, 'priority', 'critical');
+    const { messages: [updated] } = await bob.getConversation(EMAILS.bob, sent.messageId, { peek: true });
+    if (renamedCategory.tagCategories.project || !renamedCategory.tagCategories.program.includes('artemis') ||
+        removed.tagCategories.priority.includes('critical') || !updated.meta.recipientTags.program ||
+        updated.meta.recipientTags.priority) {
+      throw new Error(`Category rename or tag removal failed: ${JSON.stringify(updated.meta.recipientTags)}`);
+    }
+    console.log('   ✓ Categories can be renamed and tags removed');
+    alice.disconnect();
+    bob.disconnect();
+    tagServer.stop();
+    tagServer = createServer();
+    tagServer.start();
+    await new Promise(resolve => setTimeout(resolve, 500));
+    alice = createClient();
+    bob = createClient();
+    await bob.connect(false);
+    await bob.authenticate(EMAILS.bob, { password: ACCOUNTS[EMAILS.bob].password });
+    const reloaded = await bob.fetchTagCategories(EMAILS.bob);
+    if (!reloaded.tagCategories.program.includes('gemini') || !reloaded.userTagCategories.custom.includes('newsletter') ||
+        teams.some(team => !reloaded.tagCategories[`team-${team}`])) {
+      throw new Error('Tag categories were not persisted');
+    }
+    console.log('   ✓ Tag categories survive a server restart');
+  } finally {
+    alice.disconnect();
+    bob.disconnect();
+    tagServer.stop();
+  }
+}
+async function testUpdateTags() {
+  const tagServer = new MMTPServer({
+    port: 8039,
+    dataDir: path.join(TEST_CONFIG.mailStorePath, 'data', 'recipient-tags'),
+    useTLS: false,
+    usePGP: false,
+    difficulty: TEST_CONFIG.difficulty,
+    accounts: ACCOUNTS
+  });
+  const createClient = () => new MMTPClient({ serverHost: 'localhost', serverPort: 8039, useTLS: false, usePGP: false });
+  const clients = { alice: createClient(), bob: createClient(), carol: createClient() };
+  tagServer.start();
+  await new Promise(resolve => setTimeout(resolve, 500));
+  try {
+    for (const name of ['alice', 'bob', 'carol']) {
+      await clients[name].connect(false);
+    }
+    await clients.bob.authenticate(EMAILS.bob, { password: ACCOUNTS[EMAILS.bob].password });
+    const promo = await clients.carol.sendMail(EMAILS.carol, EMAILS.bob, 'Big sale this weekend', 'Everything must go.', {
+      tags: { category: ['promotion'], priority: ['high'] }
+    });
+    const contract = await clients.alice.sendMail(EMAILS.alice, EMAILS.bob, 'Contract review', 'Draft attached.');
+    await clients.alice.sendMail(EMAILS.alice, EMAILS.bob, 'Lunch', 'Noon tomorrow?');
+    const marked = await clients.bob.updateTags(EMAILS.bob, { messageIds: [contract.messageId] }, {
+      add: { status: ['action_required'] }
+    });
+    if (marked.count !== 1 || !marked.updated[0].tags.status.includes('action_required')) {
+      throw new Error(`Contract was not tagged: ${JSON.stringify(marked)}`);
+    }
+    console.log('   ✓ Bob marked the contract action_required by message ID');
+    const corrected = await clients.bob.updateTags(EMAILS.bob, { query: `from:${EMAILS.carol}` }, {
+      add: { category: ['personal'] },
+      remove: { category: ['promotion'], priority: ['high'] }
+    });
+    const { tags } = corrected.updated[0];
+    if (corrected.count !== 1 || tags.priority || (tags.category || []).includes('promotion') || !tags.category.includes('personal')) {
+      throw new Error(`Sender tags were not overridden: ${JSON.stringify(corrected)}`);
+    }
+    console.log('   ✓ Bob overrode the sender\'s category and priority by query');
+    const { messages } = await clients.bob.fetchMail(EMAILS.bob, {}, { peek: true });
+    const stored = messages.find(message => message.meta.messageId === promo.messageId);
+    if (!stored.meta.tags.category.includes('promotion') || !stored.meta.tags.priority.includes('high') ||
+        !stored.meta.recipientTags.category.includes('personal') || !stored.meta.removedTags.priority.includes('high')) {
+      throw new Error(`Recipient tags were not kept apart: ${JSON.stringify(stored.meta)}`);
+    }
+    console.log('   ✓ Sender tags are unchanged; recipient tags are kept apart');
+    const check = await clients.bob.checkMail(EMAILS.bob);
+    if (check.tagCounts.status.action_required !== 1 || (check.tagCounts.category || {}).promotion ||
+        check.tagCounts.priority || check.tagCounts.category.personal !== 1) {
+      throw new Error(`CHECK tag counts are stale: ${JSON.stringify(check.tagCounts)}`);
+    }
+    const actionRequired = await clients.bob.checkMail(EMAILS.bob, { query: 'status:action_required' });
+    const found = await clients.bob.search(EMAILS.bob, 'action required');
+    if (actionRequired.count !== 1 || found.total !== 1) {
+      throw new Error('Recipient tags were not used by queries or search');
+    }
+    console.log('   ✓ CHECK counts, queries and search reflect the new tags');
+    try {
+      await clients.bob.updateTags(EMAILS.bob, { messageIds: [contract.messageId] }, { add: { status: ['someday'] } });
+      throw new Error('An unknown tag was accepted');
+    } catch (error) {
+      if (error.message !== 'Unknown tags: status:someday') {
+        throw error;
+      }
+      console.log('   ✓ Unknown tags are rejected');
+    }
+    const restored = await clients.bob.updateTags(EMAILS.bob, { messageIds: [promo.messageId] }, { add: { priority: ['high'] } });
+    if (!restored.updated[0].tags.priority.includes('high')) {
+      throw new Error('Removed sender tag could not be added back');
+    }
+    console.log('   ✓ A removed sender tag can be added back');
+  } finally {
+    for (const client of Object.values(clients)) {
+      client.disconnect();
+    }
+    tagServer.stop();
+  }
+}
+async function testPushNotifications() {
+  const pushServer = new MMTPServer({
+    port: 8040,
+    dataDir: path.join(TEST_CONFIG.mailStorePath, 'data', 'push'),
+    useTLS: false,
+    usePGP: false,
+    difficulty: TEST_CONFIG.difficulty,
+    accounts: ACCOUNTS
+  });
+  const createClient = () => new MMTPClient({ serverHost: 'localhost', serverPort: 8040, useTLS: false, usePGP: false });
+  const clients = { alice: createClient(), bob: createClient(), carol: createClient() };
+  pushServer.start();
+  await new Promise(resolve => setTimeout(resolve, 500));
+  const nextMail = (client, timeout = 2000) => new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      client.removeListener('mail', onMail);
+      reject(new Error('No NEW_MAIL event received'));
+    }, timeout);
+    const onMail = (event) => {
+      clearTimeout(timer);
+      resolve(event);
+    };
+    client.once('mail', onMail);
+  });
+  try {
+    for (const name of ['alice', 'bob', 'carol']) {
+      await clients[name].connect(false);
+    }
+    await clients.alice.authenticate(EMAILS.alice, { password: ACCOUNTS[EMAILS.alice].password });
+    await clients.bob.authenticate(EMAILS.bob, { password: ACCOUNTS[EMAILS.bob].password });
+    await clients.carol.authenticate(EMAILS.carol, { password: ACCOUNTS[EMAILS.carol].password });
+    await clients.carol.sendMail(EMAILS.carol, EMAILS.bob, 'Before subscribing', 'Already waiting.');
+    const subscribed = await clients.bob.subscribe(EMAILS.bob);
+    await clients.alice.subscribe(EMAILS.alice);
+    if (subscribed.unseen !== 1) {
+      throw new Error(`Unexpected unseen count on SUBSCRIBE: ${subscribed.unseen}`);
+    }
+    console.log('   ✓ Bob subscribed with 1 unseen message waiting');
+    try {
+      await clients.carol.subscribe(EMAILS.bob);
+      throw new Error('Subscribed to another user\'s mailbox');
+    } catch (error) {
+      if (error.message !== 'Not authorized to access this mailbox') {
+        throw error;
+      }
+      console.log('   ✓ Subscribing to another mailbox is refused');
+    }
+    let aliceNotified = false;
+    clients.alice.on('mail', () => {
+      aliceNotified = true;
+    });
+    const pending = nextMail(clients.bob);
+    const sent = await clients.carol.sendMail(EMAILS.carol, EMAILS.bob, 'Are you there?', 'Pushed, not polled.', {
+      tags: { priority: ['high'] }
+    });
+    const event = await pending;
+    if (event.messageId !== sent.messageId || event.email !== EMAILS.bob || event.sender !== EMAILS.carol ||
+        event.subject !== 'Are you there?' || event.folder !== 'INBOX' || !event.tags.priority.includes('high')) {
+      throw new Error(`Unexpected NEW_MAIL event: ${JSON.stringify(event)}`);
+    }
+    console.log(`   ✓ Bob was pushed NEW_MAIL for uid ${event.uid} without polling`);
+    const { messages } = await clients.bob.fetchMail(EMAILS.bob, event.uid, { peek: true });
+    if (messages.length !== 1 || messages[0].meta.messageId !== sent.messageId) {
+      throw new Error('The pushed uid did not fetch the new message');
+    }
+    console.log('   ✓ The pushed uid fetches the new message');
+    if (aliceNotified) {
+      throw new Error('Alice was notified of Bob\'s mail');
+    }
+    console.log('   ✓ Other subscribers are not notified');
+    await clients.bob.unsubscribe(EMAILS.bob);
+    let notifiedAfterUnsubscribe = false;
+    clients.bob.once('mail', () => {
+      notifiedAfterUnsubscribe = true;
+    });
+    await clients.carol.sendMail(EMAILS.carol, EMAILS.bob, 'Quiet now', 'No push expected.');
+    await new Promise(resolve => setTimeout(resolve, 300));
+    if (notifiedAfterUnsubscribe) {
+      throw new Error('NEW_MAIL was pushed after UNSUBSCRIBE');
+    }
+    console.log('   ✓ No events after UNSUBSCRIBE');
+    clients.bob.removeAllListeners('mail');
+    clients.alice.disconnect();
+    await new Promise(resolve => setTimeout(resolve, 100));
+    await clients.carol.sendMail(EMAILS.carol, EMAILS.alice, 'After disconnect', 'Nobody listening.');
+    if (pushServer.subscriptions.size !== 0) {
+      throw new Error('Subscriptions were not released when sessions closed');
+    }
+    console.log('   ✓ Subscriptions are released when a session closes');
+  } finally {
+    for (const client of Object.values(clients)) {
+      client.disconnect();
+    }
+    pushServer.stop();
+  }
+}
+async function testWebSocketTransport() {
+  if (typeof WebSocket === 'undefined') {
+    console.log('   - Skipped: this Node.js version has no WebSocket client');
+    return;
+  }
+  const wsServer = new MMTPServer({
+    port: 8041,
+    dataDir: path.join(TEST_CONFIG.mailStorePath, 'data', 'websocket'),
+    webSocketPort: 8042,
+    useTLS: false,
+    usePGP: false,
+    difficulty: TEST_CONFIG.difficulty,
+    accounts: ACCOUNTS
+  });
+  const alice = new MMTPClient({ serverHost: 'localhost', serverPort: 8041, useTLS: false, usePGP: false });
+  const bob = new MMTPBrowserClient({ url: 'ws://localhost:8042' });
+  const stranger = new MMTPBrowserClient({ url: 'ws://localhost:8042' });
+  wsServer.start();
+  await new Promise(resolve => setTimeout(resolve, 500));
+  try {
+    const welcome = await bob.connect();
+    await stranger.connect();
+    await alice.connect(false);
+    if (welcome.features.framing !== 'websocket' || !welcome.features.push.includes('NEW_MAIL')) {
+      throw new Error(`Unexpected WebSocket welcome: ${JSON.stringify(welcome.features)}`);
+    }
+    console.log('   ✓ Browser client connected over WebSocket');
+    await alice.authenticate(EMAILS.alice, { password: ACCOUNTS[EMAILS.alice].password });
+    await bob.authenticate(EMAILS.bob, { password: ACCOUNTS[EMAILS.bob].password });
+    try {
+      await stranger.receiveMail(EMAILS.bob);
+      throw new Error('Unauthenticated WebSocket session read a mailbox');
+    } catch (error) {
+      if (error.message !== 'Authentication required') {
+        throw error;
+      }
+      console.log('   ✓ WebSocket sessions need AUTH like TCP sessions');
+    }
+    await bob.subscribe(EMAILS.bob);
+    const pushed = new Promise(resolve => bob.once('mail', resolve));
+    const sent = await alice.sendMail(EMAILS.alice, EMAILS.bob, 'Over TCP', 'Read me in the browser.');
+    const event = await pushed;
+    const { messages: [received] } = await bob.fetchMail(EMAILS.bob, event.uid);
+    if (event.messageId !== sent.messageId || received.content.body !== 'Read me in the browser.') {
+      throw new Error('TCP mail did not reach the WebSocket session');
+    }
+    console.log('   ✓ Mail sent over TCP was pushed to and fetched by the browser client');
+    await bob.replyToMail(received, EMAILS.bob, 'Replied from the browser.');
+    const { messages } = await alice.receiveMail(EMAILS.alice);
+    const reply = messages.find(message => message.meta.inReplyTo === sent.messageId);
+    if (!reply || reply.content.subject !== 'RE: Over TCP' || reply.meta.type !== 'REPLY') {
+      throw new Error('Browser reply was not delivered over TCP');
+    }
+    console.log('   ✓ Browser client minted HashCash and its reply reached the TCP client');
+    await bob.sendMail(EMAILS.bob, EMAILS.alice, 'Browser files', 'Two attachments.', {
+      attachments: [
+        { filename: 'docs/notes.txt', data: 'Written in the browser', contentType: 'text/plain' },
+        { filename: 'bytes.bin', data: new Uint8Array([0, 1, 2, 255]) }
+      ]
+    });
+    const withFiles = (await alice.receiveMail(EMAILS.alice)).messages.find(message => message.content.subject === 'Browser files');
+    const [notes, bytes] = withFiles ? withFiles.content.attachments.map(attachment => alice.protocol.decodeAttachment(attachment)) : [];
+    if (!withFiles || withFiles.content.attachments[0].filename !== 'notes.txt' ||
+        notes.toString('utf8') !== 'Written in the browser' || bytes.toString('hex') !== '000102ff') {
+      throw new Error('Browser attachments did not arrive intact');
+    }
+    const filePushed = new Promise(resolve => bob.once('mail', resolve));
+    await alice.sendMail(EMAILS.alice, EMAILS.bob, 'TCP files', 'One attachment.', {
+      attachments: [{ filename: 'report.txt', data: 'Quarterly numbers' }]
+    });
+    const { messages: [fileMessage] } = await bob.fetchMail(EMAILS.bob, (await filePushed).uid, { peek: true });
+    const [report] = fileMessage.content.attachments;
+    const decoded = await bob.decodeAttachment(report);
+    const tampered = await bob.decodeAttachment({ ...report, data: Buffer.from('Quarterly numberz').toString('base64') })
+      .then(() => null, error => error);
+    if (new TextDecoder().decode(decoded) !== 'Quarterly numbers' || !tampered || !tampered.message.includes('integrity check')) {
+      throw new Error('The browser client did not decode and verify a received attachment');
+    }
+    console.log('   ✓ Browser client sends attachments and verifies received ones with SHA-256');
+    const status = await new Promise((resolve, reject) => {
+      http.get('http://localhost:8042/', response => {
+        response.resume();
+        resolve(response.statusCode);
+      }).on('error', reject);
+    });
+    if (status !== 426) {
+      throw new Error(`Plain HTTP request got status ${status}`);
+    }
+    console.log('   ✓ Plain HTTP requests to the WebSocket port get 426 Upgrade Required');
+    const upgrade = () => new Promise((resolve, reject) => {
+      const socket = net.connect(8042, 'localhost', () => {
+        socket.write([
+          'GET / HTTP/1.1',
+          'Host: localhost:8042',
+          'Upgrade: websocket',
+          'Connection: Upgrade',
+          `Sec-WebSocket-Key: ${crypto.randomBytes(16).toString('base64')}`,
+          'Sec-WebSocket-Version: 13',
+          '',
+          ''
+        ].join('\r\n'));
+      });
+      let received = '';
+      socket.on('data', (chunk) => {
+        received += chunk.toString('latin1');
+        if (received.includes('MMTP Server Ready')) {
+          resolve({ socket, rejected: false });
+        } else if (received.includes('RATE_LIMITED')) {
+          resolve({ socket, rejected: true });
+        }
+      });
+      socket.on('error', () => {});
+      socket.once('close', () => reject(new Error('WebSocket upgrade closed before a welcome')));
+    });
+    const opened = [];
+    let rejected = null;
+    while (!rejected && opened.length < 10) {
+      const connection = await upgrade();
+      if (connection.rejected) {
+        rejected = connection.socket;
+      } else {
+        opened.push(connection.socket);
+      }
+    }
+    if (!rejected) {
+      throw new Error('The per-address connection limit never turned a WebSocket away');
+    }
+    rejected.resetAndDestroy();
+    await new Promise(resolve => setTimeout(resolve, 200));
+    opened.forEach(socket => socket.destroy());
+    await new Promise(resolve => setTimeout(resolve, 200));
+    const again = await upgrade();
+    again.socket.destroy();
+    if (again.rejected) {
+      throw new Error('Rejected connections were still counted against the address');
+    }
+    console.log('   ✓ Resetting a rate-limited WebSocket neither crashes the server nor leaks its connection slot');
+  } finally {
+    alice.disconnect();
+    bob.disconnect();
+    stranger.disconnect();
+    wsServer.stop();
+  }
+}
+async function testHttpGateway() {
+  const gatewayServer = new MMTPServer({
+    port: 8043,
+    dataDir: path.join(TEST_CONFIG.mailStorePath, 'data', 'gateway'),
+    httpPort: 8044,
+    useTLS: false,
+    usePGP: true,
+    keyStorePath: TEST_CONFIG.keyStorePath,
+    storagePath: path.join(TEST_CONFIG.mailStorePath, 'gateway'),
+    difficulty: TEST_CONFIG.difficulty,
+    accounts: ACCOUNTS
+  });
+  const basic = email => `Basic ${Buffer.from(`${email}:${ACCOUNTS[email].password}`).toString('base64')}`;
+  const request = (method, resource, options = {}) => new Promise((resolve, reject) => {
+    const payload = options.body === undefined ? null : JSON.stringify(options.body);
+    const req = http.request({
+      host: 'localhost',
+      port: 8044,
+      method,
+      path: resource,
+      headers: {
+        ...(options.auth ? { Authorization: options.auth } : {}),
+        ...(payload ? { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(payload) } : {})
+      }
+    }, (response) => {
+      const chunks = [];
+      response.on('data', chunk => chunks.push(chunk));
+      response.on('end', () => resolve({
+        status: response.statusCode,
+        headers: response.headers,
+        body: JSON.parse(Buffer.concat(chunks).toString('utf8'))
+      }));
+    });
+    req.on('error', reject);
+    req.end(payload);
+  });
+  const bobMessages = `/mailboxes/${encodeURIComponent(EMAILS.bob)}/messages`;
+  const composer = new MMTPProtocol(TEST_CONFIG.difficulty, { keyStorePath: TEST_CONFIG.keyStorePath });
+  gatewayServer.start();
+  await new Promise(resolve => setTimeout(resolve, 500));
+  try {
+    const tags = await request('GET', '/tags');
+    if (tags.status !== 200 || !tags.body.tagCategories.priority.includes('high')) {
+      throw new Error(`GET /tags failed: ${tags.status} ${JSON.stringify(tags.body)}`);
+    }
+    console.log('   ✓ GET /tags returns the tag categories');
+    const anonymous = await request('GET', bobMessages);
+    const wrongPassword = await request('GET', bobMessages, {
+      auth: `Basic ${Buffer.from(`${EMAILS.bob}:guess`).toString('base64')}`
+    });
+    const otherMailbox = await request('GET', bobMessages, { auth: basic(EMAILS.alice) });
+    if (anonymous.status !== 401 || !anonymous.headers['www-authenticate'] || wrongPassword.status !== 401 ||
+        otherMailbox.status !== 403 || otherMailbox.body.message !== 'Not authorized to access this mailbox' ||
+        anonymous.body.code !== 'AUTH_REQUIRED' || wrongPassword.body.code !== 'AUTH_FAILED' || otherMailbox.body.code !== 'FORBIDDEN') {
+      throw new Error(`Unexpected auth statuses: ${anonymous.status}, ${wrongPassword.status}, ${otherMailbox.status}`);
+    }
+    console.log('   ✓ Missing or wrong credentials get 401 and another mailbox gets 403, each with its error code');
+    const compose = await request('POST', '/messages', {
+      auth: basic(EMAILS.alice),
+      body: { to: EMAILS.bob, subject: 'Unstamped', body: 'Mint this for me.' }
+    });
+    if (compose.status !== 400 || compose.body.code !== 'INVALID_REQUEST') {
+      throw new Error(`Composing through the gateway got ${compose.status}`);
+    }
+    console.log('   ✓ POST /messages refuses to compose and mint a stamp for the caller');
+    const validPacket = await composer.createMessagePacket(EMAILS.alice, EMAILS.bob, 'Malformed', 'Never delivered.', 'SEND');
+    const malformed = [
+      {},
+      { ...validPacket, sender: 42 },
+      { ...validPacket, meta: { ...validPacket.meta, hashcashToken: { token: 7 } } },
+      { ...validPacket, content: { subject: 'No body' } }
+    ];
+    for (const packet of malformed) {
+      const response = await request('POST', '/messages', { body: { packet } });
+      if (response.status !== 400 || response.body.code !== 'INVALID_REQUEST' || !response.body.message.startsWith('Invalid packet')) {
+        throw new Error(`Malformed packet got ${response.status} ${JSON.stringify(response.body)}`);
+      }
+    }
+    console.log('   ✓ POST /messages rejects malformed packets with 400 INVALID_REQUEST');
+    const sent = [];
+    for (const [index, subject] of ['Gateway one', 'Gateway two', 'Gateway three'].entries()) {
+      const packet = await composer.createMessagePacket(EMAILS.alice, EMAILS.bob, subject, `Sent over HTTP #${index + 1}`, 'SEND', {
+        tags: index === 1 ? { priority: ['high'] } : {}
+      });
+      const response = await request('POST', '/messages', { body: { packet } });
+      if (response.status !== 201 || !response.body.messageId) {
+        throw new Error(`POST /messages failed: ${response.status} ${JSON.stringify(response.body)}`);
+      }
+      sent.push(response.body.messageId);
+    }
+    console.log('   ✓ POST /messages sends a stamped packet and returns 201');
+    const firstPage = await request('GET', `${bobMessages}?limit=2`, { auth: basic(EMAILS.bob) });
+    if (firstPage.status !== 200 || firstPage.body.count !== 2 || firstPage.body.total !== 3 || !firstPage.headers.link) {
+      throw new Error(`Unexpected first page: ${firstPage.status} ${JSON.stringify(firstPage.body)}`);
+    }
+    const nextPage = await request('GET', firstPage.headers.link.match(/^<([^>]+)>/)[1], { auth: basic(EMAILS.bob) });
+    const pagedIds = [...firstPage.body.messages, ...nextPage.body.messages].map(message => message.meta.messageId);
+    if (nextPage.body.count !== 1 || nextPage.headers.link || pagedIds.join() !== sent.join()) {
+      throw new Error(`Pagination did not return every message once: ${JSON.stringify(pagedIds)}`);
+    }
+    if (pagedIds.length !== 3 || nextPage.body.messages.some(message => message.meta.flags.includes('seen'))) {
+      throw new Error('GET marked messages seen');
+    }
+    console.log('   ✓ GET /mailboxes/:addr/messages pages with offset, limit and a next Link without marking mail seen');
+    const filtered = await request('GET', `${bobMessages}?tag=priority:high`, { auth: basic(EMAILS.bob) });
+    const searched = await request('GET', `${bobMessages}?q=${encodeURIComponent('subject:three')}`, { auth: basic(EMAILS.bob) });
+    if (filtered.body.total !== 1 || filtered.body.messages[0].meta.messageId !== sent[1] ||
+        searched.body.total !== 1 || searched.body.messages[0].meta.messageId !== sent[2]) {
+      throw new Error('Tag or query filtering through the gateway failed');
+    }
+    console.log('   ✓ Listing filters by tag and by query');
+    const key = await request('GET', `/keys/${encodeURIComponent(EMAILS.alice)}`);
+    const missingKey = await request('GET', `/keys/${encodeURIComponent('(nobody)%(example.com)')}`);
+    if (key.status !== 200 || !key.body.publicKey.includes('BEGIN PGP PUBLIC KEY') || missingKey.status !== 404 ||
+        missingKey.body.code !== 'NOT_FOUND') {
+      throw new Error(`Key lookup failed: ${key.status}, ${missingKey.status}`);
+    }
+    console.log('   ✓ GET /keys/:addr returns the public key, or 404 when there is none');
+    const badLimit = await request('GET', `${bobMessages}?limit=1000`, { auth: basic(EMAILS.bob) });
+    const badMethod = await request('DELETE', '/tags');
+    const unknown = await request('GET', '/folders');
+    if (badLimit.status !== 400 || badMethod.status !== 405 || badMethod.headers.allow !== 'GET' || unknown.status !== 404 ||
+        badLimit.body.code !== 'INVALID_REQUEST' || badMethod.body.code !== 'METHOD_NOT_ALLOWED' || unknown.body.code !== 'NOT_FOUND') {
+      throw new Error(`Unexpected error statuses: ${badLimit.status}, ${badMethod.status}, ${unknown.status}`);
+    }
+    console.log('   ✓ Bad parameters get 400, wrong methods 405 and unknown resources 404');
+  } finally {
+    gatewayServer.stop();
+  }
+}
+async function testCli() {
+  const cliServer = new MMTPServer({
+    port: 8045,
+    dataDir: path.join(TEST_CONFIG.mailStorePath, 'data', 'cli'),
+    useTLS: false,
+    usePGP: true,
+    keyStorePath: TEST_CONFIG.keyStorePath,
+    difficulty: TEST_CONFIG.difficulty,
+    accounts: ACCOUNTS,
+    registrationTokens: { '(erin)%(example.com)': 'enroll-erin' }
+  });
+  const cliHome = path.join(TEST_CONFIG.mailStorePath, 'cli');
+  const configPath = path.join(cliHome, 'config.json');
+  const profile = email => ({ serverPort: 8045, useTLS: false, usePGP: false, email, password: ACCOUNTS[email].password });
+  await fs.outputJson(configPath, {
+    defaultProfile: 'bob',
+    profiles: {
+      alice: { ...profile(EMAILS.alice), keyStorePath: 'alice-keys' },
+      bob: { ...profile(EMAILS.bob), keyStorePath: 'bob-keys' },
+      intruder: { ...profile(EMAILS.carol), password: 'wrong' },
+      fresh: { serverPort: 8045, useTLS: false, usePGP: true, email: '(erin)%(example.com)', keyStorePath: 'erin-keys' }
+    }
+  });
+  const runCli = async (args, stdinText) => {
+    const stdout = [];
+    const stderr = [];
+    const cli = new MMTPCli({
+      stdin: stdinText === undefined ? Object.assign(Readable.from([]), { isTTY: true }) : Readable.from([stdinText]),
+      stdout: { write: text => stdout.push(text) },
+      stderr: { write: text => stderr.push(text) },
+      env: {},
+      homeDir: cliHome
+    });
+    const code = await cli.run(['--config', configPath, ...args]);
+    return { code, stdout: stdout.join(''), stderr: stderr.join('') };
+  };
+  cliServer.start();
+  await new Promise(resolve => setTimeout(resolve, 500));
+  try {
+    const sent = await runCli(['--profile', 'alice', 'send', EMAILS.bob, '-s', 'CLI hello', '-t', 'priority:high'], 'Piped body\n');
+    if (sent.code !== 0 || !sent.stdout.startsWith('Sent ')) {
+      throw new Error(`mmtp send failed: ${sent.stderr || sent.stdout}`);
+    }
+    console.log('   ✓ mmtp send reads the body from stdin');
+    const inboxJson = await runCli(['inbox', '--json']);
+    const inbox = JSON.parse(inboxJson.stdout);
+    const listing = await runCli(['inbox']);
+    const filtered = await runCli(['inbox', '-t', 'priority:low']);
+    if (inbox.total !== 1 || inbox.messages[0].content.body !== 'Piped body\n' ||
+        !/^\*\s+1 .*CLI hello {2}\[priority:high\]/m.test(listing.stdout) || filtered.stdout.trim() !== 'No messages') {
+      throw new Error(`Unexpected inbox output: ${listing.stdout}${filtered.stdout}`);
+    }
+    console.log('   ✓ mmtp inbox lists mail as text or JSON and filters by tag');
+    const before = await runCli(['check']);
+    const read = await runCli(['read', '1']);
+    const after = await runCli(['check', '--json']);
+    if (!before.stdout.startsWith('1 unseen in INBOX') || !read.stdout.includes('Subject: CLI hello') ||
+        !read.stdout.includes('Piped body') || JSON.parse(after.stdout).count !== 0) {
+      throw new Error(`Unexpected check or read output: ${before.stdout}${read.stdout}`);
+    }
+    console.log('   ✓ mmtp check counts unseen mail and mmtp read marks it seen');
+    const replied = await runCli(['reply', '1', '-b', 'Got it']);
+    const aliceInbox = JSON.parse((await runCli(['--profile', 'alice', 'inbox', '--json'])).stdout);
+    const original = JSON.parse((await runCli(['inbox', '--json'])).stdout).messages[0];
+    if (replied.code !== 0 || aliceInbox.messages[0].content.subject !== 'RE: CLI hello' ||
+        aliceInbox.messages[0].content.body !== 'Got it' || !original.meta.flags.includes('answered')) {
+      throw new Error(`mmtp reply failed: ${replied.stderr || replied.stdout}`);
+    }
+    console.log('   ✓ mmtp reply answers a message by UID and flags it answered');
+    const fetched = await runCli(['keys', 'fetch', EMAILS.alice]);
+    const keys = await runCli(['keys', 'list', '--json']);
+    const tags = await runCli(['tags', '--json']);
+    if (fetched.code !== 0 || !JSON.parse(keys.stdout).keys.some(key => key.email === EMAILS.alice && !key.private) ||
+        !JSON.parse(tags.stdout).tagCategories.priority.includes('high')) {
+      throw new Error(`Unexpected keys or tags output: ${fetched.stderr}${keys.stdout}`);
+    }
+    console.log('   ✓ mmtp keys fetch and list use the profile keystore, and mmtp tags lists categories');
+    const missingProfile = await runCli(['--profile', 'nobody', 'inbox']);
+    const missingSubject = await runCli(['send', EMAILS.alice, '-b', 'No subject']);
+    const rejected = await runCli(['--profile', 'intruder', 'inbox', '--json']);
+    if (missingProfile.code !== 1 || !missingProfile.stderr.includes('Profile "nobody" not found') ||
+        missingSubject.code !== 2 || rejected.code !== 1 || JSON.parse(rejected.stdout).message !== 'Authentication failed') {
+      throw new Error('CLI errors were not reported as expected');
+    }
+    console.log('   ✓ Errors exit non-zero, as text on stderr or JSON on stdout');
+    const generated = await runCli(['--profile', 'fresh', 'keys', 'generate']);
+    const firstSend = await runCli(['--profile', 'fresh', 'send', EMAILS.bob, '-s', 'First run', '-b', 'Before my key is registered']);
+    const noToken = await runCli(['--profile', 'fresh', 'keys', 'register', '--json']);
+    const registered = await runCli(['--profile', 'fresh', 'keys', 'register', '--token', 'enroll-erin']);
+    const freshCheck = await runCli(['--profile', 'fresh', 'check', '--json']);
+    if (generated.code !== 0 || firstSend.code !== 0 || noToken.code !== 1 || !JSON.parse(noToken.stdout).message.includes('registration token') ||
+        registered.code !== 0 || freshCheck.code !== 0 || JSON.parse(freshCheck.stdout).status !== 'OK') {
+      throw new Error(`A fresh PGP profile failed its first run: ${firstSend.stderr}${registered.stderr}${freshCheck.stdout}`);
+    }
+    console.log('   ✓ A fresh PGP-only profile sends, registers its key with a token and then signs in with it');
+  } finally {
+    cliServer.stop();
+  }
+}
+async function testReconnect() {
+  const reconnectStore = path.join(TEST_CONFIG.mailStorePath, 'reconnect');
+  const outboxPath = path.join(reconnectStore, 'outbox');
+  const createServer = () => new MMTPServer({
+    port: 8046,
+    dataDir: path.join(TEST_CONFIG.mailStorePath, 'data', 'reconnect'),
+    useTLS: false,
+    usePGP: false,
+    difficulty: TEST_CONFIG.difficulty,
+    accounts: ACCOUNTS,
+    storage: 'file',
+    storagePath: path.join(reconnectStore, 'mail')
+  });
+  const crash = (target) => {
+    target.stop();
+    for (const socket of target.clients) {
+      socket.destroy();
+    }
+  };
+  const clientOptions = { serverHost: 'localhost', serverPort: 8046, useTLS: false, usePGP: false, reconnect: { initialDelay: 100, maxDelay: 400 } };
+  const alice = new MMTPClient({ ...clientOptions, outboxPath });
+  const bob = new MMTPClient({ ...clientOptions, keyStorePath: path.join(reconnectStore, 'bob', 'keystore') });
+  if (bob.outbox.outboxPath !== path.join(reconnectStore, 'bob', 'outbox')) {
+    throw new Error(`The outbox defaults to ${bob.outbox.outboxPath}`);
+  }
+  let reconnectServer = createServer();
+  reconnectServer.start();
+  await new Promise(resolve => setTimeout(resolve, 500));
+  try {
+    await alice.connect(false);
+    await bob.connect(false);
+    await alice.authenticate(EMAILS.alice, { password: ACCOUNTS[EMAILS.alice].password });
+    await bob.authenticate(EMAILS.bob, { password: ACCOUNTS[EMAILS.bob].password });
+    await bob.subscribe(EMAILS.bob);
+    const pending = alice.sendRequest('CHECK', { email: EMAILS.alice }).then(() => null, error => error);
+    const startedAt = Date.now();
+    crash(reconnectServer);
+    const pendingError = await pending;
+    if (!pendingError || pendingError.code !== 'CONNECTION_CLOSED' || Date.now() - startedAt > 2000) {
+      throw new Error(`Pending request was not rejected when the connection closed: ${pendingError && pendingError.message}`);
+    }
+    console.log('   ✓ Pending requests are rejected as soon as the connection closes');
+    const queued = await alice.sendMail(EMAILS.alice, EMAILS.bob, 'Written offline', 'Sent once the server is back.');
+    const reloaded = new MMTPClient({ ...clientOptions, reconnect: false, outboxPath });
+    if (!queued.queued || alice.outbox.size !== 1 || reloaded.outbox.size !== 1) {
+      throw new Error('Offline send did not go into the persisted outbox');
+    }
+    console.log('   ✓ Mail sent while offline is saved in the persisted outbox');
+    const [entry] = alice.outbox.list();
+    const packet = JSON.parse(JSON.stringify(entry.packet));
+    const reconnected = Promise.all([
+      new Promise(resolve => alice.once('reconnect', resolve)),
+      new Promise(resolve => bob.once('reconnect', resolve))
+    ]);
+    const flushed = new Promise(resolve => alice.once('outboxSent', resolve));
+    const pushed = new Promise(resolve => bob.once('mail', resolve));
+    await new Promise(resolve => setTimeout(resolve, 300));
+    reconnectServer = createServer();
+    reconnectServer.start();
+    const [[aliceReconnect]] = await Promise.all([reconnected, flushed]);
+    const event = await pushed;
+    if (aliceReconnect.attempts < 1 || event.messageId !== queued.messageId || alice.outbox.size !== 0) {
+      throw new Error('Clients did not reconnect and flush the outbox');
+    }
+    console.log('   ✓ Clients reconnect with backoff, restore AUTH and SUBSCRIBE, and flush the outbox');
+    packet.meta.hashcashToken = await alice.protocol.mintHashCash(
+      packet.sender,
+      alice.protocol.getHashCashRecipient(alice.protocol.getPacketRecipients(packet)),
+      packet.meta.timestamp,
+      TEST_CONFIG.difficulty
+    );
+    await alice.outbox.add(packet);
+    const duplicate = new Promise(resolve => alice.once('outboxSent', resolve));
+    await alice.flushOutbox();
+    const duplicateEvent = await duplicate;
+    const { messages } = await bob.fetchMail(EMAILS.bob, {}, { peek: true });
+    if (!duplicateEvent.duplicate || messages.filter(message => message.meta.messageId === queued.messageId).length !== 1) {
+      throw new Error('Resending an outbox message created a duplicate');
+    }
+    console.log('   ✓ Resending a message the server already accepted does not duplicate it, even with a new stamp');
+  } finally {
+    alice.disconnect();
+    bob.disconnect();
+    reconnectServer.stop();
+  }
+}
+async function testKeyBootstrap() {
+  const bootstrapStore = path.join(TEST_CONFIG.mailStorePath, 'bootstrap');
+  const openServer = new MMTPServer({ port: 8048, dataDir: path.join(bootstrapStore, 'open'), useTLS: false });
+  openServer.stop();
+  if (openServer.requireAuth) {
+    throw new Error('A server without any authentication method requires authentication');
+  }
+  console.log('   ✓ A server without any authentication method does not require it');
+  const pgpServer = new MMTPServer({
+    port: 8048,
+    dataDir: path.join(bootstrapStore, 'pgp'),
+    useTLS: false,
+    usePGP: true,
+    keyStorePath: path.join(bootstrapStore, 'server-keys'),
+    difficulty: TEST_CONFIG.difficulty,
+    registrationTokens: { [EMAILS.carol]: 'enroll-carol' }
+  });
+  const carol = new MMTPClient({
+    serverHost: 'localhost',
+    serverPort: 8048,
+    useTLS: false,
+    usePGP: true,
+    keyStorePath: path.join(bootstrapStore, 'carol-keys'),
+    difficulty: TEST_CONFIG.difficulty
+  });
+  pgpServer.start();
+  await new Promise(resolve => setTimeout(resolve, 500));
+  try {
+    await carol.connect(false);
+    if (!carol.serverFeatures.requireAuth || carol.serverFeatures.auth.join() !== 'pgp') {
+      throw new Error(`Unexpected features: ${JSON.stringify(carol.serverFeatures)}`);
+    }
+    await carol.generateKeys(EMAILS.carol, 'Carol User', '', formatNameForPGP(EMAILS.carol));
+    const withoutToken = await carol.registerPublicKey(EMAILS.carol).then(() => null, error => error.response);
+    const wrongToken = await carol.registerPublicKey(EMAILS.carol, { token: 'guess' }).then(() => null, error => error.response);
+    if (!withoutToken || withoutToken.code !== 'AUTH_REQUIRED' || !wrongToken || wrongToken.code !== 'AUTH_REQUIRED') {
+      throw new Error('A first key was registered without a valid registration token');
+    }
+    console.log('   ✓ Without a session or a valid registration token the first key is refused');
+    await carol.registerPublicKey(EMAILS.carol, { token: 'enroll-carol' });
+    await carol.authenticate(EMAILS.carol);
+    const mail = await carol.checkMail(EMAILS.carol);
+    if (mail.status !== 'OK') {
+      throw new Error('The mailbox was not usable after registering the first key');
+    }
+    console.log('   ✓ A registration token enrolls the first key, which then authenticates the mailbox');
+  } finally {
+    carol.disconnect();
+    pgpServer.stop();
+  }
+}
 async function cleanupTestFiles() {
   try {
     if (fs.existsSync(TEST_CONFIG.keyStorePath)) {
@@ -356,6 +2420,7 @@ async function cleanupTestFiles() {
     } else {
       await fs.ensureDir(TEST_CONFIG.keyStorePath);
     }
+    await fs.remove(TEST_CONFIG.mailStorePath);
     if (fs.existsSync(TEST_CONFIG.certsPath)) {
       await fs.emptyDir(TEST_CONFIG.certsPath);
       console.log('Cleaned up certs directory');